@@ -0,0 +1,201 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - BATCH EVALUATION
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const seawater = require("./seawater-mit");
+
+
+/**
+ * Status codes written to the status mask of a batch result
+ * @readonly
+ * @enum {number}
+ */
+const STATUS = Object.freeze({
+    OK: 0,              // Point evaluated inside the validity envelope
+    OUT_OF_RANGE: 1,    // Point lies outside the validity envelope of the function
+    INVALID: 2          // Point has a non-numeric input, produced a non-finite value or failed otherwise
+});
+
+/**
+ * Resolves a property function given either the function itself or its exported name
+ * @param {function|string} fn - Property function, e.g. SW_Density or "SW_Density"
+ * @returns {function} Property function
+ * @throws {Error} If no such function is exported by the library
+ */
+function resolveFunction(fn) {
+    if (typeof fn === "function") {
+        return fn;
+    }
+
+    if (typeof fn === "string" && typeof seawater[fn] === "function") {
+        return seawater[fn];
+    }
+
+    throw new Error("Unknown seawater property function: " + fn);
+}
+
+/**
+ * Checks whether a value is an array or typed array
+ * @param {*} value - Value to test
+ * @returns {boolean} True for arrays and typed arrays
+ */
+function isArrayLike(value) {
+    return Array.isArray(value) || ArrayBuffer.isView(value);
+}
+
+/**
+ * Evaluates one property function at every point of a batch, broadcasting scalar arguments
+ *
+ * A point that is out of range, or that fails for any other reason, does not abort the batch:
+ * its status mask entry says why. Out-of-range values follow the active range policy (see
+ * setRangePolicy), except that "throw" yields NaN like "nan".
+ *
+ * The scalar function is still evaluated once per point, so a batch takes about as long as a
+ * plain loop over it; what the batch adds is broadcasting and the status mask. For many
+ * evaluations within a fixed box, createLookup in seawater-lookup.js is much faster.
+ * @param {function|string} fn - Property function, e.g. SW_Density or "SW_Density"
+ * @param {...(number|Array<number>|Float64Array)} args - Positional arguments of fn, each either
+ *        a scalar or an array; all arrays must have the same length
+ * @returns {{values: Float64Array, status: Uint8Array}} Property values and per-point STATUS codes
+ * @throws {Error} If the function is unknown or the array arguments differ in length
+ */
+function evaluate(fn, ...args) {
+    fn = resolveFunction(fn);
+
+    let n = 1;
+    let lengthSet = false;
+    for (const arg of args) {
+        if (isArrayLike(arg)) {
+            if (lengthSet && arg.length !== n) {
+                throw new Error("Array arguments of a batch evaluation must have the same length");
+            }
+            n = arg.length;
+            lengthSet = true;
+        }
+    }
+
+    const values = new Float64Array(n);
+    const status = new Uint8Array(n);
+    const point = args.slice();
+    const arrays = args.map(isArrayLike);
+
+    withBatchPolicy(flag => {
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < args.length; j++) {
+                if (arrays[j]) {
+                    point[j] = args[j][i];
+                }
+            }
+
+            evaluatePoint(fn, point, values, status, i, flag);
+        }
+    });
+
+    return { values, status };
+}
+
+/**
+ * Evaluates one property function over the Cartesian product of its argument axes
+ *
+ * Values are stored with the last argument varying fastest, so for SW_Density(T, S, P) the
+ * point (T[i], S[j], P[k]) is at index (i * S.length + j) * P.length + k. Out-of-range points
+ * and the cost per point are as in evaluate.
+ * @param {function|string} fn - Property function, e.g. SW_Density or "SW_Density"
+ * @param {...(number|Array<number>|Float64Array)} axes - Grid axis for each positional argument of fn;
+ *        a scalar is an axis of length one
+ * @returns {{values: Float64Array, status: Uint8Array, shape: Array<number>}} Property values,
+ *          per-point STATUS codes and the grid shape
+ * @throws {Error} If the function is unknown
+ */
+function evaluateGrid(fn, ...axes) {
+    fn = resolveFunction(fn);
+
+    axes = axes.map(axis => isArrayLike(axis) ? axis : [axis]);
+    const shape = axes.map(axis => axis.length);
+    const n = shape.reduce((product, length) => product * length, 1);
+
+    const values = new Float64Array(n);
+    const status = new Uint8Array(n);
+    const point = new Array(axes.length);
+
+    withBatchPolicy(flag => {
+        for (let i = 0; i < n; i++) {
+            let rest = i;
+            for (let j = axes.length - 1; j >= 0; j--) {
+                point[j] = axes[j][rest % shape[j]];
+                rest = Math.floor(rest / shape[j]);
+            }
+
+            evaluatePoint(fn, point, values, status, i, flag);
+        }
+    });
+
+    return { values, status, shape };
+}
+
+/**
+ * Runs a batch loop under the active range policy, with out-of-range points made detectable
+ *
+ * "throw" and "nan" both become "throw" so that the point can be flagged and set to NaN;
+ * "clamp" and "extrapolate" keep their values and report each crossed limit to the loop
+ * (and to the caller's own onWarning callback).
+ * @param {function(Object): void} loop - Batch loop, called with a flag object whose
+ *        `crossed` property is set when a limit is crossed
+ */
+function withBatchPolicy(loop) {
+    const policy = seawater.getRangePolicy();
+    const flag = { crossed: false };
+    const mode = policy.mode === "nan" ? "throw" : policy.mode;
+
+    seawater.withRangePolicy({
+        mode,
+        onWarning: err => {
+            flag.crossed = true;
+            if (policy.onWarning) {
+                policy.onWarning(err);
+            }
+        }
+    }, () => loop(flag));
+}
+
+/**
+ * Evaluates fn at one point and stores the value and status at index i
+ * @param {function} fn - Property function
+ * @param {Array<number>} point - Positional arguments of fn
+ * @param {Float64Array} values - Output values
+ * @param {Uint8Array} status - Output status mask
+ * @param {number} i - Output index
+ * @param {Object} flag - Flag object of withBatchPolicy
+ */
+function evaluatePoint(fn, point, values, status, i, flag) {
+    for (const x of point) {
+        if (typeof x !== "number" || Number.isNaN(x)) {
+            values[i] = NaN;
+            status[i] = STATUS.INVALID;
+            return;
+        }
+    }
+
+    flag.crossed = false;
+
+    try {
+        const value = fn(...point);
+        values[i] = value;
+        if (flag.crossed) {
+            status[i] = STATUS.OUT_OF_RANGE;
+        } else {
+            status[i] = Number.isFinite(value) ? STATUS.OK : STATUS.INVALID;
+        }
+    } catch (err) {
+        values[i] = NaN;
+        status[i] = err instanceof seawater.SeawaterRangeError ? STATUS.OUT_OF_RANGE : STATUS.INVALID;
+    }
+}
+
+// Export functions
+module.exports = {
+    STATUS,
+    evaluate,
+    evaluateGrid
+};
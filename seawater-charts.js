@@ -0,0 +1,635 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - SVG PROPERTY CHARTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const seawater = require("./seawater-mit");
+const { STATUS, evaluate, evaluateGrid } = require("./seawater-batch");
+const { ARGUMENTS, FUNCTIONS, UNITS, convert } = require("./seawater-units");
+const { engineeringScale, escapeMarkup } = require("./seawater-tables");
+
+
+/**
+ * Default chart layout
+ * @readonly
+ */
+const CHART_DEFAULTS = Object.freeze({
+    width: 720,             // SVG width [px]
+    height: 440,            // SVG height [px]
+    margin: Object.freeze({ top: 40, right: 150, bottom: 56, left: 84 }),
+    font: "Helvetica, Arial, sans-serif",
+    colors: Object.freeze(["#1f77b4", "#d62728", "#2ca02c", "#ff7f0e", "#9467bd", "#8c564b", "#e377c2", "#17becf"]),
+    envelope: "#e6f0fa"     // Fill of the validity envelope
+});
+
+/**
+ * Rounds a coordinate for output
+ * @param {number} x - Coordinate [px]
+ * @returns {number} Coordinate to 0.01 px
+ */
+function px(x) {
+    return Math.round(x * 100) / 100;
+}
+
+/**
+ * Evenly spaced values
+ * @param {number} min - First value
+ * @param {number} max - Last value
+ * @param {number} n - Number of values, at least 2
+ * @returns {Array<number>} Values
+ */
+function linspace(min, max, n) {
+    return Array.from({ length: n }, (_, i) => min + (max - min) * i / (n - 1));
+}
+
+/**
+ * Round tick values covering a range
+ * @param {number} min - Lower end of the data
+ * @param {number} max - Upper end of the data
+ * @param {number} [count=6] - Approximate number of intervals
+ * @returns {{min: number, max: number, step: number, ticks: Array<number>}} Axis range widened to
+ *          whole steps, tick step and tick values
+ */
+function niceTicks(min, max, count = 6) {
+    if (min === max) {
+        const pad = min === 0 ? 1 : Math.abs(min) * 0.05;
+        min -= pad;
+        max += pad;
+    }
+
+    const raw = (max - min) / count;
+    let step = Math.pow(10, Math.floor(Math.log10(raw)));
+    const ratio = raw / step;
+    if (ratio >= 7.5) {
+        step *= 10;
+    } else if (ratio >= 3.5) {
+        step *= 5;
+    } else if (ratio >= 1.5) {
+        step *= 2;
+    }
+
+    const lo = Math.floor(min / step + 1e-9) * step;
+    const hi = Math.ceil(max / step - 1e-9) * step;
+    const ticks = [];
+    for (let i = 0; lo + i * step <= hi + step * 1e-9; i++) {
+        ticks.push(lo + i * step);
+    }
+
+    return { min: lo, max: hi, step, ticks };
+}
+
+/**
+ * Formats a tick value with the decimals its step needs
+ * @param {number} value - Tick value
+ * @param {number} step - Tick step
+ * @returns {string} Label
+ */
+function tickLabel(value, step) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+    const text = value.toFixed(Math.min(decimals, 20));
+    return /^-0(\.0*)?$/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Smallest and largest of a list of values
+ * @param {Array<number>} values - Finite values, at least one
+ * @returns {Array<number>} [min, max]
+ */
+function extent(values) {
+    let min = values[0];
+    let max = values[0];
+    for (const value of values) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    return [min, max];
+}
+
+/**
+ * Axis title with its unit and power of ten
+ * @param {string} name - Quantity name, or "" for the unit alone
+ * @param {string} unit - Unit
+ * @param {number} [scale=0] - Decimal exponent the values are divided by
+ * @returns {string} SVG text content
+ */
+function axisTitle(name, unit, scale = 0) {
+    const power = scale === 0 ? "" : "10<tspan baseline-shift=\"super\" font-size=\"75%\">" + scale + "</tspan> ";
+    return (name === "" ? "" : escapeMarkup(name) + " ") + "[" + power + escapeMarkup(unit) + "]";
+}
+
+/**
+ * Looks up a property function and checks that a chart can vary its arguments
+ * @param {string} fnName - SW_* function name
+ * @param {Array<string>} axes - Arguments the chart varies
+ * @returns {Object} Function metadata from FUNCTIONS
+ * @throws {Error} If the function is unknown, does not take an axis or takes an argument other than T, S and P
+ */
+function chartFunction(fnName, axes) {
+    const meta = FUNCTIONS[fnName];
+    if (!meta) {
+        throw new Error("Unknown seawater property function: " + fnName);
+    }
+
+    for (const axis of axes) {
+        if (!meta.args.includes(axis)) {
+            throw new Error(fnName + " does not take " + axis + ", which is an axis of the chart");
+        }
+    }
+    for (const arg of meta.args) {
+        if (arg !== "T" && arg !== "S" && arg !== "P") {
+            throw new Error(fnName + " takes " + arg + ", which a property chart cannot vary");
+        }
+    }
+
+    return meta;
+}
+
+/**
+ * Opening of the SVG document: background, title and plot-area clip path
+ * @param {Object} frame - Chart frame
+ * @param {string} title - Chart title
+ * @returns {Array<string>} SVG lines
+ */
+function svgHeader(frame, title) {
+    const { width, height, plot, font } = frame;
+    return [
+        "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + width + "\" height=\"" + height +
+            "\" viewBox=\"0 0 " + width + " " + height + "\" font-family=\"" + escapeMarkup(font) + "\" font-size=\"12\">",
+        "<title>" + escapeMarkup(title) + "</title>",
+        "<defs><clipPath id=\"plot-area\"><rect x=\"" + plot.x + "\" y=\"" + plot.y + "\" width=\"" + plot.width +
+            "\" height=\"" + plot.height + "\"/></clipPath></defs>",
+        "<rect width=\"100%\" height=\"100%\" fill=\"#ffffff\"/>",
+        "<text x=\"" + px(plot.x + plot.width / 2) + "\" y=\"24\" text-anchor=\"middle\" font-size=\"15\" font-weight=\"bold\">" +
+            escapeMarkup(title) + "</text>"
+    ];
+}
+
+/**
+ * Axes with ticks, grid lines and titles
+ * @param {Object} frame - Chart frame
+ * @param {Object} x - X axis {ticks, step, title, scale}
+ * @param {Object} y - Y axis {ticks, step, title, scale}
+ * @returns {Array<string>} SVG lines
+ */
+function svgAxes(frame, x, y) {
+    const { plot } = frame;
+    const bottom = plot.y + plot.height;
+    const out = ["<g stroke=\"#d9d9d9\" stroke-width=\"1\">"];
+
+    for (const t of x.ticks) {
+        out.push("<line x1=\"" + px(frame.sx(t)) + "\" y1=\"" + plot.y + "\" x2=\"" + px(frame.sx(t)) + "\" y2=\"" + bottom + "\"/>");
+    }
+    for (const t of y.ticks) {
+        out.push("<line x1=\"" + plot.x + "\" y1=\"" + px(frame.sy(t)) + "\" x2=\"" + (plot.x + plot.width) + "\" y2=\"" + px(frame.sy(t)) + "\"/>");
+    }
+    out.push("</g>");
+
+    out.push("<rect x=\"" + plot.x + "\" y=\"" + plot.y + "\" width=\"" + plot.width + "\" height=\"" + plot.height +
+        "\" fill=\"none\" stroke=\"#333333\"/>");
+
+    out.push("<g text-anchor=\"middle\">");
+    for (const t of x.ticks) {
+        out.push("<text x=\"" + px(frame.sx(t)) + "\" y=\"" + (bottom + 16) + "\">" + tickLabel(t / Math.pow(10, x.scale), x.step / Math.pow(10, x.scale)) + "</text>");
+    }
+    out.push("</g>", "<g text-anchor=\"end\">");
+    for (const t of y.ticks) {
+        out.push("<text x=\"" + (plot.x - 6) + "\" y=\"" + px(frame.sy(t) + 4) + "\">" + tickLabel(t / Math.pow(10, y.scale), y.step / Math.pow(10, y.scale)) + "</text>");
+    }
+    out.push("</g>");
+
+    out.push("<text x=\"" + px(plot.x + plot.width / 2) + "\" y=\"" + (bottom + 40) + "\" text-anchor=\"middle\">" + x.title + "</text>");
+    out.push("<text transform=\"translate(" + (plot.x - 62) + " " + px(plot.y + plot.height / 2) + ") rotate(-90)\" text-anchor=\"middle\">" +
+        y.title + "</text>");
+
+    return out;
+}
+
+/**
+ * Chart frame mapping data coordinates to the plot area
+ * @param {Object} options - Chart options with width, height, margin and font overrides
+ * @param {{min: number, max: number}} x - X axis range
+ * @param {{min: number, max: number}} y - Y axis range
+ * @returns {Object} Frame {width, height, font, plot, sx, sy}
+ */
+function chartFrame(options, x, y) {
+    const { width = CHART_DEFAULTS.width, height = CHART_DEFAULTS.height, font = CHART_DEFAULTS.font } = options;
+    const margin = Object.assign({}, CHART_DEFAULTS.margin, options.margin);
+    const plot = {
+        x: margin.left,
+        y: margin.top,
+        width: width - margin.left - margin.right,
+        height: height - margin.top - margin.bottom
+    };
+
+    return {
+        width,
+        height,
+        font,
+        plot,
+        sx: v => plot.x + (v - x.min) / (x.max - x.min) * plot.width,
+        sy: v => plot.y + plot.height - (v - y.min) / (y.max - y.min) * plot.height
+    };
+}
+
+/**
+ * Legend entries at the right of the plot area
+ * @param {Object} frame - Chart frame
+ * @param {Array<{label: string, color: string, swatch: string}>} entries - Entries; swatch "line" or "area"
+ * @returns {Array<string>} SVG lines
+ */
+function svgLegend(frame, entries) {
+    const x = frame.plot.x + frame.plot.width + 16;
+    const out = [];
+
+    entries.forEach((entry, i) => {
+        const y = frame.plot.y + 8 + i * 20;
+        if (entry.swatch === "area") {
+            out.push("<rect x=\"" + x + "\" y=\"" + (y - 6) + "\" width=\"24\" height=\"12\" fill=\"" + entry.color + "\" stroke=\"#9ab\"/>");
+        } else {
+            out.push("<line x1=\"" + x + "\" y1=\"" + y + "\" x2=\"" + (x + 24) + "\" y2=\"" + y + "\" stroke=\"" + entry.color +
+                "\" stroke-width=\"2\"" + (entry.dashed ? " stroke-dasharray=\"5 4\"" : "") + "/>");
+        }
+        out.push("<text x=\"" + (x + 30) + "\" y=\"" + (y + 4) + "\">" + escapeMarkup(entry.label) + "</text>");
+    });
+
+    return out;
+}
+
+/**
+ * Unit of a chart axis argument
+ * @param {string} arg - Argument name
+ * @returns {string} Unit the SW_* functions use for it
+ */
+function argumentUnit(arg) {
+    return UNITS[ARGUMENTS[arg]].base;
+}
+
+/**
+ * SVG chart of a property against temperature, with one isoline per salinity
+ *
+ * Each isoline is sampled at evenly spaced temperatures. The shaded band is the validity envelope:
+ * the temperatures at which the function is valid for at least one plotted salinity (see isValid).
+ * Points of an isoline outside its validity range are gaps under the "throw" and "nan" range
+ * policies; under "clamp" and "extrapolate" they are drawn dashed. The SVG is self-contained and needs no fonts or scripts.
+ * @example
+ * const svg = isolineChart({ property: "SW_Density", T: [0, 120], S: [0, 35, 70, 120], P: 0.101325 });
+ * fs.writeFileSync("density.svg", svg);
+ * @param {Object} options - Chart specification
+ * @param {string} options.property - SW_* function taking T, e.g. "SW_Viscosity"
+ * @param {Array<number>} options.T - Temperature range [min, max] [°C] (ITS-90)
+ * @param {Array<number>} [options.S=[0, 35, 70, 105]] - Salinity of each isoline [g/kg]
+ * @param {number} [options.P=0.101325] - Pressure, if the function takes one [MPa]
+ * @param {number} [options.points=121] - Samples per isoline
+ * @param {string} [options.unit] - Output unit of the property, converted from the function's unit
+ * @param {string} [options.title] - Chart title; the function name by default
+ * @param {number} [options.width=720] - SVG width [px]
+ * @param {number} [options.height=440] - SVG height [px]
+ * @returns {string} SVG document
+ * @throws {Error} If the function cannot be charted against T, the ranges are invalid or no point
+ *         can be evaluated
+ */
+function isolineChart(options) {
+    const { property: fnName, T, S = [0, 35, 70, 105], P = 0.101325, points = 121 } = options;
+    const meta = chartFunction(fnName, ["T"]);
+    const unit = options.unit || meta.unit;
+
+    if (!(Array.isArray(T) && T[1] > T[0])) {
+        throw new Error("Isoline chart requires a temperature range [min, max] with max > min");
+    }
+    if (!(Number.isInteger(points) && points >= 2)) {
+        throw new Error("Isoline chart requires at least 2 points per isoline");
+    }
+
+    const Ts = linspace(T[0], T[1], points);
+    const salinities = meta.args.includes("S") ? S : [S[0]];
+    const inputs = { T: Ts, P };
+
+    const lines = salinities.map(s => {
+        inputs.S = s;
+        const { values, status } = evaluate(fnName, ...meta.args.map(arg => inputs[arg]));
+        const y = Array.from(values, v => Number.isFinite(v) && unit !== meta.unit ? convert(v, meta.unit, unit, meta.output) : v);
+        return { S: s, y, status };
+    });
+
+    const finite = [];
+    for (const line of lines) {
+        for (const y of line.y) {
+            if (Number.isFinite(y)) {
+                finite.push(y);
+            }
+        }
+    }
+    if (finite.length === 0) {
+        throw new Error("No point of " + fnName + " can be evaluated in the chart range");
+    }
+
+    const xAxis = niceTicks(T[0], T[1]);
+    xAxis.min = T[0];
+    xAxis.max = T[1];
+    xAxis.ticks = xAxis.ticks.filter(t => t >= T[0] - 1e-9 && t <= T[1] + 1e-9);
+    const [yMin, yMax] = extent(finite);
+    const yAxis = niceTicks(yMin, yMax);
+    xAxis.scale = 0;
+    yAxis.scale = engineeringScale(finite);
+    xAxis.title = axisTitle("T", argumentUnit("T"));
+    yAxis.title = axisTitle(fnName, unit, yAxis.scale);
+
+    const frame = chartFrame(options, xAxis, yAxis);
+    const out = svgHeader(frame, options.title || fnName + (meta.args.includes("P") ? " at P = " + P + " MPa" : ""));
+
+    // Validity envelope: runs of temperatures valid at some salinity, widened to the sample midpoints
+    const valid = Ts.map(t => salinities.some(s => {
+        inputs.S = s;
+        inputs.T = t;
+        return seawater.isValid(fnName, ...meta.args.map(arg => inputs[arg]));
+    }));
+    out.push("<g fill=\"" + CHART_DEFAULTS.envelope + "\">");
+    for (let i = 0; i < points; i++) {
+        if (!valid[i] || (i > 0 && valid[i - 1])) {
+            continue;
+        }
+        let j = i;
+        while (j + 1 < points && valid[j + 1]) {
+            j++;
+        }
+        const x0 = frame.sx(i === 0 ? Ts[0] : (Ts[i - 1] + Ts[i]) / 2);
+        const x1 = frame.sx(j === points - 1 ? Ts[j] : (Ts[j] + Ts[j + 1]) / 2);
+        out.push("<rect x=\"" + px(x0) + "\" y=\"" + frame.plot.y + "\" width=\"" + px(x1 - x0) + "\" height=\"" + frame.plot.height + "\"/>");
+    }
+    out.push("</g>");
+
+    out.push(...svgAxes(frame, xAxis, yAxis));
+
+    // Isolines, split into runs of solid (valid) and dashed (out of range) segments
+    out.push("<g clip-path=\"url(#plot-area)\" fill=\"none\" stroke-width=\"2\" stroke-linejoin=\"round\">");
+    lines.forEach((line, k) => {
+        const color = CHART_DEFAULTS.colors[k % CHART_DEFAULTS.colors.length];
+        const runs = { solid: [], dashed: [] };
+        let current = null;
+        let style = null;
+
+        for (let i = 1; i < points; i++) {
+            if (!Number.isFinite(line.y[i - 1]) || !Number.isFinite(line.y[i])) {
+                current = null;
+                continue;
+            }
+            const segmentStyle = line.status[i - 1] === STATUS.OK && line.status[i] === STATUS.OK ? "solid" : "dashed";
+            if (current === null || segmentStyle !== style) {
+                current = [[Ts[i - 1], line.y[i - 1]]];
+                runs[segmentStyle].push(current);
+                style = segmentStyle;
+            }
+            current.push([Ts[i], line.y[i]]);
+        }
+
+        for (const segmentStyle of ["solid", "dashed"]) {
+            if (runs[segmentStyle].length === 0) {
+                continue;
+            }
+            const d = runs[segmentStyle].map(run => "M" + run.map(([t, v]) => px(frame.sx(t)) + " " + px(frame.sy(v))).join("L")).join("");
+            out.push("<path d=\"" + d + "\" stroke=\"" + color + "\"" + (segmentStyle === "dashed" ? " stroke-dasharray=\"5 4\"" : "") + "/>");
+        }
+    });
+    out.push("</g>");
+
+    const legend = lines.map((line, k) => ({
+        label: meta.args.includes("S") ? "S = " + line.S + " " + argumentUnit("S") : fnName,
+        color: CHART_DEFAULTS.colors[k % CHART_DEFAULTS.colors.length]
+    }));
+    legend.push({ label: "Validity envelope", color: CHART_DEFAULTS.envelope, swatch: "area" });
+    if (lines.some(line => Array.from(line.status).some((s, i) => s === STATUS.OUT_OF_RANGE && Number.isFinite(line.y[i])))) {
+        legend.push({ label: "Out of range", color: "#666666", dashed: true });
+    }
+    out.push(...svgLegend(frame, legend));
+
+    out.push("</svg>", "");
+    return out.join("\n");
+}
+
+/**
+ * Linear color ramp from blue to red
+ * @param {number} f - Position in [0, 1]
+ * @returns {string} CSS color
+ */
+function rampColor(f) {
+    const from = [44, 123, 182];
+    const to = [215, 25, 28];
+    return "rgb(" + from.map((c, i) => Math.round(c + (to[i] - c) * f)).join(",") + ")";
+}
+
+/**
+ * Contour segments of one level over a grid by marching squares
+ * @param {Array<number>} xs - X coordinates of the grid columns
+ * @param {Array<number>} ys - Y coordinates of the grid rows
+ * @param {function(number, number): number} z - Value at column i, row j; NaN where undefined
+ * @param {number} level - Contour level
+ * @returns {Array<Array<Array<number>>>} Segments [[x0, y0], [x1, y1]] in data coordinates
+ */
+function marchingSquares(xs, ys, z, level) {
+    const segments = [];
+
+    for (let i = 0; i + 1 < xs.length; i++) {
+        for (let j = 0; j + 1 < ys.length; j++) {
+            // Corners counterclockwise from (x_i, y_j)
+            const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+            const values = corners.map(([a, b]) => z(a, b));
+            if (!values.every(Number.isFinite)) {
+                continue;
+            }
+
+            // Crossing point on each edge whose ends lie on opposite sides of the level
+            const crossings = [];
+            for (let e = 0; e < 4; e++) {
+                const v0 = values[e];
+                const v1 = values[(e + 1) % 4];
+                if ((v0 < level) === (v1 < level)) {
+                    continue;
+                }
+                const f = (level - v0) / (v1 - v0);
+                const [a0, b0] = corners[e];
+                const [a1, b1] = corners[(e + 1) % 4];
+                crossings.push({
+                    edge: e,
+                    point: [xs[a0] + f * (xs[a1] - xs[a0]), ys[b0] + f * (ys[b1] - ys[b0])]
+                });
+            }
+
+            if (crossings.length === 2) {
+                segments.push([crossings[0].point, crossings[1].point]);
+            } else if (crossings.length === 4) {
+                // Saddle: the cell-center average decides which corners are connected
+                const center = values.reduce((sum, v) => sum + v, 0) / 4;
+                const firstAbove = values[0] >= level;
+                if ((center >= level) === firstAbove) {
+                    segments.push([crossings[0].point, crossings[1].point], [crossings[2].point, crossings[3].point]);
+                } else {
+                    segments.push([crossings[1].point, crossings[2].point], [crossings[3].point, crossings[0].point]);
+                }
+            }
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * SVG contour plot of a property over the temperature-salinity plane
+ *
+ * The property is evaluated on a grid of resolution x resolution points and contoured by marching
+ * squares. The shaded area is the validity envelope (see isValid); contours outside it exist only
+ * under the "clamp" and "extrapolate" range policies and are then drawn dashed.
+ * @example
+ * const svg = contourChart({ property: "SW_Density", T: [0, 120], S: [0, 120], levels: 12 });
+ * fs.writeFileSync("density-ts.svg", svg);
+ * @param {Object} options - Chart specification
+ * @param {string} options.property - SW_* function taking T and S, e.g. "SW_Density"
+ * @param {Array<number>} options.T - Temperature range [min, max] [°C] (ITS-90)
+ * @param {Array<number>} options.S - Salinity range [min, max] [g/kg]
+ * @param {number} [options.P=0.101325] - Pressure, if the function takes one [MPa]
+ * @param {number|Array<number>} [options.levels=10] - Contour levels, or their approximate number
+ * @param {number} [options.resolution=61] - Grid points along each axis
+ * @param {string} [options.unit] - Output unit of the property, converted from the function's unit
+ * @param {string} [options.title] - Chart title; the function name by default
+ * @param {number} [options.width=720] - SVG width [px]
+ * @param {number} [options.height=440] - SVG height [px]
+ * @returns {string} SVG document
+ * @throws {Error} If the function cannot be charted over T and S, the ranges are invalid or no point
+ *         can be evaluated
+ */
+function contourChart(options) {
+    const { property: fnName, T, S, P = 0.101325, levels = 10, resolution = 61 } = options;
+    const meta = chartFunction(fnName, ["T", "S"]);
+    const unit = options.unit || meta.unit;
+
+    if (!(Array.isArray(T) && T[1] > T[0] && Array.isArray(S) && S[1] > S[0])) {
+        throw new Error("Contour chart requires temperature and salinity ranges [min, max] with max > min");
+    }
+    if (!(Number.isInteger(resolution) && resolution >= 2)) {
+        throw new Error("Contour chart requires a resolution of at least 2 points");
+    }
+
+    const Ts = linspace(T[0], T[1], resolution);
+    const Ss = linspace(S[0], S[1], resolution);
+    const axes = { T: Ts, S: Ss, P: [P] };
+    const grid = evaluateGrid(fnName, ...meta.args.map(arg => axes[arg]));
+
+    // Row-major strides of the grid, last argument fastest
+    const strides = {};
+    let stride = 1;
+    for (let k = meta.args.length - 1; k >= 0; k--) {
+        strides[meta.args[k]] = stride;
+        stride *= grid.shape[k];
+    }
+    const index = (i, j) => i * strides.T + j * strides.S;
+    const value = (i, j) => {
+        const v = grid.values[index(i, j)];
+        return Number.isFinite(v) && unit !== meta.unit ? convert(v, meta.unit, unit, meta.output) : v;
+    };
+    const ok = (i, j) => grid.status[index(i, j)] === STATUS.OK;
+
+    const finite = [];
+    for (let i = 0; i < resolution; i++) {
+        for (let j = 0; j < resolution; j++) {
+            if (Number.isFinite(value(i, j))) {
+                finite.push(value(i, j));
+            }
+        }
+    }
+    if (finite.length === 0) {
+        throw new Error("No point of " + fnName + " can be evaluated in the chart range");
+    }
+
+    const [zMin, zMax] = extent(finite);
+    const levelStep = Array.isArray(levels) ? null : niceTicks(zMin, zMax, levels).step;
+    const contourLevels = Array.isArray(levels) ? levels.slice().sort((a, b) => a - b) :
+        niceTicks(zMin, zMax, levels).ticks.filter(l => l > zMin && l < zMax);
+    const zScale = engineeringScale(finite);
+
+    const xAxis = { min: T[0], max: T[1], scale: 0, title: axisTitle("T", argumentUnit("T")) };
+    const yAxis = { min: S[0], max: S[1], scale: 0, title: axisTitle("S", argumentUnit("S")) };
+    for (const [axis, range] of [[xAxis, T], [yAxis, S]]) {
+        const ticks = niceTicks(range[0], range[1]);
+        axis.step = ticks.step;
+        axis.ticks = ticks.ticks.filter(t => t >= range[0] - 1e-9 && t <= range[1] + 1e-9);
+    }
+
+    const frame = chartFrame(options, xAxis, yAxis);
+    const out = svgHeader(frame, options.title || fnName + (meta.args.includes("P") ? " at P = " + P + " MPa" : ""));
+
+    // Validity envelope: grid cells whose four corners are valid, merged along temperature
+    const validPoint = [];
+    for (let i = 0; i < resolution; i++) {
+        validPoint.push(Ss.map(s => seawater.isValid(fnName, ...meta.args.map(arg => arg === "T" ? Ts[i] : arg === "S" ? s : P))));
+    }
+    const validCell = (i, j) => validPoint[i][j] && validPoint[i + 1][j] && validPoint[i][j + 1] && validPoint[i + 1][j + 1];
+    out.push("<g fill=\"" + CHART_DEFAULTS.envelope + "\" shape-rendering=\"crispEdges\">");
+    for (let j = 0; j + 1 < resolution; j++) {
+        for (let i = 0; i + 1 < resolution; i++) {
+            if (!validCell(i, j) || (i > 0 && validCell(i - 1, j))) {
+                continue;
+            }
+            let k = i;
+            while (k + 2 < resolution && validCell(k + 1, j)) {
+                k++;
+            }
+            const x0 = frame.sx(Ts[i]);
+            const x1 = frame.sx(Ts[k + 1]);
+            const y0 = frame.sy(Ss[j + 1]);
+            const y1 = frame.sy(Ss[j]);
+            out.push("<rect x=\"" + px(x0) + "\" y=\"" + px(y0) + "\" width=\"" + px(x1 - x0) + "\" height=\"" + px(y1 - y0) + "\"/>");
+        }
+    }
+    out.push("</g>");
+
+    out.push(...svgAxes(frame, xAxis, yAxis));
+
+    // Contours, solid within the envelope and dashed outside it, each labelled at its middle segment
+    out.push("<g clip-path=\"url(#plot-area)\" fill=\"none\" stroke-width=\"1.5\">");
+    const labels = [];
+    contourLevels.forEach((level, n) => {
+        const color = rampColor(contourLevels.length > 1 ? n / (contourLevels.length - 1) : 0.5);
+        const solid = marchingSquares(Ts, Ss, (i, j) => ok(i, j) ? value(i, j) : NaN, level);
+        const all = marchingSquares(Ts, Ss, value, level);
+        const inside = new Set(solid.map(seg => seg.map(p => p.join(",")).join(";")));
+        const dashed = all.filter(seg => !inside.has(seg.map(p => p.join(",")).join(";")));
+        const path = segments => segments.map(([[x0, y0], [x1, y1]]) =>
+            "M" + px(frame.sx(x0)) + " " + px(frame.sy(y0)) + "L" + px(frame.sx(x1)) + " " + px(frame.sy(y1))).join("");
+
+        if (solid.length > 0) {
+            out.push("<path d=\"" + path(solid) + "\" stroke=\"" + color + "\"/>");
+        }
+        if (dashed.length > 0) {
+            out.push("<path d=\"" + path(dashed) + "\" stroke=\"" + color + "\" stroke-dasharray=\"4 3\"/>");
+        }
+
+        const labelled = solid.length > 0 ? solid : dashed;
+        if (labelled.length > 0) {
+            const [[x0, y0], [x1, y1]] = labelled[Math.floor(labelled.length / 2)];
+            const text = levelStep === null ? String(Number((level / Math.pow(10, zScale)).toPrecision(6))) :
+                tickLabel(level / Math.pow(10, zScale), levelStep / Math.pow(10, zScale));
+            labels.push("<text x=\"" + px(frame.sx((x0 + x1) / 2)) + "\" y=\"" + px(frame.sy((y0 + y1) / 2) + 4) +
+                "\" fill=\"" + color + "\" text-anchor=\"middle\" stroke=\"#ffffff\" stroke-width=\"3\" paint-order=\"stroke\">" +
+                escapeMarkup(text) + "</text>");
+        }
+    });
+    out.push("</g>");
+    out.push("<g font-size=\"11\">", ...labels, "</g>");
+
+    const legend = [
+        { label: fnName, color: rampColor(0.5) },
+        { label: "Validity envelope", color: CHART_DEFAULTS.envelope, swatch: "area" }
+    ];
+    out.push(...svgLegend(frame, legend));
+    out.push("<text x=\"" + (frame.plot.x + frame.plot.width + 16) + "\" y=\"" + (frame.plot.y + 60) + "\">" +
+        axisTitle("", unit, zScale) + "</text>");
+
+    out.push("</svg>", "");
+    return out.join("\n");
+}
+
+// Export functions
+module.exports = {
+    CHART_DEFAULTS,
+    contourChart,
+    isolineChart
+};
@@ -0,0 +1,462 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - COMMAND-LINE INTERFACE
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const fs = require("fs");
+const { pipeline } = require("stream");
+const seawater = require("./seawater-mit");
+const { FUNCTIONS } = require("./seawater-units");
+const { PROPERTIES, SeawaterState } = require("./seawater-state");
+const { PropertyStream, csvField } = require("./seawater-stream");
+
+
+/**
+ * Exit codes of the command-line interface
+ * @readonly
+ * @enum {number}
+ */
+const EXIT = Object.freeze({
+    OK: 0,
+    EVALUATION_ERROR: 1,    // A point was out of range or could not be evaluated
+    USAGE_ERROR: 2          // Unknown command, option or malformed input
+});
+
+const USAGE = `Usage: node seawater-mit.js <command> [inputs] [--format table|csv|json]
+
+Commands:
+  <function>   Evaluate one property function, e.g. density, SW_Enthalpy, t_from_h
+  all          Evaluate every property of the state at -T, -S and -P
+  list         List the property functions with their arguments, units and validity ranges
+  stream       Append property columns to CSV or JSON lines records, from standard input
+               or --input to standard output or --output (--format csv|jsonl)
+  help         Show this message
+
+Inputs are given by argument name, -T 25 or --T=25, and are case-sensitive (-S salinity,
+-s entropy). A comma-separated list, -T 10,20,30, evaluates every combination of values.
+For stream, --properties lists the functions (or column=function pairs) to append and
+-T <column> names the input column of an argument, or -P 0.1 gives it a constant value;
+rows out of range get an error column.
+
+Examples:
+  node seawater-mit.js density -T 25 -S 35 -P 0.1
+  node seawater-mit.js all -T 25 -S 35 -P 0.101325 --format json
+  node seawater-mit.js psat -T 40,60,80 -S 0,35,70 --format csv
+  node seawater-mit.js stream --properties density,rho_ref=density,osmpress -T temp_C < in.csv > out.csv
+
+Exit codes: 0 success, 1 out-of-range or failed evaluation, 2 usage error.`;
+
+/**
+ * Error in the command line, reported with the usage hint and exit code 2
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+/**
+ * Resolves a command-line function name, case-insensitive and with or without the SW_ prefix
+ * @param {string} name - Name as typed, e.g. "density", "SW_Density" or "T_from_h"
+ * @returns {?string} Exported function name, or null if there is none
+ */
+function resolveFunctionName(name) {
+    const key = name.toLowerCase().replace(/^sw_/, "");
+    return Object.keys(FUNCTIONS).find(fn => fn.slice(3).toLowerCase() === key) || null;
+}
+
+/**
+ * Parses the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{command: ?string, options: Object<string, string>, format: (string|undefined)}} Command,
+ *          option values by name and output format, if given
+ * @throws {UsageError} If an option is malformed or has no value
+ */
+function parseArgs(argv) {
+    const options = {};
+    let command = null;
+    let format;
+
+    for (let i = 0; i < argv.length; i++) {
+        const token = argv[i];
+        const match = /^--?([A-Za-z][A-Za-z0-9_]*)(?:=(.*))?$/.exec(token);
+
+        if (!match) {
+            if (command !== null) {
+                throw new UsageError("Unexpected argument: " + token);
+            }
+            command = token;
+            continue;
+        }
+
+        const name = match[1];
+        if (name === "help") {
+            command = "help";
+            continue;
+        }
+
+        let value = match[2];
+        if (value === undefined) {
+            if (i + 1 >= argv.length) {
+                throw new UsageError("Missing value for " + token);
+            }
+            value = argv[++i];
+        }
+
+        if (name === "format") {
+            format = value;
+        } else {
+            options[name] = value;
+        }
+    }
+
+    return { command, options, format };
+}
+
+/**
+ * Converts the options of an evaluation command to lists of numbers
+ * @param {Object<string, string>} options - Option values, each a comma-separated list
+ * @returns {Object<string, Array<number>>} Input values by argument name
+ * @throws {UsageError} If a value is not a number
+ */
+function numericInputs(options) {
+    const inputs = {};
+
+    for (const name of Object.keys(options)) {
+        inputs[name] = options[name].split(",").map(text => {
+            const number = Number(text);
+            if (text.trim() === "" || Number.isNaN(number)) {
+                throw new UsageError("Value of " + name + " must be a number: " + text);
+            }
+            return number;
+        });
+    }
+
+    return inputs;
+}
+
+/**
+ * Every combination of the input values
+ * @param {Array<string>} names - Input names, in the order they vary (last fastest)
+ * @param {Object<string, Array<number>>} inputs - Values of each input
+ * @returns {Array<Object<string, number>>} One object per combination
+ */
+function combinations(names, inputs) {
+    let points = [{}];
+
+    for (const name of names) {
+        const next = [];
+        for (const point of points) {
+            for (const value of inputs[name]) {
+                next.push(Object.assign({}, point, { [name]: value }));
+            }
+        }
+        points = next;
+    }
+
+    return points;
+}
+
+/**
+ * Describes an evaluation error for the error column and standard error
+ * @param {Error} err - Error thrown by a property function
+ * @returns {string} Readable message
+ */
+function describeError(err) {
+    if (err instanceof seawater.SeawaterRangeError) {
+        return err.message + " (" + err.variable + " = " + err.value + " in " + err.functionName + ")";
+    }
+    return err.message;
+}
+
+/**
+ * Formats a value for the table output
+ * @param {*} value - Cell value
+ * @returns {string} Text
+ */
+function formatCell(value) {
+    if (typeof value === "number") {
+        return Number.isFinite(value) ? String(Number(value.toPrecision(8))) : String(value);
+    }
+    return value === null || value === undefined ? "" : String(value);
+}
+
+/**
+ * Renders rows in one of the output formats
+ * @param {Array<{key: string, label: string}>} columns - Row keys and their header labels
+ * @param {Array<Object>} rows - Rows to render
+ * @param {string} format - "table", "csv" or "json"
+ * @returns {string} Rendered text, ending with a newline
+ */
+function render(columns, rows, format) {
+    if (format === "json") {
+        const objects = rows.map(row => {
+            const out = {};
+            for (const { key } of columns) {
+                if (row[key] !== undefined) {
+                    out[key] = row[key];
+                }
+            }
+            return out;
+        });
+        return JSON.stringify(objects, null, 2) + "\n";
+    }
+
+    if (format === "csv") {
+        const lines = [columns.map(c => csvField(c.label)).join(",")];
+        for (const row of rows) {
+            lines.push(columns.map(c => csvField(row[c.key])).join(","));
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    const cells = [columns.map(c => c.label)].concat(rows.map(row => columns.map(c => formatCell(row[c.key]))));
+    const widths = columns.map(() => 0);
+    for (const values of cells) {
+        values.forEach((text, j) => {
+            widths[j] = Math.max(widths[j], text.length);
+        });
+    }
+    const line = values => values.map((text, j) => text.padEnd(widths[j])).join("  ").trimEnd();
+
+    return [line(cells[0]), widths.map(w => "-".repeat(w)).join("  ")]
+        .concat(cells.slice(1).map(line)).join("\n") + "\n";
+}
+
+/**
+ * Evaluates one property function at every combination of the inputs
+ * @param {string} fnName - Exported function name
+ * @param {Object<string, Array<number>>} inputs - Input values by argument name
+ * @returns {{columns: Array<Object>, rows: Array<Object>, failed: number}} Result table and number of failed rows
+ * @throws {UsageError} If an input is unknown or a required input is missing
+ */
+function evaluateFunction(fnName, inputs) {
+    const meta = FUNCTIONS[fnName];
+    const optional = meta.optional || [];
+
+    for (const name of Object.keys(inputs)) {
+        if (!meta.args.includes(name)) {
+            throw new UsageError("Unknown input -" + name + " for " + fnName + "; expected " + meta.args.join(", "));
+        }
+    }
+
+    for (const arg of meta.args) {
+        if (!(arg in inputs) && !optional.includes(arg)) {
+            throw new UsageError("Missing input -" + arg + " for " + fnName);
+        }
+    }
+
+    const given = meta.args.filter(arg => arg in inputs);
+    const rows = combinations(given, inputs);
+    let failed = 0;
+
+    for (const row of rows) {
+        try {
+            row[fnName] = seawater[fnName](...meta.args.map(arg => row[arg]));
+        } catch (err) {
+            if (!(err instanceof seawater.SeawaterRangeError)) {
+                throw err;
+            }
+            row[fnName] = null;
+            row.error = describeError(err);
+            failed++;
+        }
+    }
+
+    const units = seawater.getValidity(fnName).limits;
+    const columns = given.map(arg => ({ key: arg, label: arg + " [" + units[arg].unit + "]" }))
+        .concat([{ key: fnName, label: fnName + " [" + meta.unit + "]" }]);
+    if (failed > 0) {
+        columns.push({ key: "error", label: "error" });
+    }
+
+    return { columns, rows, failed };
+}
+
+/**
+ * Evaluates every SeawaterState property at every combination of T, S and P
+ * @param {Object<string, Array<number>>} inputs - Values of T, S and P
+ * @returns {{columns: Array<Object>, rows: Array<Object>, failed: number}} Result table; properties out
+ *          of range at a state are null, and a row fails only if none of its properties could be evaluated
+ * @throws {UsageError} If an input other than T, S and P is given, or one of them is missing
+ */
+function evaluateAll(inputs) {
+    for (const name of Object.keys(inputs)) {
+        if (!["T", "S", "P"].includes(name)) {
+            throw new UsageError("Unknown input -" + name + " for all; expected T, S, P");
+        }
+    }
+
+    for (const name of ["T", "S", "P"]) {
+        if (!(name in inputs)) {
+            throw new UsageError("Missing input -" + name + " for all");
+        }
+    }
+
+    const names = Object.keys(PROPERTIES);
+    const rows = combinations(["T", "S", "P"], inputs).map(point => new SeawaterState(point.T, point.S, point.P).toJSON());
+    const failed = rows.filter(row => names.every(name => row[name] === null)).length;
+
+    const columns = [
+        { key: "T", label: "T [C]" }, { key: "S", label: "S [g/kg]" }, { key: "P", label: "P [MPa]" }
+    ].concat(names.map(name => ({ key: name, label: name + " [" + PROPERTIES[name].unit + "]" })));
+
+    return { columns, rows, failed };
+}
+
+/**
+ * Lists the property functions with their arguments, output units and validity ranges
+ * @returns {{columns: Array<Object>, rows: Array<Object>, failed: number}} One row per function
+ */
+function listFunctions() {
+    const bound = value => typeof value === "number" ? String(value) : value;
+    const rows = Object.keys(FUNCTIONS).map(fn => {
+        const validity = seawater.getValidity(fn);
+        const limits = Object.keys(validity.limits).map(v => {
+            const { min, max, unit } = validity.limits[v];
+            return v + ": " + bound(min) + " .. " + bound(max) + " " + unit;
+        });
+
+        return {
+            function: fn,
+            arguments: validity.args.join(" "),
+            unit: FUNCTIONS[fn].unit,
+            validity: limits.join("; ") + (validity.conditions.length > 0 ? " (conditional limits apply)" : "")
+        };
+    });
+
+    const columns = ["function", "arguments", "unit", "validity"].map(key => ({ key, label: key }));
+    return { columns, rows, failed: 0 };
+}
+
+/**
+ * Sets up the stream command: a PropertyStream between the input and output files or streams
+ * @param {Object<string, string>} options - Options: properties, input, output, delimiter,
+ *        errorColumn and the input column of each function argument
+ * @param {string} format - "csv" or "jsonl"
+ * @param {stream.Readable} stdin - Input if no --input file is given
+ * @param {stream.Writable} stdout - Output if no --output file is given
+ * @param {{write: function(string)}} stderr - Stream receiving error messages
+ * @returns {Promise<number>} Exit code once the input is processed, see EXIT
+ * @throws {UsageError} If the properties are missing or name an unknown function
+ */
+function runStream(options, format, stdin, stdout, stderr) {
+    const { properties, input, output, delimiter, errorColumn } = options;
+
+    if (properties === undefined) {
+        throw new UsageError("Missing --properties for stream");
+    }
+
+    const mapped = {};
+    for (const item of properties.split(",")) {
+        const [column, name] = item.includes("=") ? item.split("=") : [null, item];
+        const fnName = resolveFunctionName(name);
+        if (fnName === null) {
+            throw new UsageError("Unknown function in --properties: " + name + "; see node seawater-mit.js list");
+        }
+        mapped[column === null ? fnName : column] = fnName;
+    }
+
+    const columns = {};
+    for (const name of Object.keys(options)) {
+        if (!["properties", "input", "output", "delimiter", "errorColumn"].includes(name)) {
+            // A numeric value is a constant input rather than a column name
+            const value = options[name];
+            columns[name] = value.trim() !== "" && !Number.isNaN(Number(value)) ? Number(value) : value;
+        }
+    }
+
+    const processor = new PropertyStream({ properties: mapped, columns, format, delimiter, errorColumn });
+    const source = input === undefined ? stdin : fs.createReadStream(input);
+    const sink = output === undefined ? stdout : fs.createWriteStream(output);
+
+    return new Promise(resolve => {
+        pipeline(source, processor, sink, err => {
+            if (err) {
+                stderr.write("Error: " + err.message + "\n");
+                resolve(EXIT.EVALUATION_ERROR);
+            } else {
+                resolve(EXIT.OK);
+            }
+        });
+    });
+}
+
+/**
+ * Runs the command-line interface
+ * @example
+ * run(["density", "-T", "25", "-S", "35", "-P", "0.1"]);
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {{write: function(string)}} [stdout=process.stdout] - Stream receiving the results
+ * @param {{write: function(string)}} [stderr=process.stderr] - Stream receiving error messages
+ * @param {stream.Readable} [stdin=process.stdin] - Input of the stream command
+ * @returns {number|Promise<number>} Exit code, see EXIT; a promise of it for the stream command
+ */
+function run(argv, stdout = process.stdout, stderr = process.stderr, stdin = process.stdin) {
+    let result;
+
+    try {
+        const { command, options, format = command === "stream" ? "csv" : "table" } = parseArgs(argv);
+
+        if (command === null || command === "help") {
+            (command === null ? stderr : stdout).write(USAGE + "\n");
+            return command === null ? EXIT.USAGE_ERROR : EXIT.OK;
+        }
+
+        if (command === "stream") {
+            if (!["csv", "jsonl"].includes(format)) {
+                throw new UsageError("Unknown format for stream: " + format + "; expected csv or jsonl");
+            }
+            return runStream(options, format, stdin, stdout, stderr);
+        }
+
+        if (!["table", "csv", "json"].includes(format)) {
+            throw new UsageError("Unknown format: " + format + "; expected table, csv or json");
+        }
+
+        if (command === "list") {
+            const names = Object.keys(options);
+            if (names.length > 0) {
+                throw new UsageError("Unknown input -" + names[0] + " for list; list takes no inputs");
+            }
+            result = listFunctions();
+        } else if (command === "all") {
+            result = evaluateAll(numericInputs(options));
+        } else {
+            const fnName = resolveFunctionName(command);
+            if (fnName === null) {
+                throw new UsageError("Unknown command or function: " + command + "; see node seawater-mit.js list");
+            }
+            result = evaluateFunction(fnName, numericInputs(options));
+        }
+
+        // A single failed point is reported on standard error only
+        if (!(result.failed > 0 && result.rows.length === 1)) {
+            stdout.write(render(result.columns, result.rows, format));
+        }
+    } catch (err) {
+        if (err instanceof UsageError) {
+            stderr.write("Error: " + err.message + "\n\n" + USAGE + "\n");
+            return EXIT.USAGE_ERROR;
+        }
+        stderr.write("Error: " + describeError(err) + "\n");
+        return EXIT.EVALUATION_ERROR;
+    }
+
+    if (result.failed > 0) {
+        const errors = result.rows.filter(row => row.error).map(row => row.error);
+        stderr.write("Error: " + (result.rows.length === 1 ? errors[0] || "evaluation failed" :
+            result.failed + " of " + result.rows.length + " points could not be evaluated") + "\n");
+        return EXIT.EVALUATION_ERROR;
+    }
+
+    return EXIT.OK;
+}
+
+// Export functions
+module.exports = {
+    EXIT,
+    render,
+    run
+};
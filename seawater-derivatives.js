@@ -0,0 +1,993 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - ANALYTIC PARTIAL DERIVATIVES
+ * https://github.com/tobony/seawater-MIT-js
+ *
+ * The correlations of seawater-mit.js evaluated on dual numbers (forward-mode automatic
+ * differentiation), so that every property comes with its exact partial derivatives. The
+ * coefficients are those of seawater-mit.js (COEFFICIENTS), so the two cannot drift apart.
+ */
+
+const seawater = require("./seawater-mit");
+
+const { COEFFICIENTS } = seawater;
+
+
+/**
+ * Dual number: a value and its gradient with respect to the seeded arguments
+ */
+class Dual {
+    /**
+     * @param {number} v - Value
+     * @param {Array<number>} d - Partial derivatives, one per seeded argument; missing entries are zero
+     */
+    constructor(v, d) {
+        this.v = v;
+        this.d = d;
+    }
+}
+
+/**
+ * Wraps a number as a constant dual number; dual numbers are returned unchanged
+ * @param {number|Dual} x - Number or dual number
+ * @returns {Dual} Dual number
+ */
+function lift(x) {
+    return x instanceof Dual ? x : new Dual(x, []);
+}
+
+/**
+ * Gradient fa * a.d + fb * b.d; zero entries stay zero even if a factor is infinite
+ * @param {Dual} a - First operand
+ * @param {Dual} b - Second operand
+ * @param {number} fa - Factor of the gradient of a
+ * @param {number} fb - Factor of the gradient of b
+ * @returns {Array<number>} Combined gradient
+ */
+function combine(a, b, fa, fb) {
+    const n = Math.max(a.d.length, b.d.length);
+    const d = new Array(n);
+
+    for (let i = 0; i < n; i++) {
+        const da = a.d[i] || 0;
+        const db = b.d[i] || 0;
+        d[i] = (da === 0 ? 0 : fa * da) + (db === 0 ? 0 : fb * db);
+    }
+
+    return d;
+}
+
+/**
+ * Applies the chain rule for a function of one argument
+ * @param {Dual} a - Argument
+ * @param {number} v - Function value
+ * @param {number} dv - Derivative of the function at a.v
+ * @returns {Dual} Function value and gradient
+ */
+function chain(a, v, dv) {
+    return new Dual(v, a.d.map(da => da === 0 ? 0 : dv * da));
+}
+
+/**
+ * @param {number|Dual} a - First operand
+ * @param {number|Dual} b - Second operand
+ * @returns {Dual} a + b
+ */
+function add(a, b) {
+    a = lift(a);
+    b = lift(b);
+    return new Dual(a.v + b.v, combine(a, b, 1, 1));
+}
+
+/**
+ * @param {number|Dual} a - First operand
+ * @param {number|Dual} b - Second operand
+ * @returns {Dual} a - b
+ */
+function sub(a, b) {
+    a = lift(a);
+    b = lift(b);
+    return new Dual(a.v - b.v, combine(a, b, 1, -1));
+}
+
+/**
+ * @param {number|Dual} a - First operand
+ * @param {number|Dual} b - Second operand
+ * @returns {Dual} a * b
+ */
+function mul(a, b) {
+    a = lift(a);
+    b = lift(b);
+    return new Dual(a.v * b.v, combine(a, b, b.v, a.v));
+}
+
+/**
+ * @param {number|Dual} a - Numerator
+ * @param {number|Dual} b - Denominator
+ * @returns {Dual} a / b
+ */
+function div(a, b) {
+    a = lift(a);
+    b = lift(b);
+    const q = a.v / b.v;
+    return new Dual(q, combine(a, b, 1 / b.v, -q / b.v));
+}
+
+/**
+ * Power with a constant exponent
+ * @param {number|Dual} a - Base
+ * @param {number} n - Exponent
+ * @returns {Dual} a^n
+ */
+function pow(a, n) {
+    a = lift(a);
+    return chain(a, Math.pow(a.v, n), n * Math.pow(a.v, n - 1));
+}
+
+/**
+ * @param {number|Dual} a - Argument
+ * @returns {Dual} e^a
+ */
+function exp(a) {
+    a = lift(a);
+    const v = Math.exp(a.v);
+    return chain(a, v, v);
+}
+
+/**
+ * @param {number|Dual} a - Argument
+ * @returns {Dual} Natural logarithm of a
+ */
+function log(a) {
+    a = lift(a);
+    return chain(a, Math.log(a.v), 1 / a.v);
+}
+
+/**
+ * Sum of any number of terms
+ * @param {...(number|Dual)} terms - Terms
+ * @returns {Dual} Sum
+ */
+function sum(...terms) {
+    return terms.reduce((total, term) => add(total, term), lift(0));
+}
+
+/**
+ * Polynomial c[0] + c[1] * x + c[2] * x^2 + ... by Horner's scheme
+ * @param {number|Dual} x - Argument
+ * @param {Array<number>} c - Coefficients in ascending order
+ * @returns {Dual} Polynomial value
+ */
+function poly(x, c) {
+    let result = lift(c[c.length - 1]);
+
+    for (let i = c.length - 2; i >= 0; i--) {
+        result = add(mul(result, x), c[i]);
+    }
+
+    return result;
+}
+
+/**
+ * Reference pressure P0 of the correlations: 0.101325 MPa below 100 °C, the vapor pressure above
+ *
+ * The branch is taken on the value of T, so at T >= 100 °C the derivatives include the
+ * dependence of P0 on T and S and are one-sided at 100 °C, as is the correlation itself.
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Reference pressure [MPa]
+ */
+function referencePressure(T, S) {
+    return T.v < 100 ? lift(0.101325) : div(psat(T, S), 1e6);
+}
+
+/**
+ * Pressure correction (P - P0) * (c1 + c2 T + c3 T^2 + c4 T^3 + S * (c5 + c6 T + c7 T^2 + c8 T^3))
+ * shared by the Gibbs energy, enthalpy, entropy and specific heat correlations
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @param {Dual} P0 - Reference pressure [MPa]
+ * @param {Array<number>} c - Coefficients c1 ... c8
+ * @returns {Dual} Pressure correction, in the unit of the property
+ */
+function pressureTerm(T, S, P, P0, c) {
+    return mul(sub(P, P0), add(poly(T, c.slice(0, 4)), mul(S, poly(T, c.slice(4, 8)))));
+}
+
+/**
+ * Salinity term S_kgkg * (b1 + b2 S + b3 S^2 + b4 S^3 + b5 T + b6 T^2 + b7 T^3 + b8 S T + b9 S^2 T + b10 S T^2)
+ * shared by the enthalpy and entropy correlations, with S in kg/kg
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {Dual} S_kgkg - Salinity [kg/kg]
+ * @param {Array<number>} b - Coefficients b1 ... b10
+ * @returns {Dual} Salinity term, in the unit of the property
+ */
+function salinityTerm(T, S_kgkg, b) {
+    return mul(S_kgkg, sum(b[0], mul(b[1], S_kgkg), mul(b[2], pow(S_kgkg, 2)), mul(b[3], pow(S_kgkg, 3)),
+        mul(b[4], T), mul(b[5], pow(T, 2)), mul(b[6], pow(T, 3)), mul(b[7], mul(S_kgkg, T)),
+        mul(b[8], mul(pow(S_kgkg, 2), T)), mul(b[9], mul(S_kgkg, pow(T, 2)))));
+}
+
+/**
+ * Exponent of the density pressure factor F_P = exp(...) of SW_Density and SW_IsobExp
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @param {Dual} P0 - Reference pressure [MPa]
+ * @returns {Dual} Exponent [-]
+ */
+function densityPressureExponent(T, S, P, P0) {
+    const { c, d } = COEFFICIENTS.density;
+
+    return add(mul(sub(P, P0), add(poly(T, c.slice(0, 6)), mul(S, poly(T, d.slice(0, 3))))),
+        mul(0.5, mul(sub(pow(P, 2), pow(P0, 2)), add(poly(T, [c[6], c[7], 0, c[8]]), mul(d[3], S)))));
+}
+
+/**
+ * Boiling point elevation, see SW_BPE
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Boiling point elevation [K]
+ */
+function bpe(T, S) {
+    const [a1, a2, a3, a4, a5, a6] = COEFFICIENTS.bpe.a;
+    const S_kgkg = div(S, 1000);
+    const A = poly(T, [a3, a2, a1]);
+    const B = poly(T, [a6, a5, a4]);
+
+    return add(mul(A, pow(S_kgkg, 2)), mul(B, S_kgkg));
+}
+
+/**
+ * dg/dS of the Gibbs energy correlation, used by the chemical potentials (S > 0)
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @param {Dual} P0 - Reference pressure [MPa]
+ * @returns {Dual} dg/dS [J/kg per g/kg]
+ */
+function gibbsSalinityDerivative(T, S, P, P0) {
+    const [b1, b2, b3, b4, b5, b6, b7, b8, b9] = COEFFICIENTS.gibbs.b;
+
+    const dg_ds_P0 = sum(b1, mul(b2, T), mul(b3, pow(T, 2)),
+        mul(2 * b4, mul(S, T)), mul(2 * b5, mul(S, pow(T, 2))),
+        mul(3 * b6, pow(S, 2)), mul(3 * b7, mul(pow(S, 2), pow(T, 2))),
+        mul(add(b8, mul(b9, T)), add(log(S), 1)));
+
+    const dg_ds_P = mul(sub(P, P0), poly(T, COEFFICIENTS.gibbs.c.slice(4, 8)));
+
+    return add(dg_ds_P0, dg_ds_P);
+}
+
+/**
+ * Chemical potential of salt, see SW_ChemPot_s
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Chemical potential of salt [J/kg]
+ */
+function chemPotS(T, S, P) {
+    const dg_ds = gibbsSalinityDerivative(T, S, P, referencePressure(T, S));
+    return add(gibbs(T, S, P), mul(sub(1000, S), dg_ds));
+}
+
+/**
+ * Chemical potential of water, see SW_ChemPot_w
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Chemical potential of water [J/kg]
+ */
+function chemPotW(T, S, P) {
+    const Sdg_dS = S.v > 0 ? mul(S, gibbsSalinityDerivative(T, S, P, referencePressure(T, S))) : lift(0);
+    return sub(gibbs(T, S, P), Sdg_dS);
+}
+
+/**
+ * Salinity times chemical potential of salt, see SW_SChemPot_s
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Salinity times chemical potential of salt [g/kg * J/kg]
+ */
+function sChemPotS(T, S, P) {
+    const Sdg_dS = S.v > 0 ? mul(S, gibbsSalinityDerivative(T, S, P, referencePressure(T, S))) : lift(0);
+    return add(mul(S, gibbs(T, S, P)), mul(sub(1000, S), Sdg_dS));
+}
+
+/**
+ * Thermal conductivity, see SW_Conductivity
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Thermal conductivity [W/m K]
+ */
+function conductivity(T, S) {
+    const [a1, a2, a3, a4, a5, a6, a7, a8] = COEFFICIENTS.thermalConductivity.a;
+    const T_K = add(mul(1.00024, T), 273.15);
+    const SP = div(S, 1.00472);
+
+    const log10k = add(div(log(add(a1, mul(a2, SP))), Math.LN10),
+        mul(a3, mul(sub(a4, div(add(a5, mul(a6, SP)), T_K)),
+            pow(sub(1, div(T_K, add(a7, mul(a8, SP)))), 1 / 3))));
+
+    return mul(0.001, exp(mul(Math.LN10, log10k)));
+}
+
+/**
+ * Pressure-dependent thermal conductivity, see SW_ConductivityP
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Thermal conductivity [W/m K]
+ */
+function conductivityP(T, S, P) {
+    const { a, b, c, d, T_ref, P_ref, P_scale } = COEFFICIENTS.thermalConductivityP;
+    const T_star = div(add(T, 273.15), T_ref);
+    const P_star = div(sub(P, P_ref), P_scale);
+
+    const k_fw0 = sum(...a.map((a_i, i) => mul(a_i, pow(T_star, b[i]))));
+
+    const A = poly(T_star, c);
+    const k_fw = mul(k_fw0, add(1, mul(A, P_star)));
+
+    return div(k_fw, add(mul(d, S), 1));
+}
+
+/**
+ * Isochoric specific heat capacity, see SW_Cv
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Isochoric specific heat capacity [J/kg-K]
+ */
+function cv(T, S, P) {
+    const beta = isobExp(T, S, P);
+    const kappa_T = mul(isothComp(T, S, P), 1e-6);
+
+    return sub(spcHeat(T, S, P), div(mul(add(T, 273.15), pow(beta, 2)), mul(density(T, S, P), kappa_T)));
+}
+
+/**
+ * Density, see SW_Density
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Density [kg/m^3]
+ */
+function density(T, S, P) {
+    const P0 = referencePressure(T, S);
+    const S_kgkg = div(S, 1000);
+
+    const { a, b } = COEFFICIENTS.density;
+
+    const rho_w = poly(T, a);
+    const D_rho = sum(mul(b[0], S_kgkg), mul(b[1], mul(S_kgkg, T)),
+        mul(b[2], mul(S_kgkg, pow(T, 2))), mul(b[3], mul(S_kgkg, pow(T, 3))),
+        mul(b[4], mul(pow(S_kgkg, 2), pow(T, 2))));
+
+    return mul(add(rho_w, D_rho), exp(densityPressureExponent(T, S, P, P0)));
+}
+
+/**
+ * Thermal diffusivity, see SW_Diffusivity
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Thermal diffusivity [m^2/s]
+ */
+function diffusivity(T, S) {
+    const P0 = referencePressure(T, S);
+    return div(conductivity(T, S), mul(density(T, S, P0), spcHeat(T, S, P0)));
+}
+
+/**
+ * Specific enthalpy, see SW_Enthalpy
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Specific enthalpy [J/kg]
+ */
+function enthalpy(T, S, P) {
+    const P0 = referencePressure(T, S);
+    const h_w = waterEnthalpy(T);
+
+    const { b, c } = COEFFICIENTS.enthalpy;
+
+    return add(sub(h_w, salinityTerm(T, div(S, 1000), b)), pressureTerm(T, S, P, P0, c));
+}
+
+/**
+ * Specific entropy, see SW_Entropy
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Specific entropy [J/kg-K]
+ */
+function entropy(T, S, P) {
+    const P0 = referencePressure(T, S);
+    const s_w = waterEntropy(T);
+
+    const { b, c } = COEFFICIENTS.entropy;
+
+    return add(sub(s_w, salinityTerm(T, div(S, 1000), b)), pressureTerm(T, S, P, P0, c));
+}
+
+/**
+ * Specific flow exergy, see SW_FlowExergy
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @param {Dual} [T0=25] - Total dead state temperature [°C] (ITS-90)
+ * @param {Dual} [S0=35] - Total dead state salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} [P0=0.101325] - Total dead state pressure [MPa]
+ * @returns {Dual} Specific flow exergy [J/kg]
+ */
+function flowExergy(T, S, P, T0 = lift(25), S0 = lift(35), P0 = lift(0.101325)) {
+    const h_sw = enthalpy(T, S, P);
+    const s_sw = entropy(T, S, P);
+
+    // Restricted Dead State
+    const h_sw_star = enthalpy(T0, S, P0);
+    const s_sw_star = entropy(T0, S, P0);
+    const mu_w_star = chemPotW(T0, S, P0);
+    const Smu_s_star = sChemPotS(T0, S, P0);
+
+    // Total Dead State
+    const mu_w_0 = chemPotW(T0, S0, P0);
+    const Smu_s_0 = mul(sChemPotS(T0, S0, P0), div(S, S0));
+
+    return sum(sub(h_sw, h_sw_star), mul(-1, mul(add(T0, 273.15), sub(s_sw, s_sw_star))),
+        mul(sub(1, mul(0.001, S)), sub(mu_w_star, mu_w_0)), mul(0.001, sub(Smu_s_star, Smu_s_0)));
+}
+
+/**
+ * Ratio of specific heats, see SW_Gamma
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Ratio of specific heats [-]
+ */
+function gamma(T, S, P) {
+    return div(spcHeat(T, S, P), cv(T, S, P));
+}
+
+/**
+ * Specific Gibbs energy, see SW_Gibbs
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Specific Gibbs energy [J/kg]
+ */
+function gibbs(T, S, P) {
+    const P0 = referencePressure(T, S);
+    const g_w = poly(T, COEFFICIENTS.gibbs.a);
+
+    const [b1, b2, b3, b4, b5, b6, b7, b8, b9] = COEFFICIENTS.gibbs.b;
+
+    let g_sw_P0 = lift(0);
+    if (S.v > 0) {
+        g_sw_P0 = sum(mul(b1, S), mul(b2, mul(S, T)), mul(b3, mul(S, pow(T, 2))),
+            mul(b4, mul(pow(S, 2), T)), mul(b5, mul(pow(S, 2), pow(T, 2))),
+            mul(b6, pow(S, 3)), mul(b7, mul(pow(S, 3), pow(T, 2))),
+            mul(add(b8, mul(b9, T)), mul(S, log(S))));
+    }
+
+    return sum(g_w, g_sw_P0, pressureTerm(T, S, P, P0, COEFFICIENTS.gibbs.c));
+}
+
+/**
+ * Specific internal energy, see SW_IntEnergy
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Specific internal energy [J/kg]
+ */
+function intEnergy(T, S, P) {
+    return sub(enthalpy(T, S, P), div(mul(P, 1e6), density(T, S, P)));
+}
+
+/**
+ * Isobaric expansivity, see SW_IsobExp
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Isobaric expansivity [1/K]
+ */
+function isobExp(T, S, P) {
+    const P0 = referencePressure(T, S);
+    const S_kgkg = div(S, 1000);
+
+    const { a, c, d } = COEFFICIENTS.density;
+    const [b1, b2, b3, b4, b5] = COEFFICIENTS.density.b;
+
+    const drho_wdT = poly(T, [a[1], 2 * a[2], 3 * a[3], 4 * a[4]]);
+    const dD_rhodT = sum(mul(b2, S_kgkg), mul(2 * b3, mul(S_kgkg, T)), mul(3 * b4, mul(S_kgkg, pow(T, 2))),
+        mul(2 * b5, mul(pow(S_kgkg, 2), T)));
+
+    const rho_w = poly(T, a);
+    const D_rho = sum(mul(b1, S_kgkg), mul(b2, mul(S_kgkg, T)), mul(b3, mul(S_kgkg, pow(T, 2))),
+        mul(b4, mul(S_kgkg, pow(T, 3))), mul(b5, mul(pow(S_kgkg, 2), pow(T, 2))));
+
+    const rho_sw_sharq = add(rho_w, D_rho);
+    const drho_sw_sharqdT = add(drho_wdT, dD_rhodT);
+
+    const F_P = exp(densityPressureExponent(T, S, P, P0));
+    const dF_PdT = mul(F_P, add(
+        mul(sub(P, P0), add(poly(T, [c[1], 2 * c[2], 3 * c[3], 4 * c[4], 5 * c[5]]),
+            mul(S, poly(T, [d[1], 2 * d[2]])))),
+        mul(0.5, mul(sub(pow(P, 2), pow(P0, 2)), poly(T, [c[7], 0, 3 * c[8]])))));
+
+    const rho = mul(rho_sw_sharq, F_P);
+    const drho_dT = add(mul(drho_sw_sharqdT, F_P), mul(rho_sw_sharq, dF_PdT));
+
+    return mul(-1, div(drho_dT, rho));
+}
+
+/**
+ * Isothermal compressibility, see SW_IsothComp
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Isothermal compressibility [1/MPa]
+ */
+function isothComp(T, S, P) {
+    const { c, d } = COEFFICIENTS.density;
+
+    return sum(poly(T, c.slice(0, 6)),
+        mul(P, poly(T, [c[6], c[7], 0, c[8]])),
+        mul(S, add(poly(T, d.slice(0, 3)), mul(d[3], P))));
+}
+
+/**
+ * Kinematic viscosity, see SW_Kviscosity
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Kinematic viscosity [m^2/s]
+ */
+function kviscosity(T, S) {
+    return div(viscosity(T, S), density(T, S, referencePressure(T, S)));
+}
+
+/**
+ * Latent heat of vaporization, see SW_LatentHeat
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Latent heat of vaporization [J/kg]
+ */
+function latentHeat(T, S) {
+    const hfg_w = poly(T, COEFFICIENTS.latentHeat.a);
+    return mul(hfg_w, sub(1, mul(0.001, S)));
+}
+
+/**
+ * Osmotic coefficient, see SW_OsmCoeff
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Osmotic coefficient [-]
+ */
+function osmCoeff(T, S) {
+    const [a1, a2, a3, a4, a5, a6, a7, a8, a9, a10] = COEFFICIENTS.osmotic.a;
+
+    const MW_s = COEFFICIENTS.osmotic.MW_s;
+
+    const Phi_corr = S => sum(a1, mul(a2, T), mul(a3, pow(T, 2)), mul(a4, pow(T, 4)),
+        mul(a5, S), mul(a6, mul(T, S)), mul(a7, mul(S, pow(T, 3))),
+        mul(a8, pow(S, 2)), mul(a9, mul(pow(S, 2), T)), mul(a10, mul(pow(S, 2), pow(T, 2))));
+
+    if (S.v > 10) {
+        return Phi_corr(S);
+    }
+
+    const S_eq = 10;  // Correlation matches function at S_equivalent = 10
+
+    const Phi_corr_eq = Phi_corr(S_eq);
+    const dPhi_corr_eq = sum(a5, mul(a6, T), mul(a7, pow(T, 3)), 2 * a8 * S_eq,
+        mul(2 * a9 * S_eq, T), mul(2 * a10 * S_eq, pow(T, 2)));
+
+    const m_sum_eq = S_eq / (1000 - S_eq) * (1000 / MW_s);
+    const dmds_eq = (1000 / MW_s) * (1 / (1000 - S_eq) + S_eq / Math.pow(1000 - S_eq, 2));
+
+    // Pitzer-Bronsted equation constants
+    const beta = mul(-2, sub(mul(Math.pow(m_sum_eq, -0.5), sub(Phi_corr_eq, 1)),
+        mul(dPhi_corr_eq, Math.pow(m_sum_eq, 0.5) / dmds_eq)));
+    const lambda = div(sub(add(Phi_corr_eq, mul(beta, Math.pow(m_sum_eq, 0.5))), 1), m_sum_eq);
+
+    const m_sum = mul(div(S, sub(1000, S)), 1000 / MW_s);
+    return add(sub(1, mul(beta, pow(m_sum, 0.5))), mul(lambda, m_sum));
+}
+
+/**
+ * Osmotic pressure, see SW_OsmPress
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Osmotic pressure [MPa]
+ */
+function osmPress(T, S) {
+    const Phi = osmCoeff(T, S);
+    const T_K = add(T, 273.15);
+    const Mw_sw = COEFFICIENTS.osmotic.MW_s;  // Weighted mol. weight in g/mol
+    const R = COEFFICIENTS.osmotic.R;          // J/mol-K
+
+    const m_sum = div(mul(1000, S), mul(sub(1000, S), Mw_sw));
+
+    const rho_w_kgm3 = density(T, lift(0), referencePressure(T, 0));
+
+    return div(mul(mul(mul(Phi, m_sum), mul(R, T_K)), rho_w_kgm3), 1e6);
+}
+
+/**
+ * Vapor pressure, see SW_Psat
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Vapor pressure [N/m^2]
+ */
+function psat(T, S) {
+    const [a1, a2, a3, a4, a5, a6] = COEFFICIENTS.vaporPressure.a;
+    const [b1, b2] = COEFFICIENTS.vaporPressure.b;
+    const T_K = add(T, 273.15);
+
+    const Pv_w = exp(sum(div(a1, T_K), a2, mul(a3, T_K),
+        mul(a4, pow(T_K, 2)), mul(a5, pow(T_K, 3)),
+        mul(a6, log(T_K))));
+
+    return mul(Pv_w, exp(add(mul(b1, S), mul(b2, pow(S, 2)))));
+}
+
+/**
+ * Prandtl number, see SW_Prandtl
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Prandtl number [-]
+ */
+function prandtl(T, S) {
+    return div(mul(spcHeat(T, S, referencePressure(T, S)), viscosity(T, S)), conductivity(T, S));
+}
+
+/**
+ * Practical salinity from the conductivity ratio, see SW_SP_from_R
+ * @param {Dual} R - Conductivity ratio C(S_P, T, P) / C(35, 15 C, 0 dbar) [-]
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Practical salinity [-] (PSS-78)
+ */
+function practicalSalinity(R, T, P) {
+    const { a, b, c, e, k } = COEFFICIENTS.practicalSalinity;
+    const [d1, d2, d3, d4] = COEFFICIENTS.practicalSalinity.d;
+    const t = mul(1.00024, T);
+    const p = mul(sub(P, 0.101325), 100);
+
+    const r_t = poly(t, c);
+    const R_p = add(1, div(mul(p, poly(p, e)),
+        add(poly(t, [1, d1, d2]), mul(add(d3, mul(d4, t)), R))));
+    const R_t = div(R, mul(R_p, r_t));
+    const sqrtR_t = pow(R_t, 0.5);
+
+    const dS = mul(div(sub(t, 15), add(1, mul(k, sub(t, 15)))), poly(sqrtR_t, b));
+
+    return add(poly(sqrtR_t, a), dS);
+}
+
+/**
+ * Speed of sound, see SW_SoundSpeed
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Speed of sound [m/s]
+ */
+function soundSpeed(T, S, P) {
+    const kappa_S = div(mul(isothComp(T, S, P), 1e-6), gamma(T, S, P));
+    return pow(mul(density(T, S, P), kappa_S), -0.5);
+}
+
+/**
+ * Specific heat capacity, see SW_SpcHeat
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {Dual} P - Pressure [MPa]
+ * @returns {Dual} Specific heat capacity [J/kg-K]
+ */
+function spcHeat(T, S, P) {
+    const P0 = referencePressure(T, S);
+    const T68 = mul(1.00024, add(T, 273.15));
+    const SP = div(S, 1.00472);
+
+    const k = COEFFICIENTS.specificHeat;
+    const A = poly(SP, k.A);
+    const B = poly(SP, k.B);
+    const C = poly(SP, k.C);
+    const D = poly(SP, k.D);
+
+    const cp_sw_P0 = mul(1000, sum(A, mul(B, T68), mul(C, pow(T68, 2)), mul(D, pow(T68, 3))));
+
+    return add(cp_sw_P0, pressureTerm(T, S, P, P0, k.c));
+}
+
+/**
+ * Surface tension, see SW_SurfaceTension
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Surface tension [mN/m]
+ */
+function surfaceTension(T, S) {
+    const [a1, a2, a3] = COEFFICIENTS.surfaceTension.a;
+    const [b1, b2] = COEFFICIENTS.surfaceTension.b;
+    const tau = sub(1, div(add(T, 273.15), COEFFICIENTS.surfaceTension.T_c));
+    const gamma_w = mul(a1, mul(pow(tau, a2), sub(1, mul(a3, tau))));
+
+    return mul(gamma_w, sum(1, mul(b1, S), mul(b2, mul(S, T))));
+}
+
+/**
+ * Saturated vapor enthalpy, entropy and volume, see saturatedVapor in seawater-mit.js
+ * @param {Dual} T - Saturation temperature [°C] (ITS-90)
+ * @returns {{h: Dual, s: Dual, v: Dual}} Specific enthalpy [J/kg], entropy [J/kg-K] and volume [m^3/kg]
+ */
+function saturatedVapor(T) {
+    const [a1, , a3, a4, a5, a6] = COEFFICIENTS.vaporPressure.a;
+    const T_K = add(T, 273.15);
+    const hfg = latentHeat(T, 0);
+    const rho_f = poly(T, COEFFICIENTS.density.a);
+
+    const dlnPv_dT = sum(div(-a1, pow(T_K, 2)), a3, mul(2 * a4, T_K), mul(3 * a5, pow(T_K, 2)), div(a6, T_K));
+    const dPv_dT = mul(psat(T, 0), dlnPv_dT);
+
+    return {
+        h: add(waterEnthalpy(T), hfg),
+        s: add(waterEntropy(T), div(hfg, T_K)),
+        v: add(div(1, rho_f), div(hfg, mul(T_K, dPv_dT)))
+    };
+}
+
+/**
+ * Ideal gas enthalpy and entropy change of water vapor, see vaporSuperheat in seawater-mit.js
+ * @param {Dual} T1 - Initial temperature [°C] (ITS-90)
+ * @param {Dual} T2 - Final temperature [°C] (ITS-90)
+ * @returns {{dh: Dual, ds: Dual}} Enthalpy change [J/kg] and entropy change [J/kg-K]
+ */
+function vaporSuperheat(T1, T2) {
+    const [a, b, c, d] = COEFFICIENTS.vaporHeatCapacity.cp;
+    const MW_w = COEFFICIENTS.vaporHeatCapacity.MW_w;
+    const T1_K = add(T1, 273.15);
+    const T2_K = add(T2, 273.15);
+
+    const h = T_K => poly(T_K, [0, a, b / 2, c / 3, d / 4]);
+    const s = T_K => add(mul(a, log(T_K)), poly(T_K, [0, b, c / 2, d / 3]));
+
+    return {
+        dh: mul(1000 / MW_w, sub(h(T2_K), h(T1_K))),
+        ds: mul(1000 / MW_w, sub(s(T2_K), s(T1_K)))
+    };
+}
+
+/**
+ * Saturation temperature of pure water at P, found by Newton's method from T; T itself if P is omitted
+ * @param {Dual} T - Vapor temperature [°C] (ITS-90), the starting point of the iteration
+ * @param {Dual} [P] - Pressure [MPa]
+ * @returns {Dual} Saturation temperature [°C] (ITS-90)
+ */
+function vaporSaturationTemperature(T, P) {
+    if (P === undefined) {
+        return T;
+    }
+
+    let u = T.v;
+    for (let i = 0; i < 50; i++) {
+        const Pv = psat(new Dual(u, [1]), 0);
+        const step = (Pv.v / 1e6 - P.v) / (Pv.d[0] / 1e6);
+        u -= step;
+
+        if (!(Math.abs(step) > 1e-12 * Math.max(1, Math.abs(u)))) {
+            break;
+        }
+    }
+
+    return implicit(u, [P], (u, P) => sub(div(psat(u, 0), 1e6), P));
+}
+
+/**
+ * Derivative rule of a vapor property function (T, P) from its saturated value
+ * @param {string} property - Key of saturatedVapor: "h", "s" or "v"
+ * @param {string} [superheat] - Key of vaporSuperheat added at constant pressure: "dh" or "ds";
+ *        if omitted the saturated value scales with absolute temperature (ideal gas volume)
+ * @returns {function(Dual, Dual): Dual} Dual-number property function
+ */
+function vaporProperty(property, superheat) {
+    return (T, P) => {
+        const T_sat = vaporSaturationTemperature(T, P);
+        const sat = saturatedVapor(T_sat)[property];
+        return superheat ? add(sat, vaporSuperheat(T_sat, T)[superheat]) : mul(sat, div(add(T, 273.15), add(T_sat, 273.15)));
+    };
+}
+
+/**
+ * Dynamic viscosity, see SW_Viscosity
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @param {number|Dual} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {Dual} Dynamic viscosity [kg/m-s]
+ */
+function viscosity(T, S) {
+    const [a1, a2, a3, a4, a5, a6, a7, a8, a9, a10] = COEFFICIENTS.viscosity.a;
+    const S_kgkg = div(S, 1000);
+    const mu_w = add(a4, div(1, add(mul(a1, pow(add(T, a2), 2)), a3)));
+
+    const A = poly(T, [a5, a6, a7]);
+    const B = poly(T, [a8, a9, a10]);
+
+    return mul(mu_w, sum(1, mul(A, S_kgkg), mul(B, pow(S_kgkg, 2))));
+}
+
+/**
+ * Specific enthalpy of pure water, see SW_WaterEnthalpy
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @returns {Dual} Specific enthalpy [J/kg]
+ */
+function waterEnthalpy(T) {
+    return poly(T, COEFFICIENTS.enthalpy.a);
+}
+
+/**
+ * Specific entropy of pure water, see SW_WaterEntropy
+ * @param {Dual} T - Temperature [°C] (ITS-90)
+ * @returns {Dual} Specific entropy [J/kg-K]
+ */
+function waterEntropy(T) {
+    return poly(T, COEFFICIENTS.entropy.a);
+}
+
+/**
+ * Derivative rule of each SW_* function of scalar arguments, either `evaluate`, the correlation on
+ * dual numbers, or `solve`, the residual F(u, ...args) = 0 that an inverse function solves for u
+ * @readonly
+ */
+const RULES = Object.freeze({
+    SW_AdiabComp: { evaluate: (T, S, P) => div(isothComp(T, S, P), gamma(T, S, P)) },
+    SW_BPE: { evaluate: bpe },
+    SW_C_from_S: { solve: (u, S, T, P) => sub(practicalSalinity(div(u, 42.914), T, P), div(S, 1.00472)) },
+    SW_ChemPot_s: { evaluate: chemPotS },
+    SW_ChemPot_w: { evaluate: chemPotW },
+    SW_Conductivity: { evaluate: conductivity },
+    SW_ConductivityP: { evaluate: conductivityP },
+    SW_Cv: { evaluate: cv },
+    SW_Density: { evaluate: density },
+    SW_Diffusivity: { evaluate: diffusivity },
+    SW_Enthalpy: { evaluate: enthalpy },
+    SW_Entropy: { evaluate: entropy },
+    SW_FlowExergy: { evaluate: flowExergy },
+    SW_Gamma: { evaluate: gamma },
+    SW_Gibbs: { evaluate: gibbs },
+    SW_IntEnergy: { evaluate: intEnergy },
+    SW_IsobExp: { evaluate: isobExp },
+    SW_IsothComp: { evaluate: isothComp },
+    SW_Kviscosity: { evaluate: kviscosity },
+    SW_LatentHeat: { evaluate: latentHeat },
+    SW_OsmCoeff: { evaluate: osmCoeff },
+    SW_OsmPress: { evaluate: osmPress },
+    SW_Psat: { evaluate: psat },
+    SW_Prandtl: { evaluate: prandtl },
+    SW_R_from_SP: { solve: (u, SP, T, P) => sub(practicalSalinity(u, T, P), SP) },
+    SW_SChemPot_s: { evaluate: sChemPotS },
+    SW_SP_from_R: { evaluate: practicalSalinity },
+    SW_SP_from_SR: { evaluate: S => div(S, 1.00472) },
+    SW_SR_from_SP: { evaluate: SP => mul(1.00472, SP) },
+    SW_S_from_C: { evaluate: (C, T, P) => mul(1.00472, practicalSalinity(div(C, 42.914), T, P)) },
+    SW_S_from_mgL: { solve: (u, C, T, P) => sub(mul(u, density(T, u, P)), C) },
+    SW_S_from_ppm: { evaluate: ppm => div(ppm, 1000) },
+    SW_S_from_rho: { solve: (u, rho, T, P) => sub(density(T, u, P), rho) },
+    SW_SoundSpeed: { evaluate: soundSpeed },
+    SW_SpcHeat: { evaluate: spcHeat },
+    SW_SurfaceTension: { evaluate: surfaceTension },
+    SW_T_from_h: { solve: (u, h, S, P) => sub(enthalpy(u, S, P), h) },
+    SW_T_from_s: { solve: (u, s, S, P) => sub(entropy(u, S, P), s) },
+    // Pure water boils at T - BPE(T, S), see SW_Tsat
+    SW_Tsat: { solve: (u, P, S) => sub(div(psat(sub(u, bpe(u, S)), 0), 1e6), P) },
+    SW_VaporEnthalpy: { evaluate: vaporProperty("h", "dh") },
+    SW_VaporEntropy: { evaluate: vaporProperty("s", "ds") },
+    SW_VaporVolume: { evaluate: vaporProperty("v") },
+    SW_Viscosity: { evaluate: viscosity },
+    SW_Volume: { evaluate: (T, S, P) => div(1, density(T, S, P)) },
+    SW_WaterEnthalpy: { evaluate: waterEnthalpy },
+    SW_WaterEntropy: { evaluate: waterEntropy },
+    SW_mgL_from_S: { evaluate: (S, T, P) => mul(S, density(T, S, P)) },
+    SW_ppm_from_S: { evaluate: S => mul(1000, S) }
+});
+
+/**
+ * Partial derivatives of a value u defined implicitly by F(u, ...args) = 0,
+ * du/dx = -(dF/dx) / (dF/du)
+ * @param {number} u - Solution of the residual
+ * @param {Array<Dual>} args - Arguments, seeded for differentiation
+ * @param {function(...Dual): Dual} residual - Residual F
+ * @returns {Dual} u with its gradient
+ */
+function implicit(u, args, residual) {
+    const F_u = residual(new Dual(u, [1]), ...args.map(arg => lift(arg.v))).d[0];
+    const F_x = residual(lift(u), ...args);
+
+    return new Dual(u, F_x.d.map(d => -d / F_u));
+}
+
+/**
+ * Evaluates a property function with its analytic partial derivatives
+ *
+ * The value is that of the SW_* function itself, including its range checks and the active
+ * range policy (see setRangePolicy). The derivatives are those of the correlation, obtained by
+ * evaluating it on dual numbers; for the inverse functions (SW_T_from_h, SW_Tsat, ...) they follow
+ * from the implicit function theorem. Correlations that switch branch, such as the reference
+ * pressure P0 at T = 100 °C, are differentiated on the branch taken at the given point.
+ *
+ * Under the "clamp" policy, an argument clamped to its limit is held constant, so its derivative
+ * is zero; under "nan", an out-of-range point gives NaN for the value and every derivative.
+ * @example
+ * const { value, dT, dS, dP } = derivatives("SW_Density", 25, 35, 0.101325);
+ * // value [kg/m^3], dT [kg/m^3-K], dS [kg/m^3 per g/kg], dP [kg/m^3-MPa]
+ * @param {function|string} fn - Property function, e.g. SW_Density or "SW_Density"
+ * @param {...number} args - Positional arguments of fn
+ * @returns {Object<string, number>} `value` and, for each argument given, its partial derivative
+ *          named after the argument: dT, dS, dP for SW_Density(T, S, P), dh, dS, dP for SW_T_from_h(h, S, P)
+ * @throws {SeawaterRangeError} If the point is out of range under the "throw" policy
+ * @throws {Error} If the function is unknown or has no derivatives (SW_FlowExergyRate)
+ */
+function derivatives(fn, ...args) {
+    const name = typeof fn === "function" ? fn.name : fn;
+    const rule = RULES[name];
+
+    if (!rule) {
+        throw new Error("No derivatives available for seawater property function: " + name);
+    }
+
+    const argNames = seawater.getValidity(name).args.slice(0, args.length);
+    const policy = seawater.getRangePolicy();
+    const clamped = {};
+
+    const value = seawater.withRangePolicy({
+        mode: policy.mode,
+        onWarning: err => {
+            if (policy.mode === "clamp" && err.functionName === name && argNames.includes(err.variable)) {
+                clamped[err.variable] = Math.min(Math.max(err.value, err.min), err.max);
+            }
+            if (policy.onWarning) {
+                policy.onWarning(err);
+            }
+        }
+    }, () => seawater[name](...args));
+
+    const result = { value };
+
+    if (Number.isNaN(value)) {
+        argNames.forEach((arg, i) => {
+            if (args[i] !== undefined) {
+                result["d" + arg] = NaN;
+            }
+        });
+        return result;
+    }
+
+    const duals = argNames.map((arg, i) => {
+        if (args[i] === undefined) {
+            return undefined;
+        }
+
+        if (arg in clamped) {
+            return lift(clamped[arg]);
+        }
+
+        const d = new Array(argNames.length).fill(0);
+        d[i] = 1;
+        return new Dual(args[i], d);
+    });
+
+    const dual = rule.evaluate ? rule.evaluate(...duals) : implicit(value, duals, rule.solve);
+    argNames.forEach((arg, i) => {
+        if (args[i] !== undefined) {
+            result["d" + arg] = dual.d[i] || 0;
+        }
+    });
+
+    return result;
+}
+
+// Export functions
+module.exports = {
+    Dual,
+    RULES,
+    derivatives
+};
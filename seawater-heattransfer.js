@@ -0,0 +1,183 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - CONVECTIVE HEAT TRANSFER
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const { SeawaterState } = require("./seawater-state");
+
+
+const g = 9.80665;  // Standard gravity in m/s^2
+
+/**
+ * Reynolds number
+ * @param {number} rho - Density [kg/m^3]
+ * @param {number} V - Velocity [m/s]
+ * @param {number} L - Characteristic length [m]
+ * @param {number} mu - Dynamic viscosity [kg/m-s]
+ * @returns {number} Reynolds number [-]
+ */
+function reynolds(rho, V, L, mu) {
+    return rho * V * L / mu;
+}
+
+/**
+ * Grashof number
+ * @param {number} beta - Isobaric expansivity [1/K]
+ * @param {number} dT - Wall-to-fluid temperature difference [K]
+ * @param {number} L - Characteristic length [m]
+ * @param {number} nu - Kinematic viscosity [m^2/s]
+ * @returns {number} Grashof number [-], positive when buoyancy drives the fluid at the wall upward
+ */
+function grashof(beta, dT, L, nu) {
+    return g * beta * dT * Math.pow(L, 3) / Math.pow(nu, 2);
+}
+
+/**
+ * Nusselt number for fully developed turbulent pipe flow, Dittus-Boelter correlation
+ * (0.6 < Pr < 160, Re > 10000)
+ * @param {number} Re - Reynolds number [-]
+ * @param {number} Pr - Prandtl number [-]
+ * @param {boolean} [heating=true] - True if the fluid is heated (Pr^0.4), false if cooled (Pr^0.3)
+ * @returns {number} Nusselt number [-]
+ */
+function dittusBoelter(Re, Pr, heating = true) {
+    return 0.023 * Math.pow(Re, 0.8) * Math.pow(Pr, heating ? 0.4 : 0.3);
+}
+
+/**
+ * Nusselt number for turbulent and transitional pipe flow, Gnielinski correlation with the
+ * Petukhov friction factor for smooth pipes unless one is given (0.5 < Pr < 2000, 3000 < Re < 5e6)
+ * @param {number} Re - Reynolds number [-]
+ * @param {number} Pr - Prandtl number [-]
+ * @param {number} [f] - Darcy friction factor [-]
+ * @returns {number} Nusselt number [-]
+ */
+function gnielinski(Re, Pr, f = Math.pow(0.790 * Math.log(Re) - 1.64, -2)) {
+    return (f / 8) * (Re - 1000) * Pr / (1 + 12.7 * Math.sqrt(f / 8) * (Math.pow(Pr, 2 / 3) - 1));
+}
+
+/**
+ * Forced convection inside a circular tube
+ *
+ * Properties are evaluated at the bulk temperature, as both correlations are defined.
+ * @example
+ * const flow = internalFlow({ T: 30, S: 35, P: 0.2, velocity: 1.5, diameter: 0.02 });
+ * flow.h;  // W/m^2-K
+ * @param {Object} options - Flow specification
+ * @param {number} options.T - Bulk temperature [°C] (ITS-90)
+ * @param {number} options.S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} [options.P=0.101325] - Pressure [MPa]
+ * @param {number} options.diameter - Inner diameter [m]
+ * @param {number} [options.velocity] - Mean velocity [m/s]
+ * @param {number} [options.massFlow] - Mass flow [kg/s], used if no velocity is given
+ * @param {string} [options.correlation="gnielinski"] - "gnielinski" or "dittus-boelter"
+ * @param {boolean} [options.heating=true] - Whether the fluid is heated (Dittus-Boelter exponent)
+ * @param {number} [options.frictionFactor] - Darcy friction factor for Gnielinski [-]; smooth pipe by default
+ * @returns {{Re: number, Pr: number, Nu: number, h: number, velocity: number, inRange: boolean,
+ *            properties: SeawaterState}} Reynolds, Prandtl and Nusselt numbers [-], heat transfer
+ *          coefficient [W/m^2-K], mean velocity [m/s], whether Re and Pr lie within the validity of
+ *          the correlation and the state at which the properties were evaluated
+ * @throws {SeawaterRangeError} If the state is out of range of the property functions
+ * @throws {Error} If the correlation is unknown or neither velocity nor mass flow is given
+ */
+function internalFlow(options) {
+    const { T, S, P = 0.101325, diameter: D, correlation = "gnielinski", heating = true } = options;
+    const st = new SeawaterState(T, S, P);
+
+    let V = options.velocity;
+    if (V === undefined) {
+        if (options.massFlow === undefined) {
+            throw new Error("Internal flow requires a velocity or a mass flow");
+        }
+        V = options.massFlow / (st.rho * Math.PI * Math.pow(D, 2) / 4);
+    }
+
+    const Re = reynolds(st.rho, V, D, st.mu);
+    const Pr = st.cp * st.mu / st.k;
+
+    let Nu, inRange;
+    if (correlation === "gnielinski") {
+        Nu = gnielinski(Re, Pr, options.frictionFactor);
+        inRange = Re >= 3000 && Re <= 5e6 && Pr >= 0.5 && Pr <= 2000;
+    } else if (correlation === "dittus-boelter") {
+        Nu = dittusBoelter(Re, Pr, heating);
+        inRange = Re >= 10000 && Pr >= 0.6 && Pr <= 160;
+    } else {
+        throw new Error("Unknown internal flow correlation: " + correlation + "; expected gnielinski or dittus-boelter");
+    }
+
+    return { Re, Pr, Nu, h: Nu * st.k / D, velocity: V, inRange, properties: st };
+}
+
+/**
+ * Natural convection from an isothermal plate
+ *
+ * Properties are evaluated at the film temperature (T_wall + T_fluid) / 2. Vertical plates use the
+ * Churchill-Chu correlation over the whole Rayleigh range. For horizontal plates, the surface on which
+ * buoyancy carries the fluid away (upper face of a hot plate, lower face of a cold one) uses
+ * Nu = 0.54 Ra^(1/4) (1e4 < Ra < 1e7) or 0.15 Ra^(1/3) (1e7 < Ra < 1e11), and the opposite
+ * surface Nu = 0.52 Ra^(1/5) (1e4 < Ra < 1e9); the characteristic length is then area over perimeter.
+ * The direction of buoyancy follows the sign of the expansivity, which is negative in cold fresh water.
+ * @example
+ * const plate = naturalConvectionPlate({ wallTemperature: 60, T: 20, S: 35, length: 0.5 });
+ * plate.h;  // W/m^2-K
+ * @param {Object} options - Plate specification
+ * @param {number} options.wallTemperature - Plate surface temperature [°C] (ITS-90)
+ * @param {number} options.T - Quiescent fluid temperature [°C] (ITS-90)
+ * @param {number} options.S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} [options.P=0.101325] - Pressure [MPa]
+ * @param {number} options.length - Plate height (vertical) or area over perimeter (horizontal) [m]
+ * @param {string} [options.orientation="vertical"] - "vertical", "horizontal-up" (surface facing up)
+ *        or "horizontal-down" (surface facing down)
+ * @returns {{filmTemperature: number, Gr: number, Ra: number, Pr: number, Nu: number, h: number,
+ *            heatFlux: number, inRange: boolean, properties: SeawaterState}} Film temperature [°C],
+ *          Grashof, Rayleigh, Prandtl and Nusselt numbers [-], heat transfer coefficient [W/m^2-K],
+ *          heat flux from the plate to the fluid [W/m^2], whether Ra lies within the validity of the
+ *          correlation and the state at which the properties were evaluated
+ * @throws {SeawaterRangeError} If the film state is out of range of the property functions
+ * @throws {Error} If the orientation is unknown
+ */
+function naturalConvectionPlate(options) {
+    const { wallTemperature: T_w, T, S, P = 0.101325, length: L, orientation = "vertical" } = options;
+    const T_film = (T_w + T) / 2;
+    const st = new SeawaterState(T_film, S, P);
+
+    const Pr = st.cp * st.mu / st.k;
+    const Gr = grashof(st.beta, T_w - T, L, st.mu / st.rho);
+    const Ra = Math.abs(Gr) * Pr;
+
+    let Nu, inRange;
+    if (orientation === "vertical") {
+        Nu = Math.pow(0.825 + 0.387 * Math.pow(Ra, 1 / 6) / Math.pow(1 + Math.pow(0.492 / Pr, 9 / 16), 8 / 27), 2);
+        inRange = Ra <= 1e12;
+    } else if (orientation === "horizontal-up" || orientation === "horizontal-down") {
+        // Gr > 0: the fluid at the wall rises, away from an upward-facing surface
+        const rising = (Gr > 0) === (orientation === "horizontal-up");
+        if (rising && Ra <= 1e7) {
+            Nu = 0.54 * Math.pow(Ra, 1 / 4);
+            inRange = Ra >= 1e4;
+        } else if (rising) {
+            Nu = 0.15 * Math.pow(Ra, 1 / 3);
+            inRange = Ra <= 1e11;
+        } else {
+            Nu = 0.52 * Math.pow(Ra, 1 / 5);
+            inRange = Ra >= 1e4 && Ra <= 1e9;
+        }
+    } else {
+        throw new Error("Unknown plate orientation: " + orientation + "; expected vertical, horizontal-up or horizontal-down");
+    }
+
+    const h = Nu * st.k / L;
+
+    return { filmTemperature: T_film, Gr, Ra, Pr, Nu, h, heatFlux: h * (T_w - T), inRange, properties: st };
+}
+
+// Export functions
+module.exports = {
+    dittusBoelter,
+    gnielinski,
+    grashof,
+    internalFlow,
+    naturalConvectionPlate,
+    reynolds
+};
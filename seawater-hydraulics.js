@@ -0,0 +1,221 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - PIPE-FLOW HYDRAULICS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const { SeawaterState } = require("./seawater-state");
+
+
+const g = 9.80665;  // Standard gravity in m/s^2
+
+/**
+ * Darcy friction factor: 64/Re for laminar flow (Re < 2300), otherwise the Colebrook equation
+ * 1/sqrt(f) = -2 log10(eps/3.7 + 2.51/(Re sqrt(f))), iterated from the Swamee-Jain approximation
+ * @param {number} Re - Reynolds number [-]
+ * @param {number} [relativeRoughness=0] - Roughness over inner diameter [-]
+ * @returns {number} Darcy friction factor [-]
+ */
+function frictionFactor(Re, relativeRoughness = 0) {
+    if (Re < 2300) {
+        return 64 / Re;
+    }
+
+    let x = -2 * Math.log10(relativeRoughness / 3.7 + 5.74 / Math.pow(Re, 0.9));
+    for (let i = 0; i < 50; i++) {
+        const x_new = -2 * Math.log10(relativeRoughness / 3.7 + 2.51 * x / Re);
+        if (Math.abs(x_new - x) < 1e-12 * x) {
+            x = x_new;
+            break;
+        }
+        x = x_new;
+    }
+
+    return 1 / Math.pow(x, 2);
+}
+
+/**
+ * Power drawn by a pump
+ * @param {number} flowRate - Volumetric flow [m^3/s]
+ * @param {number} pressureRise - Pressure rise across the pump [MPa]
+ * @param {number} [efficiency=0.75] - Pump efficiency [-]
+ * @returns {number} Shaft power [W]
+ */
+function pumpPower(flowRate, pressureRise, efficiency = 0.75) {
+    return flowRate * pressureRise * 1e6 / efficiency;
+}
+
+/**
+ * Flow through a single pipe
+ * @param {Object} pipe - Pipe: diameter [m], length [m], roughness [m], minor loss coefficient K [-],
+ *        elevation rise from inlet to outlet [m]
+ * @param {number} Q - Volumetric flow [m^3/s]
+ * @param {SeawaterState} st - Fluid state
+ * @returns {Object} Pipe result
+ */
+function pipeDrop(pipe, Q, st) {
+    const { diameter: D, length: L, roughness = 0, K = 0, elevation = 0 } = pipe;
+
+    if (!(D > 0 && L >= 0)) {
+        throw new Error("Pipe diameter must be positive and length non-negative");
+    }
+
+    const V = Q / (Math.PI * Math.pow(D, 2) / 4);
+    const Re = st.rho * V * D / st.mu;
+    const f = Re > 0 ? frictionFactor(Re, roughness / D) : NaN;
+    const dynamic = st.rho * Math.pow(V, 2) / 2;
+    const friction = Re > 0 ? f * L / D * dynamic : 0;
+    const dP = friction + K * dynamic + st.rho * g * elevation;
+
+    return {
+        type: "pipe",
+        flowRate: Q,
+        velocity: V,
+        Re,
+        f,
+        pressureDrop: dP / 1e6,
+        headLoss: (friction + K * dynamic) / (st.rho * g)
+    };
+}
+
+/**
+ * Root of an increasing function by bisection
+ * @param {function(number): number} f - Function negative at a and positive at b
+ * @param {number} a - Lower end of the bracket
+ * @param {number} b - Upper end of the bracket
+ * @returns {number} Root
+ */
+function bisect(f, a, b) {
+    for (let i = 0; i < 100 && b - a > 1e-13 * Math.max(Math.abs(a), Math.abs(b)); i++) {
+        const m = (a + b) / 2;
+        if (f(m) < 0) {
+            a = m;
+        } else {
+            b = m;
+        }
+    }
+
+    return (a + b) / 2;
+}
+
+/**
+ * Flow that a network element carries under a given pressure drop (no backflow)
+ * @param {Object} element - Pipe, {series: [...]} or {parallel: [...]}
+ * @param {number} dP - Pressure drop [MPa]
+ * @param {SeawaterState} st - Fluid state
+ * @returns {number} Volumetric flow [m^3/s]
+ */
+function flowAt(element, dP, st) {
+    const drop = Q => networkDrop(element, Q, st).pressureDrop - dP;
+
+    if (drop(0) >= 0) {
+        return 0;
+    }
+
+    // Expand the bracket by up to 4^40, far beyond any pipe flow; a branch without friction or minor
+    // losses never reaches the drop
+    let hi = 1e-3;
+    for (let i = 0; drop(hi) < 0; i++) {
+        if (i === 40) {
+            throw new Error("No finite flow gives a pressure drop of " + dP +
+                " MPa in a parallel branch; each branch needs a length or minor losses");
+        }
+        hi *= 4;
+    }
+
+    return bisect(drop, 0, hi);
+}
+
+/**
+ * Pressure drop of a network element at a given flow
+ * @param {Object} element - Pipe, {series: [...]} or {parallel: [...]}
+ * @param {number} Q - Volumetric flow [m^3/s]
+ * @param {SeawaterState} st - Fluid state
+ * @returns {Object} Element result, with the results of its segments or branches
+ */
+function networkDrop(element, Q, st) {
+    if (Array.isArray(element.series)) {
+        const segments = element.series.map(segment => networkDrop(segment, Q, st));
+        return {
+            type: "series",
+            flowRate: Q,
+            pressureDrop: segments.reduce((sum, segment) => sum + segment.pressureDrop, 0),
+            segments
+        };
+    }
+
+    if (Array.isArray(element.parallel)) {
+        const branches = element.parallel;
+
+        // Common pressure drop at which the branch flows add up to Q
+        let lo = Infinity;
+        let hi = -Infinity;
+        for (const branch of branches) {
+            lo = Math.min(lo, networkDrop(branch, 0, st).pressureDrop);
+            hi = Math.max(hi, networkDrop(branch, Q, st).pressureDrop);
+        }
+        const total = dP => branches.reduce((sum, branch) => sum + flowAt(branch, dP, st), 0) - Q;
+        const dP = Q > 0 ? bisect(total, lo, hi) : lo;
+
+        return {
+            type: "parallel",
+            flowRate: Q,
+            pressureDrop: dP,
+            branches: branches.map(branch => networkDrop(branch, Q > 0 ? flowAt(branch, dP, st) : 0, st))
+        };
+    }
+
+    return pipeDrop(element, Q, st);
+}
+
+/**
+ * Pressure drop and pump power of a pipe or piping network carrying seawater
+ *
+ * A network is a pipe, {series: [elements]} or {parallel: [elements]}, nested to any depth. A pipe
+ * is {diameter, length, roughness, K, elevation}: inner diameter [m], length [m], absolute roughness
+ * [m] (default 0, smooth), sum of minor loss coefficients [-] (default 0) and elevation rise from inlet
+ * to outlet [m] (default 0). Parallel branches share the flow so that their pressure drops are equal;
+ * a branch whose static head exceeds that drop carries no flow. The flow is isothermal, with density and
+ * viscosity from SW_Density and SW_Viscosity.
+ * @example
+ * const intake = pipeNetwork({ series: [
+ *     { diameter: 0.5, length: 800, roughness: 4.5e-5, K: 2 },
+ *     { parallel: [{ diameter: 0.3, length: 50 }, { diameter: 0.3, length: 60 }] }
+ * ] }, { flowRate: 0.4, T: 20, S: 38 });
+ * intake.pressureDrop;  // MPa
+ * @param {Object} network - Pipe, series or parallel element
+ * @param {Object} flow - Flow specification
+ * @param {number} flow.flowRate - Volumetric flow entering the network [m^3/s]
+ * @param {number} flow.T - Temperature [°C] (ITS-90)
+ * @param {number} flow.S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} [flow.P=0.101325] - Pressure at which properties are evaluated [MPa]
+ * @param {number} [flow.pumpEfficiency=0.75] - Efficiency of the pump overcoming the pressure drop [-]
+ * @returns {{type: string, flowRate: number, pressureDrop: number, pumpPower: number,
+ *            properties: SeawaterState}} Result tree: each pipe reports flow [m^3/s], velocity [m/s],
+ *          Reynolds number Re [-], Darcy friction factor f [-], pressure drop [MPa] and head loss
+ *          excluding elevation [m]; series and parallel elements their flow, pressure drop and the
+ *          results of their segments or branches. The top level adds the pump power [W] and fluid state.
+ * @throws {SeawaterRangeError} If the state is out of range of the property functions
+ * @throws {Error} If a pipe is malformed, the flow rate is negative or a parallel branch has no
+ *         resistance to flow
+ */
+function pipeNetwork(network, flow) {
+    const { flowRate: Q, T, S, P = 0.101325, pumpEfficiency = 0.75 } = flow;
+
+    if (!(Q >= 0)) {
+        throw new Error("Flow rate must be a non-negative number for pipe network");
+    }
+
+    const st = new SeawaterState(T, S, P);
+    const result = networkDrop(network, Q, st);
+
+    result.pumpPower = pumpPower(Q, Math.max(result.pressureDrop, 0), pumpEfficiency);
+    result.properties = st;
+    return result;
+}
+
+// Export functions
+module.exports = {
+    frictionFactor,
+    pipeNetwork,
+    pumpPower
+};
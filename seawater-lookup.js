@@ -0,0 +1,426 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - INTERPOLATED LOOKUP TABLES
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const seawater = require("./seawater-mit");
+const { FUNCTIONS } = require("./seawater-units");
+
+
+/**
+ * Default table options
+ * @readonly
+ */
+const LOOKUP_DEFAULTS = Object.freeze({
+    tolerance: 1e-6,        // Maximum relative error against the exact function [-]
+    maxNodes: 2e6,          // Largest number of table nodes per function
+    initialNodes: 8         // Nodes per axis of the first table
+});
+
+// Fractions of a grid interval at which the error is verified; the error of a four-point cubic
+// peaks at the middle of interior intervals and near 0.38 of the first and last ones
+const CHECK_FRACTIONS = [0.25, 0.5, 0.75];
+
+// The table is refined until the verified error is below this fraction of the tolerance, which
+// covers the error between verification points
+const SAFETY = 0.5;
+
+/**
+ * Four-point cubic Lagrange weights at position t of the stencil nodes 0, 1, 2, 3
+ * @param {number} t - Position in node spacings from the first stencil node
+ * @param {Float64Array} w - Output weights
+ */
+function cubicWeights(t, w) {
+    const a = t - 1;
+    const b = t - 2;
+    const c = t - 3;
+    w[0] = -a * b * c / 6;
+    w[1] = t * b * c / 2;
+    w[2] = -t * a * c / 2;
+    w[3] = t * a * b / 6;
+}
+
+/**
+ * Normalizes an axis range
+ * @param {string} arg - Argument name
+ * @param {number|Array<number>} range - Fixed value or [min, max]
+ * @returns {{min: number, max: number}} Range
+ * @throws {Error} If the range is missing or malformed
+ */
+function axisRange(arg, range) {
+    const [min, max] = typeof range === "number" ? [range, range] : Array.isArray(range) ? range : [];
+
+    if (!(Number.isFinite(min) && Number.isFinite(max) && max >= min)) {
+        throw new Error("Lookup table requires a range [min, max] or a fixed value for " + arg);
+    }
+
+    return { min, max };
+}
+
+/**
+ * Axis of a table grid
+ * @param {{min: number, max: number}} range - Axis range
+ * @param {number} n - Number of nodes, 1 for a fixed value
+ * @returns {{min: number, max: number, n: number, h: number, nodes: Array<number>}} Axis with node spacing
+ */
+function makeAxis(range, n) {
+    const { min, max } = range;
+    if (max === min) {
+        return { min, max, n: 1, h: 0, nodes: [min] };
+    }
+
+    const h = (max - min) / (n - 1);
+    const nodes = Array.from({ length: n }, (_, i) => i === n - 1 ? max : min + i * h);
+    return { min, max, n, h, nodes };
+}
+
+/**
+ * Evaluates the exact function at every node of a grid, last axis fastest
+ * @param {function} fn - Exact property function
+ * @param {Array<Object>} axes - Grid axes in argument order
+ * @returns {Float64Array} Node values
+ * @throws {SeawaterRangeError} If a node is out of range of the function
+ */
+function tabulate(fn, axes) {
+    const total = axes.reduce((product, axis) => product * axis.n, 1);
+    const values = new Float64Array(total);
+    const point = new Array(axes.length);
+
+    seawater.withRangePolicy("throw", () => {
+        for (let i = 0; i < total; i++) {
+            let rest = i;
+            for (let k = axes.length - 1; k >= 0; k--) {
+                point[k] = axes[k].nodes[rest % axes[k].n];
+                rest = Math.floor(rest / axes[k].n);
+            }
+            values[i] = fn(...point);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Finds the four-node stencil of a coordinate on an axis
+ * @param {Object} axis - Grid axis with at least 4 nodes
+ * @param {number} x - Coordinate inside the axis range
+ * @param {Float64Array} w - Output stencil weights
+ * @returns {number} Index of the first stencil node
+ */
+function stencil(axis, x, w) {
+    const u = (x - axis.min) / axis.h;
+    const i0 = Math.min(Math.max(Math.floor(u) - 1, 0), axis.n - 4);
+    cubicWeights(u - i0, w);
+    return i0;
+}
+
+/**
+ * Weighted sum of four consecutive table values
+ * @param {Float64Array} values - Table values
+ * @param {number} r - Index of the first value
+ * @param {number} c0 - Weight of values[r]
+ * @param {number} c1 - Weight of values[r + 1]
+ * @param {number} c2 - Weight of values[r + 2]
+ * @param {number} c3 - Weight of values[r + 3]
+ * @returns {number} Weighted sum
+ */
+function dot4(values, r, c0, c1, c2, c3) {
+    return c0 * values[r] + c1 * values[r + 1] + c2 * values[r + 2] + c3 * values[r + 3];
+}
+
+/**
+ * Builds the interpolant of a tabulated function
+ *
+ * Each axis uses the four nodes around the point (shifted inward at the ends of the axis); a
+ * fixed axis has a single node. Points outside the box, or not finite, go to the exact function.
+ * @param {function} fn - Exact property function
+ * @param {Array<Object>} axes - Grid axes in argument order
+ * @param {Float64Array} values - Node values from tabulate
+ * @returns {function} Interpolating function with the signature of fn
+ */
+function interpolant(fn, axes, values) {
+    // Fixed axes have a single node and do not change the layout of the values, so the
+    // interpolation runs over the varying axes only
+    const vary = [];
+    axes.forEach((axis, k) => {
+        if (axis.n > 1) {
+            vary.push(k);
+        }
+    });
+    const strides = vary.map(k => axes.slice(k + 1).reduce((product, axis) => product * axis.n, 1));
+    const [A, B, C] = vary.map(k => axes[k]);
+    const [sA, sB] = strides;
+    const wA = new Float64Array(4);
+    const wB = new Float64Array(4);
+    const wC = new Float64Array(4);
+
+    let core;
+    if (vary.length === 0) {
+        core = () => values[0];
+    } else if (vary.length === 1) {
+        core = x => {
+            const i = stencil(A, x, wA);
+            return dot4(values, i, wA[0], wA[1], wA[2], wA[3]);
+        };
+    } else if (vary.length === 2) {
+        core = (x, y) => {
+            const i = stencil(A, x, wA);
+            const j = stencil(B, y, wB);
+            const b0 = wB[0], b1 = wB[1], b2 = wB[2], b3 = wB[3];
+            const r = i * sA + j;
+            return wA[0] * dot4(values, r, b0, b1, b2, b3) + wA[1] * dot4(values, r + sA, b0, b1, b2, b3) +
+                   wA[2] * dot4(values, r + 2 * sA, b0, b1, b2, b3) + wA[3] * dot4(values, r + 3 * sA, b0, b1, b2, b3);
+        };
+    } else {
+        core = (x, y, z) => {
+            const i = stencil(A, x, wA);
+            const j = stencil(B, y, wB);
+            const k = stencil(C, z, wC);
+            const c0 = wC[0], c1 = wC[1], c2 = wC[2], c3 = wC[3];
+            let sum = 0;
+            for (let a = 0; a < 4; a++) {
+                const r = (i + a) * sA + j * sB + k;
+                sum += wA[a] * (wB[0] * dot4(values, r, c0, c1, c2, c3) + wB[1] * dot4(values, r + sB, c0, c1, c2, c3) +
+                                wB[2] * dot4(values, r + 2 * sB, c0, c1, c2, c3) + wB[3] * dot4(values, r + 3 * sB, c0, c1, c2, c3));
+            }
+            return sum;
+        };
+    }
+
+    const lo = axes.map(axis => axis.min);
+    const hi = axes.map(axis => axis.max);
+    const [v0, v1, v2] = vary;  // Varying argument positions
+
+    if (axes.length === 1) {
+        return x => x >= lo[0] && x <= hi[0] ? core(x) : fn(x);
+    }
+
+    if (axes.length === 2) {
+        return (x, y) => {
+            if (!(x >= lo[0] && x <= hi[0] && y >= lo[1] && y <= hi[1])) {
+                return fn(x, y);
+            }
+            if (vary.length === 2) {
+                return core(x, y);
+            }
+            return core(v0 === 0 ? x : y);
+        };
+    }
+
+    return (x, y, z) => {
+        if (!(x >= lo[0] && x <= hi[0] && y >= lo[1] && y <= hi[1] && z >= lo[2] && z <= hi[2])) {
+            return fn(x, y, z);
+        }
+        if (vary.length === 3) {
+            return core(x, y, z);
+        }
+        const p = [x, y, z];
+        return core(p[v0], p[v1], p[v2]);
+    };
+}
+
+/**
+ * Largest relative error of an interpolant at points between the nodes
+ *
+ * Where the exact value is zero, e.g. SW_BPE at S = 0, the absolute error is taken instead, so the
+ * point cannot give a NaN that hides the largest error of the others.
+ * @param {function} fn - Exact property function
+ * @param {function} approx - Interpolant
+ * @param {Array<Object>} axes - Grid axes in argument order
+ * @param {number} [along] - Axis to probe between nodes, with the other axes at their nodes;
+ *        all axes at once if omitted
+ * @returns {number} Maximum relative error [-]
+ */
+function maxRelativeError(fn, approx, axes, along) {
+    // Coordinates probed on each axis
+    const coords = axes.map((axis, k) => {
+        if (axis.n === 1 || (along !== undefined && k !== along)) {
+            return axis.nodes;
+        }
+        const out = [];
+        for (let i = 0; i + 1 < axis.n; i++) {
+            for (const f of CHECK_FRACTIONS) {
+                out.push(axis.nodes[i] + f * axis.h);
+            }
+        }
+        return out;
+    });
+
+    const total = coords.reduce((product, c) => product * c.length, 1);
+    const point = new Array(axes.length);
+    let worst = 0;
+
+    seawater.withRangePolicy("throw", () => {
+        for (let i = 0; i < total; i++) {
+            let rest = i;
+            for (let k = axes.length - 1; k >= 0; k--) {
+                point[k] = coords[k][rest % coords[k].length];
+                rest = Math.floor(rest / coords[k].length);
+            }
+            const exact = fn(...point);
+            const error = Math.abs(approx(...point) - exact) / (exact === 0 ? 1 : Math.abs(exact));
+            if (!(error <= worst)) {
+                worst = error;
+            }
+        }
+    });
+
+    return worst;
+}
+
+/**
+ * Builds and refines the lookup table of one function
+ * @param {string} fnName - SW_* function name
+ * @param {Object<string, {min: number, max: number}>} ranges - Box by argument name
+ * @param {Object} settings - Tolerance, maxNodes and initialNodes
+ * @returns {{fn: function, nodes: Object<string, number>, maxError: number}} Interpolant, nodes per
+ *          argument and verified maximum relative error
+ * @throws {Error} If a node lies outside the validity envelope or the tolerance needs too many nodes
+ */
+function buildTable(fnName, ranges, settings) {
+    const { args } = FUNCTIONS[fnName];
+    const fn = seawater[fnName];
+    const target = settings.tolerance * SAFETY;
+    const counts = args.map(arg => ranges[arg].max === ranges[arg].min ? 1 : settings.initialNodes);
+    const box = args.map(arg => ranges[arg]);
+
+    // The whole box must be valid; checking its nodes also covers the dynamic bounds at the corners
+    const validate = axes => {
+        const total = axes.reduce((product, axis) => product * axis.n, 1);
+        const point = new Array(axes.length);
+        for (let i = 0; i < total; i++) {
+            let rest = i;
+            for (let k = axes.length - 1; k >= 0; k--) {
+                point[k] = axes[k].nodes[rest % axes[k].n];
+                rest = Math.floor(rest / axes[k].n);
+            }
+            if (!seawater.isValid(fnName, ...point)) {
+                throw new Error("Lookup box is outside the validity range of " + fnName + " at " +
+                    args.map((arg, k) => arg + " = " + point[k]).join(", "));
+            }
+        }
+    };
+
+    for (;;) {
+        if (counts.reduce((product, n) => product * n, 1) > settings.maxNodes) {
+            throw new Error("Lookup table of " + fnName + " needs more than " + settings.maxNodes +
+                " nodes for a relative error of " + settings.tolerance + "; narrow the box or relax the tolerance");
+        }
+
+        const axes = box.map((range, k) => makeAxis(range, counts[k]));
+        validate(axes);
+        const approx = interpolant(fn, axes, tabulate(fn, axes));
+
+        // Refine the axes whose own error is too large; the error of a cubic falls as h^4
+        const share = target / args.length;
+        let refined = false;
+        axes.forEach((axis, k) => {
+            if (axis.n === 1) {
+                return;
+            }
+            const error = maxRelativeError(fn, approx, axes, k);
+            if (error > share) {
+                counts[k] = Math.ceil((counts[k] - 1) * 1.1 * Math.pow(error / share, 0.25)) + 1;
+                refined = true;
+            }
+        });
+        if (refined) {
+            continue;
+        }
+
+        const maxError = maxRelativeError(fn, approx, axes);
+        if (maxError <= target) {
+            const nodes = {};
+            args.forEach((arg, k) => {
+                nodes[arg] = axes[k].n;
+            });
+            return { fn: approx, nodes, maxError };
+        }
+
+        // Mixed terms dominate: refine every axis alike
+        axes.forEach((axis, k) => {
+            if (axis.n > 1) {
+                counts[k] = Math.ceil((counts[k] - 1) * 1.1 * Math.pow(maxError / target, 0.25)) + 1;
+            }
+        });
+    }
+}
+
+/**
+ * Creates fast interpolated replacements of property functions over a (T, S, P) box
+ *
+ * Each function is tabulated on a uniform grid over the box and interpolated with piecewise
+ * tricubic (bicubic for functions of two arguments) four-point Lagrange polynomials. The grid is
+ * refined until the relative error against the exact function, checked at a quarter, half and
+ * three quarters of every grid interval on every axis, is below half the tolerance; the remaining
+ * half covers the error between the checked points. Building a table takes from milliseconds to a
+ * few seconds, so create the lookup once and reuse it. A lookup costs about the same for every
+ * function, which pays off for the correlations that evaluate SW_Psat or long polynomials, such as
+ * SW_Density and SW_SpcHeat; closed-form correlations such as SW_Viscosity are already as fast.
+ *
+ * The returned functions have the signatures of the SW_* functions. Inside the box they never
+ * evaluate the correlations; points outside the box (or not finite) are passed to the exact
+ * function, with its range checks. The box must lie within the validity envelope of every
+ * function, and a function that changes sign in the box cannot meet a relative tolerance.
+ * @example
+ * const fast = createLookup({ functions: ["SW_Density", "SW_SpcHeat"],
+ *                             T: [10, 90], S: [30, 45], P: [0.1, 1], tolerance: 1e-6 });
+ * const sw = Object.assign({}, require("./seawater-mit"), fast.functions);
+ * sw.SW_Density(25, 35, 0.5);       // within 1e-6 of the exact value
+ * fast.tables.SW_Density.maxError;  // verified maximum relative error
+ * @param {Object} options - Lookup specification
+ * @param {Array<string>} options.functions - SW_* functions of T, S and/or P to tabulate
+ * @param {number|Array<number>} [options.T] - Temperature range [min, max] or fixed value [°C] (ITS-90)
+ * @param {number|Array<number>} [options.S] - Salinity range [min, max] or fixed value [g/kg]
+ * @param {number|Array<number>} [options.P] - Pressure range [min, max] or fixed value [MPa]
+ * @param {number} [options.tolerance=1e-6] - Maximum relative error [-]
+ * @param {number} [options.maxNodes=2e6] - Largest number of nodes per table
+ * @returns {{functions: Object<string, function>, tables: Object<string, {nodes: Object<string, number>,
+ *            maxError: number}>, tolerance: number}} Interpolating functions by name and, for each, the
+ *          number of nodes per argument and the verified maximum relative error [-]
+ * @throws {Error} If a function is unknown or takes an argument other than T, S and P, a range needed
+ *         by a function is missing, the box is not valid or the tolerance cannot be met within maxNodes
+ */
+function createLookup(options) {
+    const settings = Object.assign({}, LOOKUP_DEFAULTS, options);
+    const { functions } = options;
+
+    if (!Array.isArray(functions) || functions.length === 0) {
+        throw new Error("Lookup table requires a non-empty list of functions");
+    }
+    if (!(settings.tolerance > 0)) {
+        throw new Error("Lookup table tolerance must be positive");
+    }
+    if (!(Number.isInteger(settings.initialNodes) && settings.initialNodes >= 4)) {
+        throw new Error("Lookup table requires at least 4 initial nodes per axis");
+    }
+
+    const result = { functions: {}, tables: {}, tolerance: settings.tolerance };
+
+    for (const fnName of functions) {
+        const meta = FUNCTIONS[fnName];
+        if (!meta) {
+            throw new Error("Unknown seawater property function: " + fnName);
+        }
+
+        const ranges = {};
+        for (const arg of meta.args) {
+            if (arg !== "T" && arg !== "S" && arg !== "P") {
+                throw new Error(fnName + " takes " + arg + ", which a lookup table cannot tabulate");
+            }
+            ranges[arg] = axisRange(arg, options[arg]);
+        }
+
+        const table = buildTable(fnName, ranges, settings);
+        result.functions[fnName] = table.fn;
+        result.tables[fnName] = { nodes: table.nodes, maxError: table.maxError };
+    }
+
+    return result;
+}
+
+// Export functions
+module.exports = {
+    LOOKUP_DEFAULTS,
+    createLookup
+};
@@ -0,0 +1,264 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - MULTI-EFFECT DISTILLATION (MED) MODEL
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const seawater = require("./seawater-mit");
+
+
+/**
+ * Overall heat transfer coefficient of a falling-film evaporator, correlation of El-Dessouky et al. (1998)
+ * @param {number} T - Brine temperature in the effect [°C] (ITS-90)
+ * @returns {number} Overall heat transfer coefficient [W/m^2-K]
+ */
+function evaporatorCoefficient(T) {
+    return 1000 * (1.9695 + 1.2057e-2 * T - 8.5989e-5 * Math.pow(T, 2) + 2.5651e-7 * Math.pow(T, 3));
+}
+
+/**
+ * Marches the mass, salt and energy balances through the effects at fixed temperatures
+ * @param {number} M_s - Heating steam flow [kg/s]
+ * @param {Object} plant - Plant data prepared by medPlant
+ * @returns {Array<{vapor: number, feed: number, brineFlow: number, S: number, heatLoad: number}>}
+ *          Vapor produced, feed, brine leaving, its salinity and heat received by each effect
+ */
+function marchEffects(M_s, plant) {
+    const { n, forward, S, h_v, h_c, h_b, h_f, hfg_s, S_f, S_b, M_f } = plant;
+    const k = S_b / (S_b - S_f);
+    const effects = [];
+
+    let B = M_f;
+    let S_in = S_f;
+    let h_in = h_f;
+    let Q = M_s * hfg_s;
+
+    for (let i = 0; i < n; i++) {
+        let D, F;
+
+        if (forward) {
+            // Brine from the previous effect (the feed for the first) enters and partly evaporates
+            F = i === 0 ? M_f : 0;
+            D = (B * (h_in - h_b[i]) + Q) / (h_v[i] - h_b[i]);
+            S_in = S_in * B / (B - D);
+            B = B - D;
+            h_in = h_b[i];
+        } else {
+            // Each effect takes its own feed, sized so that its brine leaves at the outlet salinity
+            D = Q / (h_v[i] - h_b[i] + k * (h_b[i] - h_f));
+            F = k * D;
+            B = F - D;
+            S_in = S_b;
+        }
+
+        effects.push({ vapor: D, feed: F, brineFlow: B, S: forward ? S_in : S[i], heatLoad: Q });
+
+        // The vapor condenses in the next effect and leaves as saturated liquid
+        Q = D * (h_v[i] - h_c[i]);
+    }
+
+    return effects;
+}
+
+/**
+ * Multi-effect distillation plant with forward or parallel feed
+ *
+ * Heating steam condenses in the first effect; the vapor of each effect, released at the brine
+ * temperature and saturated at T - BPE, condenses in the tubes of the next. The effect temperatures
+ * are adjusted until all effects need the same heat transfer area, and the feed flow follows from
+ * the distillate and brine salinity. With forward feed the feed enters the first effect and the brine
+ * cascades from effect to effect; with parallel feed each effect takes its own share of the feed and
+ * all brine leaves at the outlet salinity. Feed preheaters and condensate flashing are not modeled.
+ * @example
+ * const plant = medPlant({ effects: 8, steamTemperature: 70, lastEffectTemperature: 40,
+ *     feedSalinity: 42, feedTemperature: 35, distillate: 100, brineSalinity: 70 });
+ * plant.performanceRatio;
+ * @param {Object} options - Plant specification
+ * @param {number} options.effects - Number of effects
+ * @param {string} [options.feed="forward"] - Feed arrangement: "forward" or "parallel"
+ * @param {number} options.steamTemperature - Condensing temperature of the heating steam [°C] (ITS-90)
+ * @param {number} options.lastEffectTemperature - Brine temperature in the last effect [°C] (ITS-90)
+ * @param {number} options.feedSalinity - Feed seawater salinity [g/kg] (reference-composition salinity)
+ * @param {number} options.feedTemperature - Feed seawater temperature entering the effects [°C] (ITS-90)
+ * @param {number} options.distillate - Total distillate production [kg/s]
+ * @param {number} options.brineSalinity - Salinity of the rejected brine [g/kg]
+ * @param {number|function(number): number} [options.U] - Overall heat transfer coefficient [W/m^2-K],
+ *        constant or a function of the effect brine temperature; by default the El-Dessouky correlation
+ * @returns {{effects: Array<Object>, steamFlow: number, distillate: number, feedFlow: number,
+ *            brineFlow: number, brineSalinity: number, GOR: number, performanceRatio: number,
+ *            area: number, specificArea: number, condenserLoad: number}} Per-effect state table (brine
+ *          temperature T [°C], vaporTemperature [°C], BPE [K], pressure [MPa], vapor [kg/s], feed [kg/s],
+ *          brineFlow [kg/s], S [g/kg], heatLoad [W], U [W/m^2-K], dT [K], area [m^2]) and plant totals:
+ *          steam flow [kg/s], distillate [kg/s], feed and brine flows [kg/s], brine salinity [g/kg],
+ *          gain output ratio [-], performance ratio [kg per 2326 kJ], total area [m^2], specific area
+ *          [m^2 per kg/s of distillate] and heat rejected in the end condenser [W]
+ * @throws {SeawaterRangeError} If a state is out of range of the property functions
+ * @throws {Error} If the specification is inconsistent or the temperatures do not converge
+ */
+function medPlant(options) {
+    const {
+        effects: n,
+        feed = "forward",
+        steamTemperature: T_s,
+        lastEffectTemperature: T_n,
+        feedSalinity: S_f,
+        feedTemperature: T_f,
+        distillate: D_total,
+        brineSalinity: S_b
+    } = options;
+
+    if (!(Number.isInteger(n) && n > 0)) {
+        throw new Error("Number of MED effects must be a positive integer");
+    }
+
+    if (feed !== "forward" && feed !== "parallel") {
+        throw new Error("MED feed arrangement must be \"forward\" or \"parallel\"");
+    }
+
+    if (!(T_s > T_n)) {
+        throw new Error("Steam temperature must be above the last effect temperature");
+    }
+
+    if (!(S_b > S_f)) {
+        throw new Error("Brine salinity must be above the feed salinity");
+    }
+
+    if (!(D_total > 0)) {
+        throw new Error("Distillate production must be positive");
+    }
+
+    let U = evaporatorCoefficient;
+    if (typeof options.U === "function") {
+        U = options.U;
+    } else if (options.U !== undefined) {
+        U = () => options.U;
+    }
+
+    const P = Math.max(0.101325, seawater.SW_Psat(T_s, 0) / 1e6);
+    const M_f = D_total * S_b / (S_b - S_f);
+    const forward = feed === "forward";
+
+    const plant = {
+        n, forward, S_f, S_b, M_f,
+        h_f: seawater.SW_Enthalpy(T_f, S_f, P),
+        hfg_s: seawater.SW_LatentHeat(T_s, 0),
+        T: new Array(n), S: new Array(n), BPE: new Array(n), T_v: new Array(n),
+        h_v: new Array(n), h_c: new Array(n), h_b: new Array(n)
+    };
+
+    // Start from equal temperature drops and a linear salinity profile
+    const dT = new Array(n).fill((T_s - T_n) / n);
+    for (let i = 0; i < n; i++) {
+        plant.S[i] = forward ? S_f + (S_b - S_f) * (i + 1) / n : S_b;
+        plant.BPE[i] = 0;
+    }
+
+    let effects, M_s, areas;
+    let converged = false;
+
+    for (let iter = 0; iter < 200; iter++) {
+        // Scale the drops so that the last effect sits at T_n; vapor of each effect condenses
+        // at its saturation temperature, BPE below the brine, so the drops share what the BPEs leave
+        for (let pass = 0; pass < 50; pass++) {
+            const available = T_s - T_n - plant.BPE.slice(0, n - 1).reduce((a, b) => a + b, 0);
+            const scale = available / dT.reduce((a, b) => a + b, 0);
+
+            let T_cond = T_s;
+            let change = 0;
+            for (let i = 0; i < n; i++) {
+                dT[i] *= scale;
+                plant.T[i] = i === n - 1 ? T_n : T_cond - dT[i];
+                const BPE = seawater.SW_BPE(plant.T[i], plant.S[i]);
+                change = Math.max(change, Math.abs(BPE - plant.BPE[i]));
+                plant.BPE[i] = BPE;
+                T_cond = plant.T[i] - BPE;
+            }
+
+            if (change < 1e-12) {
+                break;
+            }
+        }
+
+        for (let i = 0; i < n; i++) {
+            plant.T_v[i] = plant.T[i] - plant.BPE[i];
+            plant.h_v[i] = seawater.SW_VaporEnthalpy(plant.T[i], seawater.SW_Psat(plant.T_v[i], 0) / 1e6);
+            plant.h_c[i] = seawater.SW_WaterEnthalpy(plant.T_v[i]);
+            plant.h_b[i] = seawater.SW_Enthalpy(plant.T[i], plant.S[i], P);
+        }
+
+        // The balances are linear in the steam flow, so two marches fix it exactly
+        const total = M => marchEffects(M, plant).reduce((sum, effect) => sum + effect.vapor, 0);
+        const D0 = total(0);
+        M_s = (D_total - D0) / (total(1) - D0);
+        effects = marchEffects(M_s, plant);
+
+        areas = effects.map((effect, i) => {
+            const T_hot = i === 0 ? T_s : plant.T_v[i - 1];
+            return effect.heatLoad / (U(plant.T[i]) * (T_hot - plant.T[i]));
+        });
+        const A_mean = areas.reduce((a, b) => a + b, 0) / n;
+
+        let dS = 0;
+        let dA = 0;
+        for (let i = 0; i < n; i++) {
+            dS = Math.max(dS, Math.abs(effects[i].S - plant.S[i]));
+            dA = Math.max(dA, Math.abs(areas[i] / A_mean - 1));
+            plant.S[i] = effects[i].S;
+        }
+
+        if (dA < 1e-6 && dS < 1e-9) {
+            converged = true;
+            break;
+        }
+
+        // Effects with more area than average get a larger driving temperature difference
+        for (let i = 0; i < n; i++) {
+            dT[i] *= areas[i] / A_mean;
+        }
+    }
+
+    if (!converged) {
+        throw new Error("MED effect temperatures did not converge");
+    }
+
+    if (forward && !(T_f <= plant.T[0])) {
+        throw new Error("Feed temperature must not exceed the first effect temperature");
+    }
+
+    const table = effects.map((effect, i) => ({
+        effect: i + 1,
+        T: plant.T[i],
+        vaporTemperature: plant.T_v[i],
+        BPE: plant.BPE[i],
+        pressure: seawater.SW_Psat(plant.T_v[i], 0) / 1e6,
+        vapor: effect.vapor,
+        feed: effect.feed,
+        brineFlow: effect.brineFlow,
+        S: effect.S,
+        heatLoad: effect.heatLoad,
+        U: U(plant.T[i]),
+        dT: (i === 0 ? T_s : plant.T_v[i - 1]) - plant.T[i],
+        area: areas[i]
+    }));
+
+    const area = areas.reduce((a, b) => a + b, 0);
+    const last = effects[n - 1];
+
+    return {
+        effects: table,
+        steamFlow: M_s,
+        distillate: D_total,
+        feedFlow: M_f,
+        brineFlow: M_f - D_total,
+        brineSalinity: forward ? last.S : S_b,
+        GOR: D_total / M_s,
+        performanceRatio: D_total * 2326e3 / (M_s * plant.hfg_s),
+        area,
+        specificArea: area / D_total,
+        condenserLoad: last.vapor * (plant.h_v[n - 1] - plant.h_c[n - 1])
+    };
+}
+
+// Export functions
+module.exports = {
+    medPlant
+};
@@ -4,29 +4,630 @@
  */
 
 
+/**
+ * Error thrown when an input lies outside the validity range of a property function
+ * @extends RangeError
+ */
+class SeawaterRangeError extends RangeError {
+    /**
+     * @param {string} message - Human-readable description of the violated limit
+     * @param {Object} details - Machine-readable description of the violated limit
+     * @param {string} details.functionName - Name of the function that rejected the input, e.g. "SW_Density"
+     * @param {string} details.variable - Name of the offending input, e.g. "T", "S" or "P"
+     * @param {number} details.value - Offending input value
+     * @param {number} details.min - Lower bound of the valid range at the given state (e.g. P_sat for pressure)
+     * @param {number} details.max - Upper bound of the valid range at the given state
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = "SeawaterRangeError";
+        this.functionName = details.functionName;
+        this.variable = details.variable;
+        this.value = details.value;
+        this.min = details.min;
+        this.max = details.max;
+    }
+}
+
+/**
+ * Active out-of-range policy, see setRangePolicy
+ * @type {{mode: string, onWarning: ?function(SeawaterRangeError)}}
+ */
+let rangePolicy = { mode: "throw", onWarning: null };
+
+/**
+ * Normalizes a policy given as a mode name or a policy object
+ * @param {string|Object} policy - Mode name or {mode, onWarning}
+ * @returns {{mode: string, onWarning: ?function(SeawaterRangeError)}} Policy object
+ * @throws {Error} If the mode is unknown
+ */
+function normalizeRangePolicy(policy) {
+    if (typeof policy === "string") {
+        policy = { mode: policy };
+    }
+
+    const mode = policy.mode === undefined ? "throw" : policy.mode;
+
+    if (!["throw", "nan", "clamp", "extrapolate"].includes(mode)) {
+        throw new Error("Unknown out-of-range policy: " + mode + "; expected throw, nan, clamp or extrapolate");
+    }
+
+    return { mode, onWarning: policy.onWarning || null };
+}
+
+/**
+ * Sets the global out-of-range policy of the property functions
+ *
+ * - "throw": throw a SeawaterRangeError (default)
+ * - "nan": return NaN
+ * - "clamp": move the offending input to the nearest bound and evaluate there
+ * - "extrapolate": evaluate the correlation at the offending input anyway
+ *
+ * With "clamp" and "extrapolate" the optional onWarning callback receives the SeawaterRangeError
+ * (not thrown) for every limit crossed, including those of correlations called internally.
+ * @param {string|Object} policy - Mode name, or {mode, onWarning}
+ * @returns {{mode: string, onWarning: ?function(SeawaterRangeError)}} Previous policy
+ * @throws {Error} If the mode is unknown
+ */
+function setRangePolicy(policy) {
+    const previous = rangePolicy;
+    rangePolicy = normalizeRangePolicy(policy);
+    return previous;
+}
+
+/**
+ * Returns the active out-of-range policy
+ * @returns {{mode: string, onWarning: ?function(SeawaterRangeError)}} Active policy
+ */
+function getRangePolicy() {
+    return rangePolicy;
+}
+
+/**
+ * Runs a callback with a temporary out-of-range policy, restoring the previous one afterwards
+ * @example
+ * const rho = withRangePolicy("clamp", () => SW_Density(-0.2, 35, 0.101325));
+ * @param {string|Object} policy - Mode name, or {mode, onWarning}; see setRangePolicy
+ * @param {function(): *} callback - Code to run under the policy
+ * @returns {*} Return value of the callback
+ * @throws {Error} If the mode is unknown
+ */
+function withRangePolicy(policy, callback) {
+    const previous = setRangePolicy(policy);
+    try {
+        return callback();
+    } finally {
+        rangePolicy = previous;
+    }
+}
+
+/**
+ * Applies the active out-of-range policy to a violated limit
+ * @param {SeawaterRangeError} err - Description of the violated limit
+ * @returns {number} Value to continue the evaluation with
+ * @throws {SeawaterRangeError} If the policy is "throw"
+ */
+function outOfRange(err) {
+    switch (rangePolicy.mode) {
+        case "nan":
+            return NaN;
+        case "clamp":
+            if (rangePolicy.onWarning) {
+                rangePolicy.onWarning(err);
+            }
+            return Math.min(Math.max(err.value, err.min), err.max);
+        case "extrapolate":
+            if (rangePolicy.onWarning) {
+                rangePolicy.onWarning(err);
+            }
+            return err.value;
+        default:
+            throw err;
+    }
+}
+
+/**
+ * Root of a continuous function on a bracketing interval (Brent's method)
+ * @param {function(number): number} f - Function whose root is sought
+ * @param {number} a - Lower end of the bracket
+ * @param {number} b - Upper end of the bracket
+ * @param {number} [tol=1e-10] - Absolute tolerance on the root
+ * @param {number} [maxIter=100] - Maximum number of iterations
+ * @returns {number} Root of f in [a, b], or NaN if f is NaN at either end
+ * @throws {Error} If f(a) and f(b) do not bracket a root or the iteration does not converge
+ */
+function findRoot(f, a, b, tol = 1e-10, maxIter = 100) {
+    let fa = f(a);
+    let fb = f(b);
+
+    // NaN inputs under the "nan" range policy propagate instead of producing a spurious root
+    if (Number.isNaN(fa) || Number.isNaN(fb)) {
+        return NaN;
+    }
+
+    if (fa === 0) {
+        return a;
+    }
+
+    if (fb === 0) {
+        return b;
+    }
+
+    if (fa * fb > 0) {
+        throw new Error("Root is not bracketed by the interval [" + a + ", " + b + "]");
+    }
+
+    let c = a, fc = fa;
+    let d = b - a, e = d;
+
+    for (let i = 0; i < maxIter; i++) {
+        if (fb * fc > 0) {
+            c = a; fc = fa;
+            d = b - a; e = d;
+        }
+
+        if (Math.abs(fc) < Math.abs(fb)) {
+            a = b; b = c; c = a;
+            fa = fb; fb = fc; fc = fa;
+        }
+
+        const tol1 = 2 * Number.EPSILON * Math.abs(b) + 0.5 * tol;
+        const xm = 0.5 * (c - b);
+
+        if (Math.abs(xm) <= tol1 || fb === 0) {
+            return b;
+        }
+
+        if (Math.abs(e) >= tol1 && Math.abs(fa) > Math.abs(fb)) {
+            // Attempt inverse quadratic interpolation, falling back to the secant step
+            const s = fb / fa;
+            let p, q;
+            if (a === c) {
+                p = 2 * xm * s;
+                q = 1 - s;
+            } else {
+                const r = fb / fc;
+                const t = fa / fc;
+                p = s * (2 * xm * t * (t - r) - (b - a) * (r - 1));
+                q = (t - 1) * (r - 1) * (s - 1);
+            }
+
+            if (p > 0) {
+                q = -q;
+            } else {
+                p = -p;
+            }
+
+            if (2 * p < Math.min(3 * xm * q - Math.abs(tol1 * q), Math.abs(e * q))) {
+                e = d;
+                d = p / q;
+            } else {
+                d = xm;
+                e = d;
+            }
+        } else {
+            d = xm;
+            e = d;
+        }
+
+        a = b;
+        fa = fb;
+        b += Math.abs(d) > tol1 ? d : (xm > 0 ? tol1 : -tol1);
+        fb = f(b);
+    }
+
+    throw new Error("Root finder did not converge in " + maxIter + " iterations");
+}
+
+/**
+ * Widens an interval until it brackets a root of f
+ *
+ * An interval that already brackets a root is returned unchanged; wider intervals are only needed
+ * when an inverse function extrapolates under the "extrapolate" range policy.
+ * @param {function(number): number} f - Function whose root is sought
+ * @param {number} a - Lower end of the initial interval
+ * @param {number} b - Upper end of the initial interval
+ * @param {number} [maxIter=50] - Maximum number of widening steps
+ * @returns {Array<number>} Interval [a, b] over which f changes sign (or is NaN at an end)
+ * @throws {Error} If no sign change is found
+ */
+function expandBracket(f, a, b, maxIter = 50) {
+    let fa = f(a);
+    let fb = f(b);
+
+    for (let i = 0; i < maxIter; i++) {
+        if (!(fa * fb > 0)) {
+            return [a, b];
+        }
+
+        // Step away from the end with the smaller residual, i.e. towards the root
+        const width = b - a;
+        if (Math.abs(fa) < Math.abs(fb)) {
+            a -= width;
+            fa = f(a);
+        } else {
+            b += width;
+            fb = f(b);
+        }
+    }
+
+    throw new Error("Root could not be bracketed starting from the interval [" + a + ", " + b + "]");
+}
+
+/**
+ * Last point inside a validity region along a line, found by bisection
+ * @param {function(number): boolean} isInside - Predicate that is true at lo and false at hi
+ * @param {number} lo - Point known to be inside the region
+ * @param {number} hi - Point known to be outside the region
+ * @param {number} [tol=1e-12] - Absolute tolerance on the edge location
+ * @returns {number} Point inside the region within tol of its edge
+ */
+function findEdge(isInside, lo, hi, tol = 1e-12) {
+    while (Math.abs(hi - lo) > tol) {
+        const mid = 0.5 * (lo + hi);
+        if (mid === lo || mid === hi) {
+            break;
+        }
+
+        if (isInside(mid)) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+
+    return lo;
+}
+
+/**
+ * Temperature bracket of a (T, S, P) correlation, narrowed so that P > P_sat(T, S)
+ * @param {number} T_min - Lower temperature limit of the correlation [°C]; P must not be below P_sat(T_min, S)
+ * @param {number} T_max - Upper temperature limit of the correlation [°C]
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} P - Pressure [MPa]
+ * @returns {Array<number>} Valid temperature interval [T_lo, T_hi] in °C
+ */
+function liquidTemperatureBracket(T_min, T_max, S, P) {
+    const isLiquid = T => SW_Psat(T, S) / 1e6 <= P;
+
+    return [T_min, isLiquid(T_max) ? T_max : findEdge(isLiquid, T_min, T_max)];
+}
+
+/**
+ * Freezes an object together with the objects and arrays it holds
+ * @param {Object} obj - Object to freeze
+ * @returns {Object} The frozen object
+ */
+function freezeDeep(obj) {
+    for (const value of Object.values(obj)) {
+        if (typeof value === "object" && value !== null) {
+            freezeDeep(value);
+        }
+    }
+    return Object.freeze(obj);
+}
+
+/**
+ * Coefficients of the correlations, shared with their dual-number versions in
+ * seawater-derivatives.js. Each array lists the coefficients of one letter in the order of
+ * their index in the function that uses them, e.g. density.c = [c1, ..., c9]; the PSS-78
+ * a, b and c coefficients start at index 0.
+ * @readonly
+ */
+const COEFFICIENTS = freezeDeep({
+    // Practical salinity from conductivity ratio (PSS-78), see practicalSalinity
+    practicalSalinity: {
+        a: [0.0080, -0.1692, 25.3851, 14.0941, -7.0261, 2.7081],
+        b: [0.0005, -0.0056, -0.0066, -0.0375, 0.0636, -0.0144],
+        c: [0.6766097, 2.00564e-2, 1.104259e-4, -6.9698e-7, 1.0031e-9],
+        d: [3.426e-2, 4.464e-4, 4.215e-1, -3.107e-3],
+        e: [2.070e-5, -6.370e-10, 3.989e-15],
+        k: 0.0162
+    },
+    // Vapor pressure of pure water (a) and its salinity correction (b), see SW_Psat
+    vaporPressure: {
+        a: [-5800.2206, 1.3914993, -0.048640239, 0.000041764768, -0.000000014452093, 6.5459673],
+        b: [-4.5818e-4, -2.0443e-6]
+    },
+    // Ideal gas heat capacity of water vapor cp = a + b T + c T^2 + d T^3 [kJ/kmol-K], see vaporSuperheat
+    vaporHeatCapacity: {
+        cp: [32.24, 0.1923e-2, 1.055e-5, -3.595e-9],
+        MW_w: 18.01528
+    },
+    bpe: {
+        a: [-0.00045838530457, 0.28230948284, 17.945189194, 0.00015361752708, 0.052669058133, 6.5604855793]
+    },
+    // Pure water (a), seawater (b) and pressure dependence (c) coefficients, see SW_Gibbs
+    gibbs: {
+        a: [1.0677e2, -1.4303, -7.6139, 8.3627e-3, -7.8754e-6],
+        b: [-2.4176e2, -6.2462e-1, 7.4761e-3, 1.3836e-3, -6.7157e-6, 5.1993e-4, 9.9176e-9, 6.6448e1, 2.0681e-1],
+        c: [996.1978, 3.491e-2, 4.7231e-3, -6.9037e-6, -7.2431e-1, 1.5712e-3, -1.8919e-5, 2.5939e-8]
+    },
+    thermalConductivity: {
+        a: [240, 0.0002, 0.434, 2.3, 343.5, 0.037, 647.3, 0.03]
+    },
+    // Pure water conductivity k_fw0 = sum a_i T*^b_i, its pressure factor A(T*) (c) and salinity factor (d)
+    thermalConductivityP: {
+        a: [0.797015135, -0.251242021, 0.0964365893, -0.0326956491],
+        b: [-0.193823894, -4.7166384, -6.38463554, -2.13362102],
+        c: [21.942, -77.387, 102.81, -60.727, 13.464],
+        d: 0.00022,
+        T_ref: 300,
+        P_ref: 0.1,
+        P_scale: 139.9
+    },
+    // Pure water (a), seawater (b) and pressure dependence (c, d) coefficients, see SW_Density
+    density: {
+        a: [9.9992293295e2, 2.0341179217e-2, -6.1624591598e-3, 2.2614664708e-5, -4.6570659168e-8],
+        b: [8.0200240891e2, -2.0005183488, 1.6771024982e-2, -3.0600536746e-5, -1.6132224742e-5],
+        c: [5.0792e-4, -3.4168e-6, 5.6931e-8, -3.7263e-10, 1.4465e-12, -1.7058e-15, -1.3389e-6, 4.8603e-9, -6.8039e-13],
+        d: [-1.1077e-6, 5.5584e-9, -4.2539e-11, 8.3702e-9]
+    },
+    // Pure water (a), seawater (b) and pressure dependence (c) coefficients, see SW_Enthalpy
+    enthalpy: {
+        a: [141.355, 4202.07, -0.535, 0.004],
+        b: [-2.34825e4, 3.15183e5, 2.80269e6, -1.44606e7, 7.82607e3, -4.41733e1, 2.1394e-1, -1.99108e4, 2.77846e4, 9.72801e1],
+        c: [996.7767, -3.2406, 0.0127, -4.7723e-5, -1.1748, 0.01169, -2.6185e-5, 7.0661e-8]
+    },
+    // Pure water (a), seawater (b) and pressure dependence (c) coefficients, see SW_Entropy
+    entropy: {
+        a: [1.543226508e-1, 1.5382700241e1, -2.9963211781e-2, 8.1929151062e-5, -1.3699640311e-7],
+        b: [-4.2307343871e2, 1.4630334922e4, -9.8796297642e4, 3.0946224962e5, 2.5623880831e1,
+            -1.4432346624e-1, 5.8790568541e-4, -6.110676427e1, 8.0408001971e1, 3.0354282687e-1],
+        c: [-4.4786e-3, -1.1654e-2, 6.1154e-5, -2.0696e-7, -1.5531e-3, 4.0054e-5, -1.4193e-7, 3.3142e-10]
+    },
+    latentHeat: {
+        a: [2500899.1412, -2369.1806479, 0.26776439436, -0.0081027544602, -0.000020799346624]
+    },
+    // Osmotic coefficient correlation (a), weighted molar mass of the salt [g/mol] and gas constant [J/mol-K]
+    osmotic: {
+        a: [0.89453233003, 0.00041560737424, -0.0000046262121398, 0.000000000022211195897, -0.00011445456438,
+            -0.0000014783462366, -0.000000000013526263499, 0.0000070132355546, 0.000000056960486681,
+            -0.00000000028624032584],
+        MW_s: 31.4038218,
+        R: 8.3144598
+    },
+    // A, B, C and D, each quadratic in S_P, and pressure dependence (c), see SW_SpcHeat
+    specificHeat: {
+        A: [5.328, -9.76e-2, 4.04e-4],
+        B: [-6.913e-3, 7.351e-4, -3.15e-6],
+        C: [9.6e-6, -1.927e-6, 8.23e-9],
+        D: [2.5e-9, 1.666e-9, -7.125e-12],
+        c: [-3.1118, 0.0157, 5.1014e-5, -1.0302e-6, 0.0107, -3.9716e-5, 3.2088e-8, 1.0119e-9]
+    },
+    // Pure water (a) and seawater (b) coefficients, and critical temperature of water [K]
+    surfaceTension: {
+        a: [235.8, 1.256, 0.625],
+        b: [3.766e-4, 2.347e-6],
+        T_c: 647.096
+    },
+    // Pure water (a1-a4) and seawater (a5-a10) viscosity coefficients
+    viscosity: {
+        a: [0.15700386464, 64.99262005, -91.296496657, 0.000042844324477, 1.540913604, 0.019981117208,
+            -0.000095203865864, 7.9739318223, -0.075614568881, 0.00047237011074]
+    }
+});
+
+
+/**
+ * Practical salinity from conductivity ratio by the PSS-78 equations, without range checks
+ * @param {number} R - Conductivity ratio C(S_P, T, P) / C(35, 15 C, 0 dbar) [-]
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Practical salinity [-]
+ */
+function practicalSalinity(R, T, P) {
+    const t = 1.00024 * T;              // convert from T_90 to T_68
+    const p = (P - 0.101325) * 100;     // convert from absolute MPa to sea pressure in dbar
+
+    const [a0, a1, a2, a3, a4, a5] = COEFFICIENTS.practicalSalinity.a;
+    const [b0, b1, b2, b3, b4, b5] = COEFFICIENTS.practicalSalinity.b;
+    const [c0, c1, c2, c3, c4] = COEFFICIENTS.practicalSalinity.c;
+    const [d1, d2, d3, d4] = COEFFICIENTS.practicalSalinity.d;
+    const [e1, e2, e3] = COEFFICIENTS.practicalSalinity.e;
+    const k = COEFFICIENTS.practicalSalinity.k;
+
+    const r_t = c0 + c1 * t + c2 * Math.pow(t, 2) + c3 * Math.pow(t, 3) + c4 * Math.pow(t, 4);
+    const R_p = 1 + p * (e1 + e2 * p + e3 * Math.pow(p, 2)) /
+                (1 + d1 * t + d2 * Math.pow(t, 2) + (d3 + d4 * t) * R);
+    const R_t = R / (R_p * r_t);
+
+    const dS = (t - 15) / (1 + k * (t - 15)) *
+               (b0 + b1 * Math.pow(R_t, 0.5) + b2 * R_t + b3 * Math.pow(R_t, 1.5) +
+                b4 * Math.pow(R_t, 2) + b5 * Math.pow(R_t, 2.5));
+
+    return a0 + a1 * Math.pow(R_t, 0.5) + a2 * R_t + a3 * Math.pow(R_t, 1.5) +
+           a4 * Math.pow(R_t, 2) + a5 * Math.pow(R_t, 2.5) + dS;
+}
+
+
+/**
+ * Vapor pressure of pure water and its temperature derivative, valid for 0 < T < 200 C
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @returns {{Pv: number, dPv_dT: number}} Vapor pressure [N/m^2] and dPv/dT [N/m^2-K]
+ */
+function waterVaporPressure(T) {
+    const T_K = T + 273.15;
+
+    // Pure water vapor pressure coefficients
+    const [a1, a2, a3, a4, a5, a6] = COEFFICIENTS.vaporPressure.a;
+
+    const Pv = Math.exp((a1 / T_K) + a2 + a3 * T_K + a4 * Math.pow(T_K, 2) + 
+               a5 * Math.pow(T_K, 3) + a6 * Math.log(T_K));
+
+    const dlnPv_dT = -a1 / Math.pow(T_K, 2) + a3 + 2 * a4 * T_K + 3 * a5 * Math.pow(T_K, 2) + a6 / T_K;
+
+    return { Pv, dPv_dT: Pv * dlnPv_dT };
+}
+
+/**
+ * Saturation temperature of pure water, inverse of waterVaporPressure
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Saturation temperature [°C] (ITS-90)
+ */
+function waterSaturationTemperature(P) {
+    const f = T => waterVaporPressure(T).Pv / 1e6 - P;
+    return findRoot(f, ...expandBracket(f, 0, 200));
+}
+
+/**
+ * Saturated vapor properties of pure water from the liquid properties, SW_LatentHeat and the
+ * Clausius-Clapeyron equation, so that h_g - h_f and s_g - s_f are consistent with SW_LatentHeat
+ * @param {number} T - Saturation temperature [°C] (ITS-90)
+ * @returns {{h: number, s: number, v: number}} Specific enthalpy [J/kg], entropy [J/kg-K]
+ *          and volume [m^3/kg] of the saturated vapor
+ */
+function saturatedVapor(T) {
+    const T_K = T + 273.15;
+    const hfg = SW_LatentHeat(T, 0);
+
+    // Pure water density coefficients of SW_Density, without the pressure correction
+    const [a1, a2, a3, a4, a5] = COEFFICIENTS.density.a;
+
+    const rho_f = a1 + a2 * T + a3 * Math.pow(T, 2) + a4 * Math.pow(T, 3) + a5 * Math.pow(T, 4);
+
+    return {
+        h: SW_WaterEnthalpy(T) + hfg,
+        s: SW_WaterEntropy(T) + hfg / T_K,
+        v: 1 / rho_f + hfg / (T_K * waterVaporPressure(T).dPv_dT)
+    };
+}
+
+/**
+ * Enthalpy and entropy change of water vapor heated at constant pressure, treated as an ideal gas
+ * @param {number} T1 - Initial temperature [°C] (ITS-90)
+ * @param {number} T2 - Final temperature [°C] (ITS-90)
+ * @returns {{dh: number, ds: number}} Enthalpy change [J/kg] and entropy change [J/kg-K]
+ */
+function vaporSuperheat(T1, T2) {
+    const T1_K = T1 + 273.15;
+    const T2_K = T2 + 273.15;
+
+    // Ideal gas heat capacity cp = a + b T + c T^2 + d T^3 [kJ/kmol-K], T in K (273-1800 K)
+    const [a, b, c, d] = COEFFICIENTS.vaporHeatCapacity.cp;
+    const MW_w = COEFFICIENTS.vaporHeatCapacity.MW_w;  // g/mol
+
+    const dh = a * (T2_K - T1_K) + b / 2 * (Math.pow(T2_K, 2) - Math.pow(T1_K, 2)) +
+               c / 3 * (Math.pow(T2_K, 3) - Math.pow(T1_K, 3)) + d / 4 * (Math.pow(T2_K, 4) - Math.pow(T1_K, 4));
+    const ds = a * Math.log(T2_K / T1_K) + b * (T2_K - T1_K) +
+               c / 2 * (Math.pow(T2_K, 2) - Math.pow(T1_K, 2)) + d / 3 * (Math.pow(T2_K, 3) - Math.pow(T1_K, 3));
+
+    return { dh: 1000 * dh / MW_w, ds: 1000 * ds / MW_w };
+}
+
+/**
+ * Checks the arguments of the vapor property functions and returns the saturation temperature at P
+ * @param {string} functionName - Name of the calling function
+ * @param {string} property - Property name for error messages
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} [P] - Pressure [MPa]; defaults to the saturation pressure at T
+ * @returns {{T: number, T_sat: number}} Temperature after the range policy and saturation temperature at P
+ * @throws {SeawaterRangeError} If temperature or pressure is out of range
+ */
+function vaporState(functionName, property, T, P) {
+    if (T < 0 || T > 200) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for vapor " + property + " function 0 < T < 200 C", {
+            functionName, variable: "T", value: T, min: 0, max: 200
+        }));
+    }
+
+    const P_sat = waterVaporPressure(T).Pv / 1e6;
+
+    if (P === undefined) {
+        return { T, T_sat: T };
+    }
+
+    // Up to 50 K of superheat
+    const P_min = waterVaporPressure(Math.max(T - 50, 0)).Pv / 1e6;
+
+    if (P < P_min || P > P_sat) {
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for vapor " + property + " function P_sat(T - 50 K) < P < P_sat(T) MPa", {
+            functionName, variable: "P", value: P, min: P_min, max: P_sat
+        }));
+    }
+
+    return { T, T_sat: P === P_sat ? T : waterSaturationTemperature(P) };
+}
+
+/**
+ * Checks the arguments of the functions derived from the compressibility and expansivity,
+ * and returns the properties they combine
+ * @param {string} functionName - Name of the calling function
+ * @param {string} property - Property name for error messages
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} P - Pressure [MPa]
+ * @returns {{rho: number, cp: number, cv: number, kappa_T: number}} Density [kg/m^3], isobaric and
+ *          isochoric specific heat capacities [J/kg-K] and isothermal compressibility [1/MPa]
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
+ */
+function compressionState(functionName, property, T, S, P) {
+    if (T < 0 || T > 180) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for " + property + " function 0 < T < 180 C", {
+            functionName, variable: "T", value: T, min: 0, max: 180
+        }));
+    }
+
+    if (S < 0 || S > 150) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for " + property + " function 0 < S < 150 g/kg", {
+            functionName, variable: "S", value: S, min: 0, max: 150
+        }));
+    }
+
+    const P_sat = SW_Psat(T, S) / 1e6;
+
+    if (P < P_sat || P > 12) {
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for " + property + " function P_sat < P < 12 MPa", {
+            functionName, variable: "P", value: P, min: P_sat, max: 12
+        }));
+    }
+
+    const rho = SW_Density(T, S, P);
+    const cp = SW_SpcHeat(T, S, P);
+    const beta = SW_IsobExp(T, S, P);
+    const kappa_T = SW_IsothComp(T, S, P);
+
+    // c_p - c_v = T beta^2 / (rho kappa_T), with kappa_T in 1/Pa
+    const cv = cp - (T + 273.15) * Math.pow(beta, 2) / (rho * kappa_T * 1e-6);
+
+    return { rho, cp, cv, kappa_T };
+}
+
+/**
+ * Adiabatic (isentropic) compressibility of seawater, kappa_S = kappa_T c_v / c_p
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Adiabatic compressibility [1/MPa]
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
+ */
+function SW_AdiabComp(T, S, P) {
+    const { cp, cv, kappa_T } = compressionState("SW_AdiabComp", "adiabatic compressibility", T, S, P);
+    return kappa_T * cv / cp;
+}
+
 /**
  * Boiling point elevation of seawater
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @returns {number} BPE - Boiling point elevation [K]
- * @throws {Error} If temperature or salinity is out of range
+ * @throws {SeawaterRangeError} If temperature or salinity is out of range
  */
 function SW_BPE(T, S) {
     if (T < 0 || T > 200) {
-        throw new Error("Temperature is out of range for boiling point elevation function 0 < T < 200 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for boiling point elevation function 0 < T < 200 C", {
+            functionName: "SW_BPE", variable: "T", value: T, min: 0, max: 200
+        }));
     }
 
     if (S < 0 || S > 120) {
-        throw new Error("Salinity is out of range for boiling point elevation function 0 < S < 120 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for boiling point elevation function 0 < S < 120 g/kg", {
+            functionName: "SW_BPE", variable: "S", value: S, min: 0, max: 120
+        }));
     }
 
     S = S / 1000;
-    const a1 = -0.00045838530457;
-    const a2 = 0.28230948284;
-    const a3 = 17.945189194;
-    const a4 = 0.00015361752708;
-    const a5 = 0.052669058133;
-    const a6 = 6.5604855793;
+    const [a1, a2, a3, a4, a5, a6] = COEFFICIENTS.bpe.a;
 
     const A = a1 * Math.pow(T, 2) + a2 * T + a3;
     const B = a4 * Math.pow(T, 2) + a5 * T + a6;
@@ -34,59 +635,81 @@ function SW_BPE(T, S) {
     return A * Math.pow(S, 2) + B * S;
 }
 
+/**
+ * Electrical conductivity of seawater from its salinity (inverse of SW_S_from_C)
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Electrical conductivity [mS/cm]
+ * @throws {SeawaterRangeError} If salinity, temperature or pressure is out of range
+ */
+function SW_C_from_S(S, T, P) {
+    if (S < 2.00944 || S > 42.19824) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for conductivity from salinity function 2.00944 < S < 42.19824 g/kg (2 < S_P < 42)", {
+            functionName: "SW_C_from_S", variable: "S", value: S, min: 2.00944, max: 42.19824
+        }));
+    }
+
+    return 42.914 * SW_R_from_SP(SW_SP_from_SR(S), T, P);
+}
+
 /**
  * Chemical potential of salt in seawater
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Chemical potential of salt [J/kg]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_ChemPot_s(T, S, P) {
     if (T < 10 || T > 80) {
-        throw new Error("Temperature is out of range for the chemical potential of salt function 10 < T < 80 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for the chemical potential of salt function 10 < T < 80 C", {
+            functionName: "SW_ChemPot_s", variable: "T", value: T, min: 10, max: 80
+        }));
     }
 
     if (S < 0.1 || S > 120) {
-        throw new Error("Salinity is out of range for the chemical potential of salt function 0.1 < S < 120 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for the chemical potential of salt function 0.1 < S < 120 g/kg", {
+            functionName: "SW_ChemPot_s", variable: "S", value: S, min: 0.1, max: 120
+        }));
     }
 
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for the chemical potential of salt function P_sat < P < 12 MPa");
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for the chemical potential of salt function P_sat < P < 12 MPa", {
+            functionName: "SW_ChemPot_s", variable: "P", value: P, min: P_sat, max: 12
+        }));
     }
 
     let P0;
     if (T < 100) {
         P0 = 0.101325;
     } else {
-        P0 = SW_Psat(T, S) / 1e6;
+        P0 = P_sat;
+    }
+
+    // Above P0 the pressure correction is only valid for 10 < T < 40 C and S < 42 g/kg
+    if (P > P0 && T > 40) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for the chemical potential of salt function at P > P0 10 < T < 40 C", {
+            functionName: "SW_ChemPot_s", variable: "T", value: T, min: 10, max: 40
+        }));
     }
 
-    if (P > P0 && (S > 42 || T > 40)) {
-        throw new Error("Salinity is out of range for the chemical potential of salt function 10 < T < 40 C; 0.1 < S < 42 g/kg; P_sat < P < 12 MPa");
+    if (P > P0 && S > 42) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for the chemical potential of salt function at P > P0 0.1 < S < 42 g/kg", {
+            functionName: "SW_ChemPot_s", variable: "S", value: S, min: 0.1, max: 42
+        }));
     }
 
-    const b1 = -2.4176e2;
-    const b2 = -6.2462e-1;
-    const b3 = 7.4761e-3;
-    const b4 = 1.3836e-3;
-    const b5 = -6.7157e-6;
-    const b6 = 5.1993e-4;
-    const b7 = 9.9176e-9;
-    const b8 = 6.6448e1;
-    const b9 = 2.0681e-1;
+    const [b1, b2, b3, b4, b5, b6, b7, b8, b9] = COEFFICIENTS.gibbs.b;
 
     const dg_ds_P0 = b1 + b2 * T + b3 * Math.pow(T, 2) + 
                      2 * b4 * S * T + 2 * b5 * S * Math.pow(T, 2) + 
                      3 * b6 * Math.pow(S, 2) + 3 * b7 * Math.pow(S, 2) * Math.pow(T, 2) + 
                      b8 * (Math.log(S) + 1) + b9 * T * (Math.log(S) + 1);
 
-    const c5 = -7.2431e-1;
-    const c6 = 1.5712e-3;
-    const c7 = -1.8919e-5;
-    const c8 = 2.5939e-8;
+    const [, , , , c5, c6, c7, c8] = COEFFICIENTS.gibbs.c;
 
     const dg_ds_P = (P - P0) * (c5 + c6 * T + c7 * Math.pow(T, 2) + c8 * Math.pow(T, 3));
     const dg_ds = dg_ds_P0 + dg_ds_P;
@@ -101,43 +724,50 @@ function SW_ChemPot_s(T, S, P) {
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Chemical potential of water [J/kg]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_ChemPot_w(T, S, P) {
     if (T < 10 || T > 80) {
-        throw new Error("Temperature is out of range for the chemical potential of water function 10 < T < 80 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for the chemical potential of water function 10 < T < 80 C", {
+            functionName: "SW_ChemPot_w", variable: "T", value: T, min: 10, max: 80
+        }));
     }
 
     if (S < 0 || S > 120) {
-        throw new Error("Salinity is out of range for the chemical potential of water function 0 < S < 120 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for the chemical potential of water function 0 < S < 120 g/kg", {
+            functionName: "SW_ChemPot_w", variable: "S", value: S, min: 0, max: 120
+        }));
     }
 
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for the chemical potential of water function P_sat < P < 12 MPa");
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for the chemical potential of water function P_sat < P < 12 MPa", {
+            functionName: "SW_ChemPot_w", variable: "P", value: P, min: P_sat, max: 12
+        }));
     }
 
     let P0;
     if (T < 100) {
         P0 = 0.101325;
     } else {
-        P0 = SW_Psat(T, S) / 1e6;
+        P0 = P_sat;
+    }
+
+    // Above P0 the pressure correction is only valid for 10 < T < 40 C and S < 42 g/kg
+    if (P > P0 && T > 40) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for the chemical potential of water function at P > P0 10 < T < 40 C", {
+            functionName: "SW_ChemPot_w", variable: "T", value: T, min: 10, max: 40
+        }));
     }
 
-    if (P > P0 && (S > 42 || T > 40)) {
-        throw new Error("Salinity is out of range for the chemical potential of water function 10 < T < 40 C; 0 < S < 42 g/kg; P_sat < P < 12 MPa");
+    if (P > P0 && S > 42) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for the chemical potential of water function at P > P0 0 < S < 42 g/kg", {
+            functionName: "SW_ChemPot_w", variable: "S", value: S, min: 0, max: 42
+        }));
     }
 
-    const b1 = -2.4176e2;
-    const b2 = -6.2462e-1;
-    const b3 = 7.4761e-3;
-    const b4 = 1.3836e-3;
-    const b5 = -6.7157e-6;
-    const b6 = 5.1993e-4;
-    const b7 = 9.9176e-9;
-    const b8 = 6.6448e1;
-    const b9 = 2.0681e-1;
+    const [b1, b2, b3, b4, b5, b6, b7, b8, b9] = COEFFICIENTS.gibbs.b;
 
     let dg_ds, Sdg_dS;
     if (S > 0) {
@@ -146,10 +776,7 @@ function SW_ChemPot_w(T, S, P) {
                          3 * b6 * Math.pow(S, 2) + 3 * b7 * Math.pow(S, 2) * Math.pow(T, 2) + 
                          b8 * (Math.log(S) + 1) + b9 * T * (Math.log(S) + 1);
 
-        const c5 = -7.2431e-1;
-        const c6 = 1.5712e-3;
-        const c7 = -1.8919e-5;
-        const c8 = 2.5939e-8;
+        const [, , , , c5, c6, c7, c8] = COEFFICIENTS.gibbs.c;
 
         const dg_ds_P = (P - P0) * (c5 + c6 * T + c7 * Math.pow(T, 2) + c8 * Math.pow(T, 3));
         dg_ds = dg_ds_P0 + dg_ds_P;
@@ -166,23 +793,29 @@ function SW_ChemPot_w(T, S, P) {
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @returns {number} Thermal conductivity [W/m K]
- * @throws {Error} If temperature or salinity is out of range
+ * @throws {SeawaterRangeError} If temperature or salinity is out of range
  */
 function SW_Conductivity(T, S) {
     if (T < 0 || T > 180) {
-        throw new Error("Temperature is out of range for thermal conductivity function 0 < T < 180 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for thermal conductivity function 0 < T < 180 C", {
+            functionName: "SW_Conductivity", variable: "T", value: T, min: 0, max: 180
+        }));
     }
 
     if (S < 0 || S > 160) {
-        throw new Error("Salinity is out of range for thermal conductivity function 0 < S < 160 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for thermal conductivity function 0 < S < 160 g/kg", {
+            functionName: "SW_Conductivity", variable: "S", value: S, min: 0, max: 160
+        }));
     }
 
     const T68 = 1.00024 * T;    // convert from T_90 to T_68
     const SP = S / 1.00472;     // convert from S to S_P
 
-    return 0.001 * Math.pow(10, (Math.log10(240 + 0.0002 * SP) + 0.434 * 
-           (2.3 - (343.5 + 0.037 * SP) / (T68 + 273.15)) * 
-           Math.pow((1 - (T68 + 273.15) / (647.3 + 0.03 * SP)), 1/3)));
+    const [a1, a2, a3, a4, a5, a6, a7, a8] = COEFFICIENTS.thermalConductivity.a;
+
+    return 0.001 * Math.pow(10, (Math.log10(a1 + a2 * SP) + a3 * 
+           (a4 - (a5 + a6 * SP) / (T68 + 273.15)) * 
+           Math.pow((1 - (T68 + 273.15) / (a7 + a8 * SP)), 1/3)));
 }
 
 /**
@@ -191,81 +824,98 @@ function SW_Conductivity(T, S) {
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Thermal conductivity [W/m K]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_ConductivityP(T, S, P) {
     if (T < 10 || T > 90) {
-        throw new Error("Temperature is out of range for pressure-dependent thermal conductivity function 10 < T < 90 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for pressure-dependent thermal conductivity function 10 < T < 90 C", {
+            functionName: "SW_ConductivityP", variable: "T", value: T, min: 10, max: 90
+        }));
     }
 
     if (S < 0 || S > 120) {
-        throw new Error("Salinity is out of range for pressure-dependent thermal conductivity function 0 < S < 120 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for pressure-dependent thermal conductivity function 0 < S < 120 g/kg", {
+            functionName: "SW_ConductivityP", variable: "S", value: S, min: 0, max: 120
+        }));
     }
 
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for pressure-dependent thermal conductivity function P_sat < P < 12 MPa");
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for pressure-dependent thermal conductivity function P_sat < P < 12 MPa", {
+            functionName: "SW_ConductivityP", variable: "P", value: P, min: P_sat, max: 12
+        }));
     }
 
-    const T_star = (T + 273.15) / 300;
-    const P_star = (P - 0.1) / 139.9;
+    const { a, b, c, d: B, T_ref, P_ref, P_scale } = COEFFICIENTS.thermalConductivityP;
 
-    const k_fw0 = 0.797015135 * Math.pow(T_star, -0.193823894) - 
-                  0.251242021 * Math.pow(T_star, -4.7166384) + 
-                  0.0964365893 * Math.pow(T_star, -6.38463554) - 
-                  0.0326956491 * Math.pow(T_star, -2.13362102);
+    const T_star = (T + 273.15) / T_ref;
+    const P_star = (P - P_ref) / P_scale;
 
-    const A = 13.464 * Math.pow(T_star, 4) - 
-              60.727 * Math.pow(T_star, 3) + 
-              102.81 * Math.pow(T_star, 2) - 
-              77.387 * T_star + 21.942;
+    const k_fw0 = a[0] * Math.pow(T_star, b[0]) + 
+                  a[1] * Math.pow(T_star, b[1]) + 
+                  a[2] * Math.pow(T_star, b[2]) + 
+                  a[3] * Math.pow(T_star, b[3]);
+
+    const A = c[4] * Math.pow(T_star, 4) + 
+              c[3] * Math.pow(T_star, 3) + 
+              c[2] * Math.pow(T_star, 2) + 
+              c[1] * T_star + c[0];
 
     const k_fw = k_fw0 * (1 + A * P_star);
-    const B = 0.00022;
     
     return k_fw / (B * S + 1);
 }
 
+/**
+ * Isochoric specific heat capacity of seawater, c_v = c_p - T beta^2 / (rho kappa_T)
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Isochoric specific heat capacity [J/kg-K]
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
+ */
+function SW_Cv(T, S, P) {
+    return compressionState("SW_Cv", "isochoric specific heat capacity", T, S, P).cv;
+}
+
 /**
  * Density of seawater
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Density [kg/m^3]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_Density(T, S, P) {
     if (T < 0 || T > 180) {
-        throw new Error("Temperature is out of range for density function 0 < T < 180 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for density function 0 < T < 180 C", {
+            functionName: "SW_Density", variable: "T", value: T, min: 0, max: 180
+        }));
     }
 
     if (S < 0 || S > 150) {
-        throw new Error("Salinity is out of range for density function 0 < S < 150 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for density function 0 < S < 150 g/kg", {
+            functionName: "SW_Density", variable: "S", value: S, min: 0, max: 150
+        }));
     }
 
-    let P0 = T < 100 ? 0.101325 : SW_Psat(T, S) / 1e6;
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for density function P_sat < P < 12 MPa");
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for density function P_sat < P < 12 MPa", {
+            functionName: "SW_Density", variable: "P", value: P, min: P_sat, max: 12
+        }));
     }
 
+    const P0 = T < 100 ? 0.101325 : P_sat;
     const S_kgkg = S / 1000;
 
     // Pure water density coefficients
-    const a1 = 9.9992293295e2;
-    const a2 = 2.0341179217e-2;
-    const a3 = -6.1624591598e-3;
-    const a4 = 2.2614664708e-5;
-    const a5 = -4.6570659168e-8;
+    const [a1, a2, a3, a4, a5] = COEFFICIENTS.density.a;
 
     // Seawater density coefficients
-    const b1 = 8.0200240891e2;
-    const b2 = -2.0005183488;
-    const b3 = 1.6771024982e-2;
-    const b4 = -3.0600536746e-5;
-    const b5 = -1.6132224742e-5;
+    const [b1, b2, b3, b4, b5] = COEFFICIENTS.density.b;
 
     const rho_w = a1 + a2 * T + a3 * Math.pow(T, 2) + a4 * Math.pow(T, 3) + a5 * Math.pow(T, 4);
     const D_rho = b1 * S_kgkg + b2 * S_kgkg * T + b3 * S_kgkg * Math.pow(T, 2) + 
@@ -273,19 +923,8 @@ function SW_Density(T, S, P) {
     const rho_sw_sharq = rho_w + D_rho;
 
     // Pressure dependence coefficients
-    const c1 = 5.0792e-4;
-    const c2 = -3.4168e-6;
-    const c3 = 5.6931e-8;
-    const c4 = -3.7263e-10;
-    const c5 = 1.4465e-12;
-    const c6 = -1.7058e-15;
-    const c7 = -1.3389e-6;
-    const c8 = 4.8603e-9;
-    const c9 = -6.8039e-13;
-    const d1 = -1.1077e-6;
-    const d2 = 5.5584e-9;
-    const d3 = -4.2539e-11;
-    const d4 = 8.3702e-9;
+    const [c1, c2, c3, c4, c5, c6, c7, c8, c9] = COEFFICIENTS.density.c;
+    const [d1, d2, d3, d4] = COEFFICIENTS.density.d;
 
     const kT = c1 + c2 * T + c3 * Math.pow(T, 2) + c4 * Math.pow(T, 3) + 
                c5 * Math.pow(T, 4) + c6 * Math.pow(T, 5) + 
@@ -306,15 +945,19 @@ function SW_Density(T, S, P) {
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @returns {number} Thermal diffusivity [m^2/s]
- * @throws {Error} If temperature or salinity is out of range
+ * @throws {SeawaterRangeError} If temperature or salinity is out of range
  */
 function SW_Diffusivity(T, S) {
     if (T < 0 || T > 180) {
-        throw new Error("Temperature is out of range for diffusivity function 0 < T < 180 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for diffusivity function 0 < T < 180 C", {
+            functionName: "SW_Diffusivity", variable: "T", value: T, min: 0, max: 180
+        }));
     }
 
     if (S < 0 || S > 150) {
-        throw new Error("Salinity is out of range for diffusivity function 0 < S < 150 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for diffusivity function 0 < S < 150 g/kg", {
+            functionName: "SW_Diffusivity", variable: "S", value: S, min: 0, max: 150
+        }));
     }
 
     const P0 = T < 100 ? 0.101325 : SW_Psat(T, S) / 1e6;
@@ -331,50 +974,41 @@ function SW_Diffusivity(T, S) {
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Specific enthalpy [J/kg]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_Enthalpy(T, S, P) {
     if (T < 10 || T > 120) {
-        throw new Error("Temperature is out of range for enthalpy function 10 < T < 120 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for enthalpy function 10 < T < 120 C", {
+            functionName: "SW_Enthalpy", variable: "T", value: T, min: 10, max: 120
+        }));
     }
 
     if (S < 0 || S > 120) {
-        throw new Error("Salinity is out of range for enthalpy function 0 < S < 120 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for enthalpy function 0 < S < 120 g/kg", {
+            functionName: "SW_Enthalpy", variable: "S", value: S, min: 0, max: 120
+        }));
     }
 
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for enthalpy function P_sat < P < 12 MPa");
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for enthalpy function P_sat < P < 12 MPa", {
+            functionName: "SW_Enthalpy", variable: "P", value: P, min: P_sat, max: 12
+        }));
     }
 
-    const P0 = T < 100 ? 0.101325 : SW_Psat(T, S) / 1e6;
+    const P0 = T < 100 ? 0.101325 : P_sat;
     const S_kgkg = S / 1000;
 
     // Pure water enthalpy
-    const h_w = 141.355 + 4202.07 * T - 0.535 * Math.pow(T, 2) + 0.004 * Math.pow(T, 3);
+    const [a1, a2, a3, a4] = COEFFICIENTS.enthalpy.a;
+    const h_w = a1 + a2 * T + a3 * Math.pow(T, 2) + a4 * Math.pow(T, 3);
 
     // Seawater coefficients
-    const b1 = -2.34825e4;
-    const b2 = 3.15183e5;
-    const b3 = 2.80269e6;
-    const b4 = -1.44606e7;
-    const b5 = 7.82607e3;
-    const b6 = -4.41733e1;
-    const b7 = 2.1394e-1;
-    const b8 = -1.99108e4;
-    const b9 = 2.77846e4;
-    const b10 = 9.72801e1;
+    const [b1, b2, b3, b4, b5, b6, b7, b8, b9, b10] = COEFFICIENTS.enthalpy.b;
 
     // Pressure dependence coefficients
-    const c1 = 996.7767;
-    const c2 = -3.2406;
-    const c3 = 0.0127;
-    const c4 = -4.7723e-5;
-    const c5 = -1.1748;
-    const c6 = 0.01169;
-    const c7 = -2.6185e-5;
-    const c8 = 7.0661e-8;
+    const [c1, c2, c3, c4, c5, c6, c7, c8] = COEFFICIENTS.enthalpy.c;
 
     const h_sw_P = (P - P0) * (c1 + c2 * T + c3 * Math.pow(T, 2) + c4 * Math.pow(T, 3) + 
                    S * (c5 + c6 * T + c7 * Math.pow(T, 2) + c8 * Math.pow(T, 3)));
@@ -390,56 +1024,42 @@ function SW_Enthalpy(T, S, P) {
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Specific entropy [J/kg-K]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_Entropy(T, S, P) {
     if (T < 10 || T > 120) {
-        throw new Error("Temperature is out of range for entropy function 10 < T < 120 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for entropy function 10 < T < 120 C", {
+            functionName: "SW_Entropy", variable: "T", value: T, min: 10, max: 120
+        }));
     }
 
     if (S < 0 || S > 120) {
-        throw new Error("Salinity is out of range for entropy function 0 < S < 120 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for entropy function 0 < S < 120 g/kg", {
+            functionName: "SW_Entropy", variable: "S", value: S, min: 0, max: 120
+        }));
     }
 
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for entropy function P_sat < P < 12 MPa");
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for entropy function P_sat < P < 12 MPa", {
+            functionName: "SW_Entropy", variable: "P", value: P, min: P_sat, max: 12
+        }));
     }
 
-    const P0 = T < 100 ? 0.101325 : SW_Psat(T, S) / 1e6;
+    const P0 = T < 100 ? 0.101325 : P_sat;
     const S_kgkg = S / 1000;
 
     // Pure water entropy coefficients
-    const a1 = 1.543226508e-1;
-    const a2 = 1.5382700241e1;
-    const a3 = -2.9963211781e-2;
-    const a4 = 8.1929151062e-5;
-    const a5 = -1.3699640311e-7;
+    const [a1, a2, a3, a4, a5] = COEFFICIENTS.entropy.a;
 
     const s_w = a1 + a2 * T + a3 * Math.pow(T, 2) + a4 * Math.pow(T, 3) + a5 * Math.pow(T, 4);
 
     // Seawater coefficients
-    const b1 = -4.2307343871e2;
-    const b2 = 1.4630334922e4;
-    const b3 = -9.8796297642e4;
-    const b4 = 3.0946224962e5;
-    const b5 = 2.5623880831e1;
-    const b6 = -1.4432346624e-1;
-    const b7 = 5.8790568541e-4;
-    const b8 = -6.110676427e1;
-    const b9 = 8.0408001971e1;
-    const b10 = 3.0354282687e-1;
+    const [b1, b2, b3, b4, b5, b6, b7, b8, b9, b10] = COEFFICIENTS.entropy.b;
 
     // Pressure dependence coefficients
-    const c1 = -4.4786e-3;
-    const c2 = -1.1654e-2;
-    const c3 = 6.1154e-5;
-    const c4 = -2.0696e-7;
-    const c5 = -1.5531e-3;
-    const c6 = 4.0054e-5;
-    const c7 = -1.4193e-7;
-    const c8 = 3.3142e-10;
+    const [c1, c2, c3, c4, c5, c6, c7, c8] = COEFFICIENTS.entropy.c;
 
     const s_sw_P = (P - P0) * (c1 + c2 * T + c3 * Math.pow(T, 2) + c4 * Math.pow(T, 3) + 
                    S * (c5 + c6 * T + c7 * Math.pow(T, 2) + c8 * Math.pow(T, 3)));
@@ -454,34 +1074,72 @@ function SW_Entropy(T, S, P) {
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
- * @param {number} T0 - Total dead state temperature [°C] (ITS-90)
- * @param {number} S0 - Total dead state salinity [g/kg] (reference-composition salinity)
- * @param {number} P0 - Total dead state pressure [MPa]
+ * @param {number} [T0=25] - Total dead state temperature [°C] (ITS-90)
+ * @param {number} [S0=35] - Total dead state salinity [g/kg] (reference-composition salinity)
+ * @param {number} [P0=0.101325] - Total dead state pressure [MPa]
  * @returns {number} Specific flow exergy [J/kg]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If the state or the dead state (T0, S0, P0) is out of range
  */
-function SW_FlowExergy(T, S, P, T0, S0, P0) {
+function SW_FlowExergy(T, S, P, T0 = 25, S0 = 35, P0 = 0.101325) {
     if (T < 10 || T > 80) {
-        throw new Error("Temperature is out of range for flow exergy function 10 < T < 80 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for flow exergy function 10 < T < 80 C", {
+            functionName: "SW_FlowExergy", variable: "T", value: T, min: 10, max: 80
+        }));
     }
 
     if (S < 0 || S > 120) {
-        throw new Error("Salinity is out of range for flow exergy function 0 < S < 120 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for flow exergy function 0 < S < 120 g/kg", {
+            functionName: "SW_FlowExergy", variable: "S", value: S, min: 0, max: 120
+        }));
     }
 
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for flow exergy function P_sat < P < 12 MPa");
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for flow exergy function P_sat < P < 12 MPa", {
+            functionName: "SW_FlowExergy", variable: "P", value: P, min: P_sat, max: 12
+        }));
+    }
+
+    // Dead state: checked here so that an error names the argument the caller passed
+    if (T0 < 10 || T0 > 80) {
+        T0 = outOfRange(new SeawaterRangeError("Dead state temperature is out of range for flow exergy function 10 < T0 < 80 C", {
+            functionName: "SW_FlowExergy", variable: "T0", value: T0, min: 10, max: 80
+        }));
+    }
+
+    if (S0 < 0.1 || S0 > 120) {
+        S0 = outOfRange(new SeawaterRangeError("Reference salinity is out of allowed range for flow exergy function 0.1 < S0 < 120", {
+            functionName: "SW_FlowExergy", variable: "S0", value: S0, min: 0.1, max: 120
+        }));
     }
 
-    // Setting default reference states
-    T0 = T0 || 25;
-    S0 = S0 || 35;
-    P0 = P0 || 0.101325;
+    // The restricted (S) and total (S0) dead states share T0 and P0
+    const P0_sat = SW_Psat(T0, Math.min(S, S0)) / 1e6;
 
-    if (S0 < 0.1) {
-        throw new Error("Reference salinity is out of allowed range for flow exergy function 0.1 < S0 < 120");
+    if (P0 < P0_sat || P0 > 12) {
+        P0 = outOfRange(new SeawaterRangeError("Dead state pressure is out of range for flow exergy function P_sat(T0) < P0 < 12 MPa", {
+            functionName: "SW_FlowExergy", variable: "P0", value: P0, min: P0_sat, max: 12
+        }));
+    }
+
+    // Above atmospheric pressure the chemical potentials are only valid for 10 < T0 < 40 C and S, S0 < 42 g/kg
+    if (P0 > 0.101325 && T0 > 40) {
+        T0 = outOfRange(new SeawaterRangeError("Dead state temperature is out of range for flow exergy function at P0 > 0.101325 MPa 10 < T0 < 40 C", {
+            functionName: "SW_FlowExergy", variable: "T0", value: T0, min: 10, max: 40
+        }));
+    }
+
+    if (P0 > 0.101325 && S0 > 42) {
+        S0 = outOfRange(new SeawaterRangeError("Reference salinity is out of range for flow exergy function at P0 > 0.101325 MPa 0.1 < S0 < 42", {
+            functionName: "SW_FlowExergy", variable: "S0", value: S0, min: 0.1, max: 42
+        }));
+    }
+
+    if (P0 > 0.101325 && S > 42) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for flow exergy function at P0 > 0.101325 MPa 0 < S < 42 g/kg", {
+            functionName: "SW_FlowExergy", variable: "S", value: S, min: 0, max: 42
+        }));
     }
 
     const h_sw = SW_Enthalpy(T, S, P);
@@ -495,57 +1153,90 @@ function SW_FlowExergy(T, S, P, T0, S0, P0) {
 
     // Total Dead State
     const mu_w_0 = SW_ChemPot_w(T0, S0, P0);
-    const S0mu_s_0 = SW_SChemPot_s(T0, S0, P0);
     const Smu_s_0 = SW_SChemPot_s(T0, S0, P0) * (S / S0);
 
     return (h_sw - h_sw_star) - (T0 + 273.15) * (s_sw - s_sw_star) + 
            (1 - 0.001 * S) * (mu_w_star - mu_w_0) + 0.001 * (Smu_s_star - Smu_s_0);
 }
 
+/**
+ * Total flow exergy rate of one or more seawater streams
+ * @param {Array<{massFlow: number, T: number, S: number, P: number}>} streams - Streams with mass flow [kg/s],
+ *        temperature [°C], salinity [g/kg] and pressure [MPa]
+ * @param {number} [T0=25] - Total dead state temperature [°C] (ITS-90)
+ * @param {number} [S0=35] - Total dead state salinity [g/kg] (reference-composition salinity)
+ * @param {number} [P0=0.101325] - Total dead state pressure [MPa]
+ * @returns {number} Mass-flow-weighted flow exergy rate [W]
+ * @throws {SeawaterRangeError} If any stream is out of range of SW_FlowExergy
+ * @throws {Error} If a mass flow rate is negative or missing
+ */
+function SW_FlowExergyRate(streams, T0 = 25, S0 = 35, P0 = 0.101325) {
+    if (!Array.isArray(streams)) {
+        streams = [streams];
+    }
+
+    let total = 0;
+    for (const stream of streams) {
+        if (!(stream.massFlow >= 0)) {
+            throw new Error("Mass flow rate must be a non-negative number for flow exergy rate function");
+        }
+        total += stream.massFlow * SW_FlowExergy(stream.T, stream.S, stream.P, T0, S0, P0);
+    }
+
+    return total;
+}
+
+/**
+ * Ratio of specific heats of seawater, gamma = c_p / c_v
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Ratio of specific heats [-]
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
+ */
+function SW_Gamma(T, S, P) {
+    const { cp, cv } = compressionState("SW_Gamma", "specific heat ratio", T, S, P);
+    return cp / cv;
+}
+
 /**
  * Specific Gibbs energy of seawater
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Specific Gibbs energy [J/kg]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_Gibbs(T, S, P) {
     if (T < 10 || T > 120) {
-        throw new Error("Temperature is out of range for Gibbs function 10 < T < 120 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for Gibbs function 10 < T < 120 C", {
+            functionName: "SW_Gibbs", variable: "T", value: T, min: 10, max: 120
+        }));
     }
 
     if (S < 0 || S > 120) {
-        throw new Error("Salinity is out of range for Gibbs function 0 < S < 120 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for Gibbs function 0 < S < 120 g/kg", {
+            functionName: "SW_Gibbs", variable: "S", value: S, min: 0, max: 120
+        }));
     }
 
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for Gibbs function P_sat < P < 12 MPa");
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for Gibbs function P_sat < P < 12 MPa", {
+            functionName: "SW_Gibbs", variable: "P", value: P, min: P_sat, max: 12
+        }));
     }
 
-    const P0 = T < 100 ? 0.101325 : SW_Psat(T, S) / 1e6;
+    const P0 = T < 100 ? 0.101325 : P_sat;
 
     // Pure water Gibbs coefficients
-    const a1 = 1.0677e2;
-    const a2 = -1.4303;
-    const a3 = -7.6139;
-    const a4 = 8.3627e-3;
-    const a5 = -7.8754e-6;
+    const [a1, a2, a3, a4, a5] = COEFFICIENTS.gibbs.a;
 
     const g_w = a1 + a2 * T + a3 * Math.pow(T, 2) + a4 * Math.pow(T, 3) + a5 * Math.pow(T, 4);
 
     // Seawater coefficients
-    const b1 = -2.4176e2;
-    const b2 = -6.2462e-1;
-    const b3 = 7.4761e-3;
-    const b4 = 1.3836e-3;
-    const b5 = -6.7157e-6;
-    const b6 = 5.1993e-4;
-    const b7 = 9.9176e-9;
-    const b8 = 6.6448e1;
-    const b9 = 2.0681e-1;
+    const [b1, b2, b3, b4, b5, b6, b7, b8, b9] = COEFFICIENTS.gibbs.b;
 
     let g_sw_P0 = 0;
     if (S > 0) {
@@ -556,14 +1247,7 @@ function SW_Gibbs(T, S, P) {
     }
 
     // Pressure dependence coefficients
-    const c1 = 996.1978;
-    const c2 = 3.491e-2;
-    const c3 = 4.7231e-3;
-    const c4 = -6.9037e-6;
-    const c5 = -7.2431e-1;
-    const c6 = 1.5712e-3;
-    const c7 = -1.8919e-5;
-    const c8 = 2.5939e-8;
+    const [c1, c2, c3, c4, c5, c6, c7, c8] = COEFFICIENTS.gibbs.c;
 
     const g_sw_P = (P - P0) * (c1 + c2 * T + c3 * Math.pow(T, 2) + c4 * Math.pow(T, 3) + 
                    S * (c5 + c6 * T + c7 * Math.pow(T, 2) + c8 * Math.pow(T, 3)));
@@ -577,21 +1261,27 @@ function SW_Gibbs(T, S, P) {
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Specific internal energy [J/kg]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_IntEnergy(T, S, P) {
     if (T < 10 || T > 120) {
-        throw new Error("Temperature is out of range for internal energy function 10 < T < 120 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for internal energy function 10 < T < 120 C", {
+            functionName: "SW_IntEnergy", variable: "T", value: T, min: 10, max: 120
+        }));
     }
 
     if (S < 0 || S > 120) {
-        throw new Error("Salinity is out of range for internal energy function 0 < S < 120 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for internal energy function 0 < S < 120 g/kg", {
+            functionName: "SW_IntEnergy", variable: "S", value: S, min: 0, max: 120
+        }));
     }
 
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for internal energy function P_sat < P < 12 MPa");
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for internal energy function P_sat < P < 12 MPa", {
+            functionName: "SW_IntEnergy", variable: "P", value: P, min: P_sat, max: 12
+        }));
     }
 
     const rho = SW_Density(T, S, P);
@@ -604,39 +1294,37 @@ function SW_IntEnergy(T, S, P) {
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Isobaric expansivity [1/K]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_IsobExp(T, S, P) {
     if (T < 0 || T > 180) {
-        throw new Error("Temperature is out of range for isobaric expansivity function 0 < T < 180 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for isobaric expansivity function 0 < T < 180 C", {
+            functionName: "SW_IsobExp", variable: "T", value: T, min: 0, max: 180
+        }));
     }
 
     if (S < 0 || S > 150) {
-        throw new Error("Salinity is out of range for isobaric expansivity function 0 < S < 150 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for isobaric expansivity function 0 < S < 150 g/kg", {
+            functionName: "SW_IsobExp", variable: "S", value: S, min: 0, max: 150
+        }));
     }
 
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for isobaric expansivity function P_sat < P < 12 MPa");
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for isobaric expansivity function P_sat < P < 12 MPa", {
+            functionName: "SW_IsobExp", variable: "P", value: P, min: P_sat, max: 12
+        }));
     }
 
-    const P0 = T < 100 ? 0.101325 : SW_Psat(T, S) / 1e6;
+    const P0 = T < 100 ? 0.101325 : P_sat;
     const S_kgkg = S / 1000;
 
     // Pure water density coefficients
-    const a1 = 9.9992293295e2;
-    const a2 = 2.0341179217e-2;
-    const a3 = -6.1624591598e-3;
-    const a4 = 2.2614664708e-5;
-    const a5 = -4.6570659168e-8;
+    const [a1, a2, a3, a4, a5] = COEFFICIENTS.density.a;
 
     // Seawater density coefficients
-    const b1 = 8.0200240891e2;
-    const b2 = -2.0005183488;
-    const b3 = 1.6771024982e-2;
-    const b4 = -3.0600536746e-5;
-    const b5 = -1.6132224742e-5;
+    const [b1, b2, b3, b4, b5] = COEFFICIENTS.density.b;
 
     const drho_wdT = a2 + 2 * a3 * T + 3 * a4 * Math.pow(T, 2) + 4 * a5 * Math.pow(T, 3);
     const dD_rhodT = b2 * S_kgkg + 2 * b3 * S_kgkg * T + 3 * b4 * S_kgkg * Math.pow(T, 2) + 
@@ -650,19 +1338,8 @@ function SW_IsobExp(T, S, P) {
     const drho_sw_sharqdT = drho_wdT + dD_rhodT;
 
     // Pressure dependence coefficients
-    const c1 = 5.0792e-4;
-    const c2 = -3.4168e-6;
-    const c3 = 5.6931e-8;
-    const c4 = -3.7263e-10;
-    const c5 = 1.4465e-12;
-    const c6 = -1.7058e-15;
-    const c7 = -1.3389e-6;
-    const c8 = 4.8603e-9;
-    const c9 = -6.8039e-13;
-    const d1 = -1.1077e-6;
-    const d2 = 5.5584e-9;
-    const d3 = -4.2539e-11;
-    const d4 = 8.3702e-9;
+    const [c1, c2, c3, c4, c5, c6, c7, c8, c9] = COEFFICIENTS.density.c;
+    const [d1, d2, d3, d4] = COEFFICIENTS.density.d;
 
     const F_P = Math.exp((P - P0) * (c1 + c2 * T + c3 * Math.pow(T, 2) + 
                 c4 * Math.pow(T, 3) + c5 * Math.pow(T, 4) + c6 * Math.pow(T, 5) + 
@@ -688,36 +1365,32 @@ function SW_IsobExp(T, S, P) {
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Isothermal compressibility [1/MPa]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_IsothComp(T, S, P) {
     if (T < 0 || T > 180) {
-        throw new Error("Temperature is out of range for isothermal compressibility function 0 < T < 180 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for isothermal compressibility function 0 < T < 180 C", {
+            functionName: "SW_IsothComp", variable: "T", value: T, min: 0, max: 180
+        }));
     }
 
     if (S < 0 || S > 160) {
-        throw new Error("Salinity is out of range for isothermal compressibility function 0 < S < 160 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for isothermal compressibility function 0 < S < 160 g/kg", {
+            functionName: "SW_IsothComp", variable: "S", value: S, min: 0, max: 160
+        }));
     }
 
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for isothermal compressibility function P_sat < P < 12 MPa");
-    }
-
-    const c1 = 5.0792e-4;
-    const c2 = -3.4168e-6;
-    const c3 = 5.6931e-8;
-    const c4 = -3.7263e-10;
-    const c5 = 1.4465e-12;
-    const c6 = -1.7058e-15;
-    const c7 = -1.3389e-6;
-    const c8 = 4.8603e-9;
-    const c9 = -6.8039e-13;
-    const d1 = -1.1077e-6;
-    const d2 = 5.5584e-9;
-    const d3 = -4.2539e-11;
-    const d4 = 8.3702e-9;
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for isothermal compressibility function P_sat < P < 12 MPa", {
+            functionName: "SW_IsothComp", variable: "P", value: P, min: P_sat, max: 12
+        }));
+    }
+
+    // Pressure dependence coefficients of SW_Density
+    const [c1, c2, c3, c4, c5, c6, c7, c8, c9] = COEFFICIENTS.density.c;
+    const [d1, d2, d3, d4] = COEFFICIENTS.density.d;
 
     return c1 + c2 * T + c3 * Math.pow(T, 2) + c4 * Math.pow(T, 3) + 
            c5 * Math.pow(T, 4) + c6 * Math.pow(T, 5) + 
@@ -730,15 +1403,19 @@ function SW_IsothComp(T, S, P) {
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @returns {number} Kinematic viscosity [m^2/s]
- * @throws {Error} If temperature or salinity is out of range
+ * @throws {SeawaterRangeError} If temperature or salinity is out of range
  */
 function SW_Kviscosity(T, S) {
     if (T < 0 || T > 180) {
-        throw new Error("Temperature is out of range for kinematic viscosity function 0 < T < 180 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for kinematic viscosity function 0 < T < 180 C", {
+            functionName: "SW_Kviscosity", variable: "T", value: T, min: 0, max: 180
+        }));
     }
 
     if (S < 0 || S > 150) {
-        throw new Error("Salinity is out of range for kinematic viscosity function 0 < S < 150 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for kinematic viscosity function 0 < S < 150 g/kg", {
+            functionName: "SW_Kviscosity", variable: "S", value: S, min: 0, max: 150
+        }));
     }
 
     const P0 = T >= 100 ? SW_Psat(T, S) / 1e6 : 0.101325;
@@ -753,22 +1430,22 @@ function SW_Kviscosity(T, S) {
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @returns {number} Latent heat of vaporization [J/kg]
- * @throws {Error} If temperature or salinity is out of range
+ * @throws {SeawaterRangeError} If temperature or salinity is out of range
  */
 function SW_LatentHeat(T, S) {
     if (T < 0 || T > 200) {
-        throw new Error("Temperature is out of range for latent heat function 0 < T < 200 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for latent heat function 0 < T < 200 C", {
+            functionName: "SW_LatentHeat", variable: "T", value: T, min: 0, max: 200
+        }));
     }
 
     if (S < 0 || S > 240) {
-        throw new Error("Salinity is out of range for latent heat function 0 < S < 240 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for latent heat function 0 < S < 240 g/kg", {
+            functionName: "SW_LatentHeat", variable: "S", value: S, min: 0, max: 240
+        }));
     }
 
-    const a1 = 2500899.1412;
-    const a2 = -2369.1806479;
-    const a3 = 0.26776439436;
-    const a4 = -0.0081027544602;
-    const a5 = -0.000020799346624;
+    const [a1, a2, a3, a4, a5] = COEFFICIENTS.latentHeat.a;
 
     const hfg_w = a1 + a2 * T + a3 * Math.pow(T, 2) + a4 * Math.pow(T, 3) + a5 * Math.pow(T, 4);
     return hfg_w * (1 - 0.001 * S);
@@ -779,29 +1456,24 @@ function SW_LatentHeat(T, S) {
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @returns {number} Osmotic coefficient [-]
- * @throws {Error} If temperature or salinity is out of range
+ * @throws {SeawaterRangeError} If temperature or salinity is out of range
  */
 function SW_OsmCoeff(T, S) {
     if (T < 0 || T > 120) {
-        throw new Error("Temperature is out of range for osmotic coefficient function 0 < T < 120 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for osmotic coefficient function 0 < T < 120 C", {
+            functionName: "SW_OsmCoeff", variable: "T", value: T, min: 0, max: 120
+        }));
     }
 
     if (S < 0 || S > 120) {
-        throw new Error("Salinity is out of range for osmotic coefficient function 0 < S < 120 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for osmotic coefficient function 0 < S < 120 g/kg", {
+            functionName: "SW_OsmCoeff", variable: "S", value: S, min: 0, max: 120
+        }));
     }
 
-    const a1 = 0.89453233003;
-    const a2 = 0.00041560737424;
-    const a3 = -0.0000046262121398;
-    const a4 = 0.000000000022211195897;
-    const a5 = -0.00011445456438;
-    const a6 = -0.0000014783462366;
-    const a7 = -0.000000000013526263499;
-    const a8 = 0.0000070132355546;
-    const a9 = 0.000000056960486681;
-    const a10 = -0.00000000028624032584;
+    const [a1, a2, a3, a4, a5, a6, a7, a8, a9, a10] = COEFFICIENTS.osmotic.a;
 
-    const MW_s = 31.4038218;
+    const MW_s = COEFFICIENTS.osmotic.MW_s;
 
     if (S <= 10) {
         const S_eq = 10;  // Correlation matches function at S_equivalent = 10
@@ -839,21 +1511,25 @@ function SW_OsmCoeff(T, S) {
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @returns {number} Osmotic pressure [MPa]
- * @throws {Error} If temperature or salinity is out of range
+ * @throws {SeawaterRangeError} If temperature or salinity is out of range
  */
 function SW_OsmPress(T, S) {
     if (T < 0 || T > 120) {
-        throw new Error("Temperature is out of range for osmotic pressure function 0 < T < 120 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for osmotic pressure function 0 < T < 120 C", {
+            functionName: "SW_OsmPress", variable: "T", value: T, min: 0, max: 120
+        }));
     }
 
     if (S < 0 || S > 120) {
-        throw new Error("Salinity is out of range for osmotic pressure function 0 < S < 120 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for osmotic pressure function 0 < S < 120 g/kg", {
+            functionName: "SW_OsmPress", variable: "S", value: S, min: 0, max: 120
+        }));
     }
 
     const Phi = SW_OsmCoeff(T, S);
     const T_K = T + 273.15;
-    const Mw_sw = 31.4038218;  // Weighted mol. weight in g/mol
-    const R = 8.3144598;       // J/mol-K
+    const Mw_sw = COEFFICIENTS.osmotic.MW_s;  // Weighted mol. weight in g/mol
+    const R = COEFFICIENTS.osmotic.R;          // J/mol-K
 
     const m_sum = 1000 * S / ((1000 - S) * Mw_sw);  // Define molality as a function of salinity
 
@@ -869,33 +1545,25 @@ function SW_OsmPress(T, S) {
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @returns {number} Vapor pressure [N/m^2]
- * @throws {Error} If temperature or salinity is out of range
+ * @throws {SeawaterRangeError} If temperature or salinity is out of range
  */
 function SW_Psat(T, S) {
     if (T < 0 || T > 180) {
-        throw new Error("Temperature is out of range for vapor pressure function 0 < T < 180 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for vapor pressure function 0 < T < 180 C", {
+            functionName: "SW_Psat", variable: "T", value: T, min: 0, max: 180
+        }));
     }
 
     if (S < 0 || S > 160) {
-        throw new Error("Salinity is out of range for vapor pressure function 0 < S < 160 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for vapor pressure function 0 < S < 160 g/kg", {
+            functionName: "SW_Psat", variable: "S", value: S, min: 0, max: 160
+        }));
     }
 
-    const T_K = T + 273.15;
-
-    // Pure water vapor pressure coefficients
-    const a1 = -5800.2206;
-    const a2 = 1.3914993;
-    const a3 = -0.048640239;
-    const a4 = 0.000041764768;
-    const a5 = -0.000000014452093;
-    const a6 = 6.5459673;
-
-    const Pv_w = Math.exp((a1 / T_K) + a2 + a3 * T_K + a4 * Math.pow(T_K, 2) + 
-                 a5 * Math.pow(T_K, 3) + a6 * Math.log(T_K));
+    const Pv_w = waterVaporPressure(T).Pv;
 
     // Seawater coefficients
-    const b1 = -4.5818e-4;
-    const b2 = -2.0443e-6;
+    const [b1, b2] = COEFFICIENTS.vaporPressure.b;
 
     return Pv_w * Math.exp(b1 * S + b2 * Math.pow(S, 2));
 }
@@ -905,15 +1573,19 @@ function SW_Psat(T, S) {
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @returns {number} Prandtl number [-]
- * @throws {Error} If temperature or salinity is out of range
+ * @throws {SeawaterRangeError} If temperature or salinity is out of range
  */
 function SW_Prandtl(T, S) {
     if (T < 0 || T > 180) {
-        throw new Error("Temperature is out of range for Prandtl function 0 < T < 180 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for Prandtl function 0 < T < 180 C", {
+            functionName: "SW_Prandtl", variable: "T", value: T, min: 0, max: 180
+        }));
     }
 
     if (S < 0 || S > 150) {
-        throw new Error("Salinity is out of range for Prandtl function 0 < S < 150 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for Prandtl function 0 < S < 150 g/kg", {
+            functionName: "SW_Prandtl", variable: "S", value: S, min: 0, max: 150
+        }));
     }
 
     const P0 = T < 100 ? 0.101325 : SW_Psat(T, S) / 1e6;
@@ -924,52 +1596,351 @@ function SW_Prandtl(T, S) {
     return cp * mu / K;
 }
 
+/**
+ * Conductivity ratio of seawater from its practical salinity (inverse of SW_SP_from_R)
+ * @param {number} SP - Practical salinity [-] (PSS-78)
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Conductivity ratio C(S_P, T, P) / C(35, 15 C, 0 dbar) [-]
+ * @throws {SeawaterRangeError} If practical salinity, temperature or pressure is out of range
+ */
+function SW_R_from_SP(SP, T, P) {
+    if (SP < 2 || SP > 42) {
+        SP = outOfRange(new SeawaterRangeError("Practical salinity is out of range for conductivity ratio function 2 < S_P < 42", {
+            functionName: "SW_R_from_SP", variable: "SP", value: SP, min: 2, max: 42
+        }));
+    }
+
+    if (T < -2 || T > 35) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for conductivity ratio function -2 < T < 35 C", {
+            functionName: "SW_R_from_SP", variable: "T", value: T, min: -2, max: 35
+        }));
+    }
+
+    if (P < 0.101325 || P > 100.101325) {
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for conductivity ratio function 0.101325 < P < 100.101325 MPa", {
+            functionName: "SW_R_from_SP", variable: "P", value: P, min: 0.101325, max: 100.101325
+        }));
+    }
+
+    const f = R => practicalSalinity(R, T, P) - SP;
+    return findRoot(f, ...expandBracket(f, 0, 2));
+}
+
+/**
+ * Practical salinity of seawater from its conductivity ratio (PSS-78)
+ * @param {number} R - Conductivity ratio C(S_P, T, P) / C(35, 15 C, 0 dbar) [-]
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Practical salinity [-] (PSS-78)
+ * @throws {SeawaterRangeError} If temperature or pressure is out of range, or R lies outside 2 < S_P < 42
+ */
+function SW_SP_from_R(R, T, P) {
+    if (T < -2 || T > 35) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for practical salinity function -2 < T < 35 C", {
+            functionName: "SW_SP_from_R", variable: "T", value: T, min: -2, max: 35
+        }));
+    }
+
+    if (P < 0.101325 || P > 100.101325) {
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for practical salinity function 0.101325 < P < 100.101325 MPa", {
+            functionName: "SW_SP_from_R", variable: "P", value: P, min: 0.101325, max: 100.101325
+        }));
+    }
+
+    const SP = practicalSalinity(R, T, P);
+
+    // Negated so that a NaN salinity (negative R) is rejected too
+    if (!(SP >= 2 && SP <= 42)) {
+        // The conductivity ratio limits are those of 2 < S_P < 42 at this temperature and pressure
+        const R_min = findRoot(x => practicalSalinity(x, T, P) - 2, 0, 2);
+        const R_max = findRoot(x => practicalSalinity(x, T, P) - 42, 0, 2);
+        R = outOfRange(new SeawaterRangeError("Conductivity ratio is out of range for practical salinity function " + R_min + " < R < " + R_max + " (2 < S_P < 42)", {
+            functionName: "SW_SP_from_R", variable: "R", value: R, min: R_min, max: R_max
+        }));
+        return practicalSalinity(R, T, P);
+    }
+
+    return SP;
+}
+
+/**
+ * Practical salinity of seawater from its reference-composition salinity, S_P = S / 1.00472
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {number} Practical salinity [-] (PSS-78)
+ * @throws {SeawaterRangeError} If salinity is negative
+ */
+function SW_SP_from_SR(S) {
+    if (S < 0) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for practical salinity function 0 < S g/kg", {
+            functionName: "SW_SP_from_SR", variable: "S", value: S, min: 0, max: Infinity
+        }));
+    }
+
+    return S / 1.00472;
+}
+
+/**
+ * Reference-composition salinity of seawater from its practical salinity, S = 1.00472 * S_P
+ * @param {number} SP - Practical salinity [-] (PSS-78)
+ * @returns {number} Salinity [g/kg] (reference-composition salinity)
+ * @throws {SeawaterRangeError} If practical salinity is negative
+ */
+function SW_SR_from_SP(SP) {
+    if (SP < 0) {
+        SP = outOfRange(new SeawaterRangeError("Practical salinity is out of range for reference salinity function 0 < S_P", {
+            functionName: "SW_SR_from_SP", variable: "SP", value: SP, min: 0, max: Infinity
+        }));
+    }
+
+    return 1.00472 * SP;
+}
+
+/**
+ * Salinity of seawater from its electrical conductivity (PSS-78)
+ * @param {number} C - Electrical conductivity [mS/cm]
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Salinity [g/kg] (reference-composition salinity)
+ * @throws {SeawaterRangeError} If temperature or pressure is out of range, or C lies outside 2 < S_P < 42
+ */
+function SW_S_from_C(C, T, P) {
+    // C(35, 15 C, 0 dbar) = 42.914 mS/cm
+    return SW_SR_from_SP(SW_SP_from_R(C / 42.914, T, P));
+}
+
+/**
+ * Salinity of seawater from its mass concentration of dissolved salts, S = C / rho(T, S, P)
+ * @param {number} C - Dissolved salt concentration (TDS) [mg/L]
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Salinity [g/kg] (reference-composition salinity)
+ * @throws {SeawaterRangeError} If temperature, pressure or concentration is out of range
+ */
+function SW_S_from_mgL(C, T, P) {
+    if (T < 0 || T > 180) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for salinity from concentration function 0 < T < 180 C", {
+            functionName: "SW_S_from_mgL", variable: "T", value: T, min: 0, max: 180
+        }));
+    }
+
+    // The pure water vapor pressure bounds that of seawater at any salinity
+    const P_sat = SW_Psat(T, 0) / 1e6;
+
+    if (P < P_sat || P > 12) {
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for salinity from concentration function P_sat(T, 0) < P < 12 MPa", {
+            functionName: "SW_S_from_mgL", variable: "P", value: P, min: P_sat, max: 12
+        }));
+    }
+
+    const C_max = 150 * SW_Density(T, 150, P);
+
+    if (C < 0 || C > C_max) {
+        C = outOfRange(new SeawaterRangeError("Concentration is out of range for salinity from concentration function 0 < C < " + C_max + " mg/L (0 < S < 150 g/kg)", {
+            functionName: "SW_S_from_mgL", variable: "C", value: C, min: 0, max: C_max
+        }));
+    }
+
+    // mg/L = g/m^3, so S [g/kg] = C / rho; the density changes little with S, so the iteration converges quickly.
+    // Iterates are capped at 150 g/kg for the density, which the solution never exceeds since C <= C_max
+    let S = C / 1000;
+    for (let i = 0; i < 50; i++) {
+        const S_new = C / SW_Density(T, Math.min(S, 150), P);
+
+        if (!(Math.abs(S_new - S) > 1e-12 * Math.max(1, S_new))) {
+            return S_new;
+        }
+
+        S = S_new;
+    }
+
+    throw new Error("Salinity from concentration did not converge for C = " + C + " mg/L");
+}
+
+/**
+ * Salinity of seawater from its dissolved salt content by mass, S = ppm / 1000
+ * @param {number} ppm - Dissolved salt content [mg/kg] (parts per million by mass)
+ * @returns {number} Salinity [g/kg] (reference-composition salinity)
+ * @throws {SeawaterRangeError} If the content is out of range
+ */
+function SW_S_from_ppm(ppm) {
+    if (ppm < 0 || ppm > 1e6) {
+        ppm = outOfRange(new SeawaterRangeError("Salt content is out of range for salinity from ppm function 0 < ppm < 1e6 mg/kg", {
+            functionName: "SW_S_from_ppm", variable: "ppm", value: ppm, min: 0, max: 1e6
+        }));
+    }
+
+    return ppm / 1000;
+}
+
+/**
+ * Salinity-weighted chemical potential of salt in seawater (S * mu_s).
+ * Unlike SW_ChemPot_s this stays finite at S = 0, where it evaluates to zero.
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Salinity times chemical potential of salt [g/kg * J/kg]
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
+ */
+function SW_SChemPot_s(T, S, P) {
+    if (T < 10 || T > 80) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for the salinity-weighted chemical potential of salt function 10 < T < 80 C", {
+            functionName: "SW_SChemPot_s", variable: "T", value: T, min: 10, max: 80
+        }));
+    }
+
+    if (S < 0 || S > 120) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for the salinity-weighted chemical potential of salt function 0 < S < 120 g/kg", {
+            functionName: "SW_SChemPot_s", variable: "S", value: S, min: 0, max: 120
+        }));
+    }
+
+    const P_sat = SW_Psat(T, S) / 1e6;
+
+    if (P < P_sat || P > 12) {
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for the salinity-weighted chemical potential of salt function P_sat < P < 12 MPa", {
+            functionName: "SW_SChemPot_s", variable: "P", value: P, min: P_sat, max: 12
+        }));
+    }
+
+    let P0;
+    if (T < 100) {
+        P0 = 0.101325;
+    } else {
+        P0 = P_sat;
+    }
+
+    // Above P0 the pressure correction is only valid for 10 < T < 40 C and S < 42 g/kg
+    if (P > P0 && T > 40) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for the salinity-weighted chemical potential of salt function at P > P0 10 < T < 40 C", {
+            functionName: "SW_SChemPot_s", variable: "T", value: T, min: 10, max: 40
+        }));
+    }
+
+    if (P > P0 && S > 42) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for the salinity-weighted chemical potential of salt function at P > P0 0 < S < 42 g/kg", {
+            functionName: "SW_SChemPot_s", variable: "S", value: S, min: 0, max: 42
+        }));
+    }
+
+    const [b1, b2, b3, b4, b5, b6, b7, b8, b9] = COEFFICIENTS.gibbs.b;
+
+    // S * (ln(S) + 1) -> 0 as S -> 0, so the pure water limit is exactly zero
+    let Sdg_dS = 0;
+    if (S > 0) {
+        const dg_ds_P0 = b1 + b2 * T + b3 * Math.pow(T, 2) +
+                         2 * b4 * S * T + 2 * b5 * S * Math.pow(T, 2) +
+                         3 * b6 * Math.pow(S, 2) + 3 * b7 * Math.pow(S, 2) * Math.pow(T, 2) +
+                         b8 * (Math.log(S) + 1) + b9 * T * (Math.log(S) + 1);
+
+        const [, , , , c5, c6, c7, c8] = COEFFICIENTS.gibbs.c;
+
+        const dg_ds_P = (P - P0) * (c5 + c6 * T + c7 * Math.pow(T, 2) + c8 * Math.pow(T, 3));
+        Sdg_dS = S * (dg_ds_P0 + dg_ds_P);
+    }
+
+    return S * SW_Gibbs(T, S, P) + (1000 - S) * Sdg_dS;
+}
+
+/**
+ * Salinity of seawater from its density (inverse of SW_Density)
+ * @param {number} rho - Density [kg/m^3]
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Salinity [g/kg] (reference-composition salinity)
+ * @throws {SeawaterRangeError} If temperature or pressure is out of range, or rho lies outside the density range at (T, P)
+ */
+function SW_S_from_rho(rho, T, P) {
+    if (T < 0 || T > 180) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for salinity from density function 0 < T < 180 C", {
+            functionName: "SW_S_from_rho", variable: "T", value: T, min: 0, max: 180
+        }));
+    }
+
+    // P_sat decreases with salinity, so low salinities are the first to boil
+    const P_sat = SW_Psat(T, 150) / 1e6;
+
+    if (P < P_sat || P > 12) {
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for salinity from density function P_sat(T, 150 g/kg) < P < 12 MPa", {
+            functionName: "SW_S_from_rho", variable: "P", value: P, min: P_sat, max: 12
+        }));
+    }
+
+    const isLiquid = S => SW_Psat(T, S) / 1e6 <= P;
+
+    const S_lo = isLiquid(0) ? 0 : findEdge(isLiquid, 150, 0);
+    const rho_lo = SW_Density(T, S_lo, P);
+    const rho_hi = SW_Density(T, 150, P);
+
+    if (!(rho >= rho_lo && rho <= rho_hi)) {
+        rho = outOfRange(new SeawaterRangeError("Density is out of range for salinity from density function " + rho_lo + " < rho < " + rho_hi + " kg/m^3", {
+            functionName: "SW_S_from_rho", variable: "rho", value: rho, min: rho_lo, max: rho_hi
+        }));
+    }
+
+    const f = S => SW_Density(T, S, P) - rho;
+    return findRoot(f, ...expandBracket(f, S_lo, 150));
+}
+
+/**
+ * Speed of sound in seawater, c = 1 / sqrt(rho kappa_S)
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Speed of sound [m/s]
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
+ */
+function SW_SoundSpeed(T, S, P) {
+    const { rho, cp, cv, kappa_T } = compressionState("SW_SoundSpeed", "sound speed", T, S, P);
+    return 1 / Math.sqrt(rho * kappa_T * 1e-6 * cv / cp);
+}
+
 /**
  * Specific heat capacity of seawater
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Specific heat capacity [J/kg-K]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_SpcHeat(T, S, P) {
     if (T < 0 || T > 180) {
-        throw new Error("Temperature is out of range for specific heat capacity function 0 < T < 180 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for specific heat capacity function 0 < T < 180 C", {
+            functionName: "SW_SpcHeat", variable: "T", value: T, min: 0, max: 180
+        }));
     }
 
     if (S < 0 || S > 180) {
-        throw new Error("Salinity is out of range for specific heat capacity function 0 < S < 180 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for specific heat capacity function 0 < S < 180 g/kg", {
+            functionName: "SW_SpcHeat", variable: "S", value: S, min: 0, max: 180
+        }));
     }
 
     const P_sat = SW_Psat(T, S) / 1e6;
 
     if (P < P_sat || P > 12) {
-        throw new Error("Pressure is out of range for specific heat capacity function P_sat < P < 12 MPa");
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for specific heat capacity function P_sat < P < 12 MPa", {
+            functionName: "SW_SpcHeat", variable: "P", value: P, min: P_sat, max: 12
+        }));
     }
 
-    const P0 = T < 100 ? 0.101325 : SW_Psat(T, S) / 1e6;
+    const P0 = T < 100 ? 0.101325 : P_sat;
 
-    // Convert temperature from T_90 to T_68
-    const T68 = 1.00024 * T;
+    // Convert temperature from T_90 to T_68 in Kelvin, as the correlation requires
+    const T68 = 1.00024 * (T + 273.15);
     // Convert from S to S_P
     const SP = S / 1.00472;
 
-    const A = 5.328 - 9.76e-2 * SP + 4.04e-4 * Math.pow(SP, 2);
-    const B = -6.913e-3 + 7.351e-4 * SP - 3.15e-6 * Math.pow(SP, 2);
-    const C = 9.6e-6 - 1.927e-6 * SP + 8.23e-9 * Math.pow(SP, 2);
-    const D = 2.5e-9 + 1.666e-9 * SP - 7.125e-12 * Math.pow(SP, 2);
+    const quadratic = k => k[0] + k[1] * SP + k[2] * Math.pow(SP, 2);
+    const A = quadratic(COEFFICIENTS.specificHeat.A);
+    const B = quadratic(COEFFICIENTS.specificHeat.B);
+    const C = quadratic(COEFFICIENTS.specificHeat.C);
+    const D = quadratic(COEFFICIENTS.specificHeat.D);
 
     const cp_sw_P0 = 1000 * (A + B * T68 + C * Math.pow(T68, 2) + D * Math.pow(T68, 3));
 
     // Pressure dependence coefficients
-    const c1 = -3.1118;
-    const c2 = 0.0157;
-    const c3 = 5.1014e-5;
-    const c4 = -1.0302e-6;
-    const c5 = 0.0107;
-    const c6 = -3.9716e-5;
-    const c7 = 3.2088e-8;
-    const c8 = 1.0119e-9;
+    const [c1, c2, c3, c4, c5, c6, c7, c8] = COEFFICIENTS.specificHeat.c;
 
     const cp_sw_P = (P - P0) * (c1 + c2 * T + c3 * Math.pow(T, 2) + c4 * Math.pow(T, 3) + 
                    S * (c5 + c6 * T + c7 * Math.pow(T, 2) + c8 * Math.pow(T, 3)));
@@ -982,22 +1953,204 @@ function SW_SpcHeat(T, S, P) {
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @returns {number} Surface tension [mN/m]
- * @throws {Error} If temperature or salinity is out of range
+ * @throws {SeawaterRangeError} If temperature or salinity is out of range
  */
 function SW_SurfaceTension(T, S) {
     if (T < 0 || T > 100) {
-        throw new Error("Temperature is out of range for surface tension function 0 < T < 100 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for surface tension function 0 < T < 100 C", {
+            functionName: "SW_SurfaceTension", variable: "T", value: T, min: 0, max: 100
+        }));
     }
 
     if (S < 0 || S > 131) {
-        throw new Error("Salinity is out of range for surface tension function 0 < S < 131 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for surface tension function 0 < S < 131 g/kg", {
+            functionName: "SW_SurfaceTension", variable: "S", value: S, min: 0, max: 131
+        }));
     }
 
+    const [a1, a2, a3] = COEFFICIENTS.surfaceTension.a;
+    const [b1, b2] = COEFFICIENTS.surfaceTension.b;
+    const T_c = COEFFICIENTS.surfaceTension.T_c;
+
     const T_K = T + 273.15;
-    const gamma_w = 235.8 * Math.pow(1 - (T_K / 647.096), 1.256) * 
-                   (1 - 0.625 * (1 - (T_K / 647.096)));
+    const gamma_w = a1 * Math.pow(1 - (T_K / T_c), a2) * 
+                   (1 - a3 * (1 - (T_K / T_c)));
+
+    return gamma_w * (1 + b1 * S + b2 * S * T);
+}
+
+/**
+ * Temperature of seawater from its specific enthalpy (inverse of SW_Enthalpy)
+ * @param {number} h - Specific enthalpy [J/kg]
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Temperature [°C] (ITS-90)
+ * @throws {SeawaterRangeError} If salinity or pressure is out of range, or h lies outside the enthalpy range at (S, P)
+ */
+function SW_T_from_h(h, S, P) {
+    if (S < 0 || S > 120) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for temperature from enthalpy function 0 < S < 120 g/kg", {
+            functionName: "SW_T_from_h", variable: "S", value: S, min: 0, max: 120
+        }));
+    }
+
+    // The lowest vapor pressure over the temperature range bounds the pressure from below
+    const P_sat = SW_Psat(10, S) / 1e6;
+
+    if (P < P_sat || P > 12) {
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for temperature from enthalpy function P_sat(10 C) < P < 12 MPa", {
+            functionName: "SW_T_from_h", variable: "P", value: P, min: P_sat, max: 12
+        }));
+    }
 
-    return gamma_w * (1 + 3.766e-4 * S + 2.347e-6 * S * T);
+    const [T_lo, T_hi] = liquidTemperatureBracket(10, 120, S, P);
+    const h_lo = SW_Enthalpy(T_lo, S, P);
+    const h_hi = SW_Enthalpy(T_hi, S, P);
+
+    if (!(h >= h_lo && h <= h_hi)) {
+        h = outOfRange(new SeawaterRangeError("Enthalpy is out of range for temperature from enthalpy function " + h_lo + " < h < " + h_hi + " J/kg", {
+            functionName: "SW_T_from_h", variable: "h", value: h, min: h_lo, max: h_hi
+        }));
+    }
+
+    const f = T => SW_Enthalpy(T, S, P) - h;
+    return findRoot(f, ...expandBracket(f, T_lo, T_hi));
+}
+
+/**
+ * Temperature of seawater from its specific entropy (inverse of SW_Entropy)
+ * @param {number} s - Specific entropy [J/kg-K]
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Temperature [°C] (ITS-90)
+ * @throws {SeawaterRangeError} If salinity or pressure is out of range, or s lies outside the entropy range at (S, P)
+ */
+function SW_T_from_s(s, S, P) {
+    if (S < 0 || S > 120) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for temperature from entropy function 0 < S < 120 g/kg", {
+            functionName: "SW_T_from_s", variable: "S", value: S, min: 0, max: 120
+        }));
+    }
+
+    // The lowest vapor pressure over the temperature range bounds the pressure from below
+    const P_sat = SW_Psat(10, S) / 1e6;
+
+    if (P < P_sat || P > 12) {
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for temperature from entropy function P_sat(10 C) < P < 12 MPa", {
+            functionName: "SW_T_from_s", variable: "P", value: P, min: P_sat, max: 12
+        }));
+    }
+
+    const [T_lo, T_hi] = liquidTemperatureBracket(10, 120, S, P);
+    const s_lo = SW_Entropy(T_lo, S, P);
+    const s_hi = SW_Entropy(T_hi, S, P);
+
+    if (!(s >= s_lo && s <= s_hi)) {
+        s = outOfRange(new SeawaterRangeError("Entropy is out of range for temperature from entropy function " + s_lo + " < s < " + s_hi + " J/kg-K", {
+            functionName: "SW_T_from_s", variable: "s", value: s, min: s_lo, max: s_hi
+        }));
+    }
+
+    const f = T => SW_Entropy(T, S, P) - s;
+    return findRoot(f, ...expandBracket(f, T_lo, T_hi));
+}
+
+/**
+ * Saturation (boiling) temperature of seawater
+ *
+ * The pure water boiling temperature is found by inverting SW_Psat(T, 0); the salinity
+ * effect is then added through SW_BPE, so that SW_Tsat(P, S) - SW_Tsat(P, 0) equals
+ * SW_BPE(SW_Tsat(P, S), S). Since SW_Psat and SW_BPE are separate fits, SW_Psat(SW_Tsat(P, S), S)
+ * reproduces P only approximately for S > 0: the temperature at which it does so differs by up to
+ * 0.35 K (at 180 °C and 120 g/kg). The pressure range ends where the seawater boils at 180 °C,
+ * the upper limit of both fits.
+ * @param {number} P - Pressure [MPa]
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {number} Saturation temperature [°C] (ITS-90)
+ * @throws {SeawaterRangeError} If pressure or salinity is out of range, or the saturation
+ *         temperature would exceed 180 °C
+ */
+function SW_Tsat(P, S) {
+    if (S < 0 || S > 120) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for saturation temperature function 0 < S < 120 g/kg", {
+            functionName: "SW_Tsat", variable: "S", value: S, min: 0, max: 120
+        }));
+    }
+
+    // Seawater at the highest pressure boils at 180 C, the upper limit of SW_Psat and SW_BPE
+    const P_min = SW_Psat(0, 0) / 1e6;
+    const P_max = SW_Psat(180 - SW_BPE(180, S), 0) / 1e6;
+
+    if (!(P >= P_min && P <= P_max)) {
+        P = outOfRange(new SeawaterRangeError("Pressure is out of range for saturation temperature function " + P_min + " < P < " + P_max + " MPa", {
+            functionName: "SW_Tsat", variable: "P", value: P, min: P_min, max: P_max
+        }));
+    }
+
+    const f_w = T => SW_Psat(T, 0) / 1e6 - P;
+    const T_w = findRoot(f_w, ...expandBracket(f_w, 0, 180));
+
+    if (S === 0) {
+        return T_w;
+    }
+
+    // BPE is a function of the seawater temperature, so T = T_w + BPE(T, S) is solved for T.
+    // BPE stays below 5 K over its range, which bounds the bracket.
+    return findRoot(T => T - T_w - SW_BPE(T, S), T_w, T_w + 5);
+}
+
+/**
+ * Specific enthalpy of saturated or slightly superheated water vapor
+ *
+ * At saturation, h = SW_WaterEnthalpy(T) + SW_LatentHeat(T, 0); superheating from the
+ * saturation temperature at P treats the vapor as an ideal gas. A flash or condensation
+ * balance of seawater can so be closed with SW_Enthalpy, e.g. for vapor flashing off brine
+ * at T: h_vapor = SW_VaporEnthalpy(T, SW_Psat(T, S) / 1e6).
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} [P] - Pressure [MPa], at most the saturation pressure at T; saturated vapor if omitted
+ * @returns {number} Specific enthalpy [J/kg]
+ * @throws {SeawaterRangeError} If temperature is out of range, or P lies outside P_sat(T - 50 K) < P < P_sat(T)
+ */
+function SW_VaporEnthalpy(T, P) {
+    let T_sat;
+    ({ T, T_sat } = vaporState("SW_VaporEnthalpy", "enthalpy", T, P));
+
+    return saturatedVapor(T_sat).h + vaporSuperheat(T_sat, T).dh;
+}
+
+/**
+ * Specific entropy of saturated or slightly superheated water vapor
+ *
+ * At saturation, s = SW_WaterEntropy(T) + SW_LatentHeat(T, 0) / T; superheating from the
+ * saturation temperature at P treats the vapor as an ideal gas.
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} [P] - Pressure [MPa], at most the saturation pressure at T; saturated vapor if omitted
+ * @returns {number} Specific entropy [J/kg-K]
+ * @throws {SeawaterRangeError} If temperature is out of range, or P lies outside P_sat(T - 50 K) < P < P_sat(T)
+ */
+function SW_VaporEntropy(T, P) {
+    let T_sat;
+    ({ T, T_sat } = vaporState("SW_VaporEntropy", "entropy", T, P));
+
+    return saturatedVapor(T_sat).s + vaporSuperheat(T_sat, T).ds;
+}
+
+/**
+ * Specific volume of saturated or slightly superheated water vapor
+ *
+ * At saturation the volume follows from the Clausius-Clapeyron equation with SW_LatentHeat and
+ * the pure water vapor pressure of SW_Psat; superheating from the saturation temperature at P
+ * treats the vapor as an ideal gas.
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} [P] - Pressure [MPa], at most the saturation pressure at T; saturated vapor if omitted
+ * @returns {number} Specific volume [m^3/kg]
+ * @throws {SeawaterRangeError} If temperature is out of range, or P lies outside P_sat(T - 50 K) < P < P_sat(T)
+ */
+function SW_VaporVolume(T, P) {
+    let T_sat;
+    ({ T, T_sat } = vaporState("SW_VaporVolume", "volume", T, P));
+
+    return saturatedVapor(T_sat).v * (T + 273.15) / (T_sat + 273.15);
 }
 
 /**
@@ -1005,35 +2158,28 @@ function SW_SurfaceTension(T, S) {
  * @param {number} T - Temperature [°C] (ITS-90)
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @returns {number} Dynamic viscosity [kg/m-s]
- * @throws {Error} If temperature or salinity is out of range
+ * @throws {SeawaterRangeError} If temperature or salinity is out of range
  */
 function SW_Viscosity(T, S) {
     if (T < 0 || T > 180) {
-        throw new Error("Temperature is out of range for viscosity function 0 < T < 180 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for viscosity function 0 < T < 180 C", {
+            functionName: "SW_Viscosity", variable: "T", value: T, min: 0, max: 180
+        }));
     }
 
     if (S < 0 || S > 150) {
-        throw new Error("Salinity is out of range for viscosity function 0 < S < 150 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for viscosity function 0 < S < 150 g/kg", {
+            functionName: "SW_Viscosity", variable: "S", value: S, min: 0, max: 150
+        }));
     }
 
     const S_kgkg = S / 1000;
 
-    // Pure water viscosity coefficients
-    const a1 = 0.15700386464;
-    const a2 = 64.99262005;
-    const a3 = -91.296496657;
-    const a4 = 0.000042844324477;
+    // Pure water (a1-a4) and seawater (a5-a10) viscosity coefficients
+    const [a1, a2, a3, a4, a5, a6, a7, a8, a9, a10] = COEFFICIENTS.viscosity.a;
 
     const mu_w = a4 + 1 / (a1 * Math.pow(T + a2, 2) + a3);
 
-    // Seawater viscosity coefficients
-    const a5 = 1.540913604;
-    const a6 = 0.019981117208;
-    const a7 = -0.000095203865864;
-    const a8 = 7.9739318223;
-    const a9 = -0.075614568881;
-    const a10 = 0.00047237011074;
-
     const A = a5 + a6 * T + a7 * Math.pow(T, 2);
     const B = a8 + a9 * T + a10 * Math.pow(T, 2);
 
@@ -1046,33 +2192,477 @@ function SW_Viscosity(T, S) {
  * @param {number} S - Salinity [g/kg] (reference-composition salinity)
  * @param {number} P - Pressure [MPa]
  * @returns {number} Specific volume [m^3/kg]
- * @throws {Error} If temperature, salinity or pressure is out of range
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
  */
 function SW_Volume(T, S, P) {
     if (T < 0 || T > 180) {
-        throw new Error("Temperature is out of range for specific volume function 0 < T < 180 C");
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for specific volume function 0 < T < 180 C", {
+            functionName: "SW_Volume", variable: "T", value: T, min: 0, max: 180
+        }));
     }
 
     if (S < 0 || S > 150) {
-        throw new Error("Salinity is out of range for specific volume function 0 < S < 150 g/kg");
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for specific volume function 0 < S < 150 g/kg", {
+            functionName: "SW_Volume", variable: "S", value: S, min: 0, max: 150
+        }));
     }
 
     const rho = SW_Density(T, S, P);
     return 1 / rho;
 }
 
+/**
+ * Specific enthalpy of saturated liquid water (pure water term of SW_Enthalpy)
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @returns {number} Specific enthalpy [J/kg]
+ * @throws {SeawaterRangeError} If temperature is out of range
+ */
+function SW_WaterEnthalpy(T) {
+    if (T < 0 || T > 200) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for water enthalpy function 0 < T < 200 C", {
+            functionName: "SW_WaterEnthalpy", variable: "T", value: T, min: 0, max: 200
+        }));
+    }
+
+    const [a1, a2, a3, a4] = COEFFICIENTS.enthalpy.a;
+
+    return a1 + a2 * T + a3 * Math.pow(T, 2) + a4 * Math.pow(T, 3);
+}
+
+/**
+ * Specific entropy of saturated liquid water (pure water term of SW_Entropy)
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @returns {number} Specific entropy [J/kg-K]
+ * @throws {SeawaterRangeError} If temperature is out of range
+ */
+function SW_WaterEntropy(T) {
+    if (T < 0 || T > 200) {
+        T = outOfRange(new SeawaterRangeError("Temperature is out of range for water entropy function 0 < T < 200 C", {
+            functionName: "SW_WaterEntropy", variable: "T", value: T, min: 0, max: 200
+        }));
+    }
+
+    const [a1, a2, a3, a4, a5] = COEFFICIENTS.entropy.a;
+
+    return a1 + a2 * T + a3 * Math.pow(T, 2) + a4 * Math.pow(T, 3) + a5 * Math.pow(T, 4);
+}
+
+/**
+ * Mass concentration of dissolved salts in seawater from its salinity (inverse of SW_S_from_mgL)
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Dissolved salt concentration (TDS) [mg/L]
+ * @throws {SeawaterRangeError} If temperature, salinity or pressure is out of range
+ */
+function SW_mgL_from_S(S, T, P) {
+    // g/kg * kg/m^3 = g/m^3 = mg/L
+    return S * SW_Density(T, S, P);
+}
+
+/**
+ * Dissolved salt content of seawater by mass from its salinity (inverse of SW_S_from_ppm)
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {number} Dissolved salt content [mg/kg] (parts per million by mass)
+ * @throws {SeawaterRangeError} If salinity is out of range
+ */
+function SW_ppm_from_S(S) {
+    if (S < 0 || S > 1000) {
+        S = outOfRange(new SeawaterRangeError("Salinity is out of range for ppm from salinity function 0 < S < 1000 g/kg", {
+            functionName: "SW_ppm_from_S", variable: "S", value: S, min: 0, max: 1000
+        }));
+    }
+
+    return 1000 * S;
+}
+
+/**
+ * Units of the function arguments, as reported by getValidity
+ * @readonly
+ */
+const VARIABLE_UNITS = Object.freeze({
+    T: "C", S: "g/kg", P: "MPa",
+    T0: "C", S0: "g/kg", P0: "MPa",
+    h: "J/kg", s: "J/kg-K", rho: "kg/m^3",
+    SP: "-", R: "-", C: "mS/cm", mgL: "mg/L", ppm: "mg/kg"
+});
+
+/**
+ * State-dependent bounds used in VALIDITY, each evaluated from the named function arguments
+ * @readonly
+ */
+const DYNAMIC_BOUNDS = Object.freeze({
+    "P_sat": {
+        description: "Vapor pressure SW_Psat(T, S) [MPa]",
+        evaluate: v => SW_Psat(v.T, v.S) / 1e6
+    },
+    "P0": {
+        description: "Reference pressure: 0.101325 MPa below 100 C, SW_Psat(T, S) above [MPa]",
+        evaluate: v => v.T < 100 ? 0.101325 : SW_Psat(v.T, v.S) / 1e6
+    },
+    "P_sat(10 C, S)": {
+        description: "Vapor pressure at the lowest temperature of the inverted correlation [MPa]",
+        evaluate: v => SW_Psat(10, v.S) / 1e6
+    },
+    "P_sat,w(180 C - BPE(180 C, S))": {
+        description: "Pressure at which seawater of salinity S boils at 180 C [MPa]",
+        evaluate: v => SW_Psat(180 - SW_BPE(180, v.S), 0) / 1e6
+    },
+    "P_sat(T, 150 g/kg)": {
+        description: "Vapor pressure at the highest salinity of the density correlation [MPa]",
+        evaluate: v => SW_Psat(v.T, 150) / 1e6
+    },
+    "P_sat(T0, min(S, S0))": {
+        description: "Highest vapor pressure of the restricted and total dead states [MPa]",
+        evaluate: v => SW_Psat(v.T0, Math.min(v.S, v.S0)) / 1e6
+    },
+    "h(10 C, S, P)": {
+        description: "Enthalpy at the lowest valid temperature [J/kg]",
+        evaluate: v => SW_Enthalpy(10, v.S, v.P)
+    },
+    "h(T_max, S, P)": {
+        description: "Enthalpy at the highest valid temperature, min(120 C, boiling temperature at P) [J/kg]",
+        evaluate: v => SW_Enthalpy(liquidTemperatureBracket(10, 120, v.S, v.P)[1], v.S, v.P)
+    },
+    "s(10 C, S, P)": {
+        description: "Entropy at the lowest valid temperature [J/kg-K]",
+        evaluate: v => SW_Entropy(10, v.S, v.P)
+    },
+    "s(T_max, S, P)": {
+        description: "Entropy at the highest valid temperature, min(120 C, boiling temperature at P) [J/kg-K]",
+        evaluate: v => SW_Entropy(liquidTemperatureBracket(10, 120, v.S, v.P)[1], v.S, v.P)
+    },
+    "R(S_P = 2, T, P)": {
+        description: "Conductivity ratio at practical salinity 2 [-]",
+        evaluate: v => SW_R_from_SP(2, v.T, v.P)
+    },
+    "R(S_P = 42, T, P)": {
+        description: "Conductivity ratio at practical salinity 42 [-]",
+        evaluate: v => SW_R_from_SP(42, v.T, v.P)
+    },
+    "C(S_P = 2, T, P)": {
+        description: "Electrical conductivity at practical salinity 2 [mS/cm]",
+        evaluate: v => 42.914 * SW_R_from_SP(2, v.T, v.P)
+    },
+    "C(S_P = 42, T, P)": {
+        description: "Electrical conductivity at practical salinity 42 [mS/cm]",
+        evaluate: v => 42.914 * SW_R_from_SP(42, v.T, v.P)
+    },
+    "P_sat(T, 0)": {
+        description: "Vapor pressure of pure water [MPa]",
+        evaluate: v => SW_Psat(v.T, 0) / 1e6
+    },
+    "P_sat,w(T)": {
+        description: "Vapor pressure of pure water, valid to 200 C [MPa]",
+        evaluate: v => waterVaporPressure(v.T).Pv / 1e6
+    },
+    "P_sat,w(T - 50 K)": {
+        description: "Vapor pressure of pure water 50 K below T, the largest superheat [MPa]",
+        evaluate: v => waterVaporPressure(Math.max(v.T - 50, 0)).Pv / 1e6
+    },
+    "C(T, 150 g/kg, P)": {
+        description: "Dissolved salt concentration at the highest salinity of the density correlation [mg/L]",
+        evaluate: v => 150 * SW_Density(v.T, 150, v.P)
+    },
+    "rho(T, S_min, P)": {
+        description: "Density at the lowest salinity that is liquid at (T, P) [kg/m^3]",
+        evaluate: v => {
+            const isLiquid = S => SW_Psat(v.T, S) / 1e6 <= v.P;
+            return SW_Density(v.T, isLiquid(0) ? 0 : findEdge(isLiquid, 150, 0), v.P);
+        }
+    },
+    "rho(T, 150 g/kg, P)": {
+        description: "Density at the highest salinity [kg/m^3]",
+        evaluate: v => SW_Density(v.T, 150, v.P)
+    }
+});
+
+/**
+ * Conditions under which some functions apply tighter limits, evaluated from the named function arguments
+ * @readonly
+ */
+const CONDITIONS = Object.freeze({
+    "P > P0": {
+        description: "Pressure above the reference pressure P0 (0.101325 MPa below 100 C, SW_Psat(T, S) above)",
+        test: v => v.P > DYNAMIC_BOUNDS["P0"].evaluate(v)
+    },
+    "P0 > 0.101325": {
+        description: "Dead state pressure above atmospheric pressure",
+        test: v => v.P0 > 0.101325
+    }
+});
+
+/**
+ * Validity envelope of every property function: argument order, [min, max] of each argument
+ * (numbers or keys of DYNAMIC_BOUNDS), tighter limits that apply under CONDITIONS and the
+ * defaults of optional arguments.
+ * Limits imposed by correlations called internally are included, so a point is valid exactly
+ * when the function evaluates it without a SeawaterRangeError.
+ * @readonly
+ */
+const VALIDITY = Object.freeze({
+    SW_AdiabComp: { args: ["T", "S", "P"], limits: { T: [0, 180], S: [0, 150], P: ["P_sat", 12] } },
+    SW_BPE: { args: ["T", "S"], limits: { T: [0, 200], S: [0, 120] } },
+    SW_C_from_S: {
+        args: ["S", "T", "P"],
+        limits: { S: [2.00944, 42.19824], T: [-2, 35], P: [0.101325, 100.101325] }
+    },
+    SW_ChemPot_s: {
+        args: ["T", "S", "P"],
+        limits: { T: [10, 80], S: [0.1, 120], P: ["P_sat", 12] },
+        conditions: [{ when: "P > P0", limits: { T: [10, 40], S: [0.1, 42] } }]
+    },
+    SW_ChemPot_w: {
+        args: ["T", "S", "P"],
+        limits: { T: [10, 80], S: [0, 120], P: ["P_sat", 12] },
+        conditions: [{ when: "P > P0", limits: { T: [10, 40], S: [0, 42] } }]
+    },
+    SW_Conductivity: { args: ["T", "S"], limits: { T: [0, 180], S: [0, 160] } },
+    SW_ConductivityP: { args: ["T", "S", "P"], limits: { T: [10, 90], S: [0, 120], P: ["P_sat", 12] } },
+    SW_Cv: { args: ["T", "S", "P"], limits: { T: [0, 180], S: [0, 150], P: ["P_sat", 12] } },
+    SW_Density: { args: ["T", "S", "P"], limits: { T: [0, 180], S: [0, 150], P: ["P_sat", 12] } },
+    SW_Diffusivity: { args: ["T", "S"], limits: { T: [0, 180], S: [0, 150] } },
+    SW_Enthalpy: { args: ["T", "S", "P"], limits: { T: [10, 120], S: [0, 120], P: ["P_sat", 12] } },
+    SW_Entropy: { args: ["T", "S", "P"], limits: { T: [10, 120], S: [0, 120], P: ["P_sat", 12] } },
+    SW_FlowExergy: {
+        args: ["T", "S", "P", "T0", "S0", "P0"],
+        limits: {
+            T: [10, 80], S: [0, 120], P: ["P_sat", 12],
+            T0: [10, 80], S0: [0.1, 120], P0: ["P_sat(T0, min(S, S0))", 12]
+        },
+        conditions: [{ when: "P0 > 0.101325", limits: { T0: [10, 40], S: [0, 42], S0: [0.1, 42] } }],
+        defaults: { T0: 25, S0: 35, P0: 0.101325 }
+    },
+    SW_Gamma: { args: ["T", "S", "P"], limits: { T: [0, 180], S: [0, 150], P: ["P_sat", 12] } },
+    SW_Gibbs: { args: ["T", "S", "P"], limits: { T: [10, 120], S: [0, 120], P: ["P_sat", 12] } },
+    SW_IntEnergy: { args: ["T", "S", "P"], limits: { T: [10, 120], S: [0, 120], P: ["P_sat", 12] } },
+    SW_IsobExp: { args: ["T", "S", "P"], limits: { T: [0, 180], S: [0, 150], P: ["P_sat", 12] } },
+    SW_IsothComp: { args: ["T", "S", "P"], limits: { T: [0, 180], S: [0, 160], P: ["P_sat", 12] } },
+    SW_Kviscosity: { args: ["T", "S"], limits: { T: [0, 180], S: [0, 150] } },
+    SW_LatentHeat: { args: ["T", "S"], limits: { T: [0, 200], S: [0, 240] } },
+    SW_OsmCoeff: { args: ["T", "S"], limits: { T: [0, 120], S: [0, 120] } },
+    SW_OsmPress: { args: ["T", "S"], limits: { T: [0, 120], S: [0, 120] } },
+    SW_Psat: { args: ["T", "S"], limits: { T: [0, 180], S: [0, 160] } },
+    SW_Prandtl: { args: ["T", "S"], limits: { T: [0, 180], S: [0, 150] } },
+    SW_R_from_SP: { args: ["SP", "T", "P"], limits: { SP: [2, 42], T: [-2, 35], P: [0.101325, 100.101325] } },
+    SW_SP_from_R: {
+        args: ["R", "T", "P"],
+        limits: { T: [-2, 35], P: [0.101325, 100.101325], R: ["R(S_P = 2, T, P)", "R(S_P = 42, T, P)"] }
+    },
+    SW_SP_from_SR: { args: ["S"], limits: { S: [0, Infinity] } },
+    SW_SR_from_SP: { args: ["SP"], limits: { SP: [0, Infinity] } },
+    SW_S_from_C: {
+        args: ["C", "T", "P"],
+        limits: { T: [-2, 35], P: [0.101325, 100.101325], C: ["C(S_P = 2, T, P)", "C(S_P = 42, T, P)"] }
+    },
+    SW_S_from_mgL: {
+        args: ["mgL", "T", "P"],
+        limits: { T: [0, 180], P: ["P_sat(T, 0)", 12], mgL: [0, "C(T, 150 g/kg, P)"] }
+    },
+    SW_S_from_ppm: { args: ["ppm"], limits: { ppm: [0, 1e6] } },
+    SW_SChemPot_s: {
+        args: ["T", "S", "P"],
+        limits: { T: [10, 80], S: [0, 120], P: ["P_sat", 12] },
+        conditions: [{ when: "P > P0", limits: { T: [10, 40], S: [0, 42] } }]
+    },
+    SW_S_from_rho: {
+        args: ["rho", "T", "P"],
+        limits: { T: [0, 180], P: ["P_sat(T, 150 g/kg)", 12], rho: ["rho(T, S_min, P)", "rho(T, 150 g/kg, P)"] }
+    },
+    SW_SoundSpeed: { args: ["T", "S", "P"], limits: { T: [0, 180], S: [0, 150], P: ["P_sat", 12] } },
+    // The vapor pressure check limits the salinity below the correlation's own 180 g/kg
+    SW_SpcHeat: { args: ["T", "S", "P"], limits: { T: [0, 180], S: [0, 160], P: ["P_sat", 12] } },
+    SW_SurfaceTension: { args: ["T", "S"], limits: { T: [0, 100], S: [0, 131] } },
+    SW_T_from_h: {
+        args: ["h", "S", "P"],
+        limits: { S: [0, 120], P: ["P_sat(10 C, S)", 12], h: ["h(10 C, S, P)", "h(T_max, S, P)"] }
+    },
+    SW_T_from_s: {
+        args: ["s", "S", "P"],
+        limits: { S: [0, 120], P: ["P_sat(10 C, S)", 12], s: ["s(10 C, S, P)", "s(T_max, S, P)"] }
+    },
+    SW_Tsat: { args: ["P", "S"], limits: { S: [0, 120], P: [SW_Psat(0, 0) / 1e6, "P_sat,w(180 C - BPE(180 C, S))"] } },
+    SW_VaporEnthalpy: {
+        args: ["T", "P"],
+        limits: { T: [0, 200], P: ["P_sat,w(T - 50 K)", "P_sat,w(T)"] },
+        defaults: { P: "P_sat,w(T)" }
+    },
+    SW_VaporEntropy: {
+        args: ["T", "P"],
+        limits: { T: [0, 200], P: ["P_sat,w(T - 50 K)", "P_sat,w(T)"] },
+        defaults: { P: "P_sat,w(T)" }
+    },
+    SW_VaporVolume: {
+        args: ["T", "P"],
+        limits: { T: [0, 200], P: ["P_sat,w(T - 50 K)", "P_sat,w(T)"] },
+        defaults: { P: "P_sat,w(T)" }
+    },
+    SW_Viscosity: { args: ["T", "S"], limits: { T: [0, 180], S: [0, 150] } },
+    SW_Volume: { args: ["T", "S", "P"], limits: { T: [0, 180], S: [0, 150], P: ["P_sat", 12] } },
+    SW_WaterEnthalpy: { args: ["T"], limits: { T: [0, 200] } },
+    SW_WaterEntropy: { args: ["T"], limits: { T: [0, 200] } },
+    SW_mgL_from_S: { args: ["S", "T", "P"], limits: { T: [0, 180], S: [0, 150], P: ["P_sat", 12] } },
+    SW_ppm_from_S: { args: ["S"], limits: { S: [0, 1000] } }
+});
+
+/**
+ * Looks up the validity entry of a function
+ * @param {string|function} fn - Function name or the function itself
+ * @returns {{name: string, entry: Object}} Function name and its VALIDITY entry
+ * @throws {Error} If the function has no validity envelope
+ */
+function lookupValidity(fn) {
+    const name = typeof fn === "function" ? fn.name : fn;
+
+    if (!Object.prototype.hasOwnProperty.call(VALIDITY, name)) {
+        throw new Error("No validity envelope is defined for " + name);
+    }
+
+    return { name, entry: VALIDITY[name] };
+}
+
+/**
+ * Resolves a numeric or dynamic bound at a state, returning NaN if the state cannot be evaluated
+ * @param {number|string} bound - Number or key of DYNAMIC_BOUNDS
+ * @param {Object<string, number>} values - Named function arguments
+ * @returns {number} Numeric bound
+ */
+function resolveBound(bound, values) {
+    if (typeof bound === "number") {
+        return bound;
+    }
+
+    try {
+        return withRangePolicy("throw", () => DYNAMIC_BOUNDS[bound].evaluate(values));
+    } catch (err) {
+        if (err instanceof SeawaterRangeError) {
+            return NaN;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Validity envelope of a property function as data
+ *
+ * Bounds that depend on the state are given by name (e.g. "P_sat" for the vapor pressure
+ * SW_Psat(T, S)), and listed with their meaning in `dynamicBounds`. Passing the state resolves
+ * them to numbers; a bound that cannot be evaluated at that state is NaN.
+ * @example
+ * getValidity("SW_Enthalpy").limits.P;               // { min: "P_sat", max: 12, unit: "MPa" }
+ * getValidity("SW_Enthalpy", { T: 50, S: 35 }).limits.P; // { min: 0.0121..., max: 12, unit: "MPa" }
+ * @param {string|function} fn - Function name, e.g. "SW_Enthalpy", or the function itself
+ * @param {Object<string, number>} [state] - Named argument values used to resolve dynamic bounds
+ * @returns {{functionName: string, args: Array<string>,
+ *            limits: Object<string, {min: (number|string), max: (number|string), unit: string}>,
+ *            conditions: Array<{when: string, description: string, limits: Object}>,
+ *            dynamicBounds: Object<string, string>}} Validity envelope
+ * @throws {Error} If the function has no validity envelope
+ */
+function getValidity(fn, state) {
+    const { name, entry } = lookupValidity(fn);
+    const used = {};
+
+    const describe = limits => {
+        const out = {};
+        for (const variable of Object.keys(limits)) {
+            const [min, max] = limits[variable];
+            for (const bound of [min, max]) {
+                if (typeof bound === "string") {
+                    used[bound] = DYNAMIC_BOUNDS[bound].description;
+                }
+            }
+            out[variable] = {
+                min: state ? resolveBound(min, state) : min,
+                max: state ? resolveBound(max, state) : max,
+                unit: VARIABLE_UNITS[variable]
+            };
+        }
+        return out;
+    };
+
+    return {
+        functionName: name,
+        args: entry.args.slice(),
+        limits: describe(entry.limits),
+        conditions: (entry.conditions || []).map(c => ({
+            when: c.when,
+            description: CONDITIONS[c.when].description,
+            limits: describe(c.limits)
+        })),
+        dynamicBounds: used
+    };
+}
+
+/**
+ * Checks whether a point lies inside the validity envelope of a property function
+ * @example
+ * isValid("SW_Enthalpy", 5, 35, 0.101325); // false, T < 10 C
+ * @param {string|function} fn - Function name, e.g. "SW_Enthalpy", or the function itself
+ * @param {...number} args - Positional arguments as passed to the function
+ * @returns {boolean} True if the function evaluates the point without a range error
+ * @throws {Error} If the function has no validity envelope
+ */
+function isValid(fn, ...args) {
+    const { entry } = lookupValidity(fn);
+    const values = {};
+
+    entry.args.forEach((arg, i) => {
+        values[arg] = args[i];
+    });
+
+    // Omitted optional arguments take the function's defaults
+    for (const arg of Object.keys(entry.defaults || {})) {
+        if (values[arg] === undefined) {
+            values[arg] = resolveBound(entry.defaults[arg], values);
+        }
+    }
+
+    const inside = limits => Object.keys(limits).every(variable => {
+        const value = values[variable];
+        return value >= resolveBound(limits[variable][0], values) &&
+               value <= resolveBound(limits[variable][1], values);
+    });
+
+    // Constant limits first, so dynamic bounds are only evaluated at states where they are defined
+    const constant = {};
+    const dynamic = {};
+    for (const variable of Object.keys(entry.limits)) {
+        const [min, max] = entry.limits[variable];
+        (typeof min === "number" && typeof max === "number" ? constant : dynamic)[variable] = entry.limits[variable];
+    }
+
+    if (!inside(constant) || !inside(dynamic)) {
+        return false;
+    }
+
+    return (entry.conditions || []).every(c => !CONDITIONS[c.when].test(values) || inside(c.limits));
+}
+
 // Export functions
 module.exports = {
+    COEFFICIENTS,
+    SeawaterRangeError,
+    getRangePolicy,
+    getValidity,
+    isValid,
+    setRangePolicy,
+    withRangePolicy,
+    SW_AdiabComp,
     SW_BPE,
+    SW_C_from_S,
     SW_ChemPot_s,
     SW_ChemPot_w,
     SW_Conductivity,
     SW_ConductivityP,
+    SW_Cv,
     SW_Density,
     SW_Diffusivity,
     SW_Enthalpy,
     SW_Entropy,
     SW_FlowExergy,
+    SW_FlowExergyRate,
+    SW_Gamma,
     SW_Gibbs,
     SW_IntEnergy,
     SW_IsobExp,
@@ -1083,20 +2673,39 @@ module.exports = {
     SW_OsmPress,
     SW_Psat,
     SW_Prandtl,
+    SW_R_from_SP,
+    SW_SChemPot_s,
+    SW_SP_from_R,
+    SW_SP_from_SR,
+    SW_SR_from_SP,
+    SW_S_from_C,
+    SW_S_from_mgL,
+    SW_S_from_ppm,
+    SW_S_from_rho,
+    SW_SoundSpeed,
     SW_SpcHeat,
     SW_SurfaceTension,
+    SW_T_from_h,
+    SW_T_from_s,
+    SW_Tsat,
+    SW_VaporEnthalpy,
+    SW_VaporEntropy,
+    SW_VaporVolume,
     SW_Viscosity,
-    SW_Volume
+    SW_Volume,
+    SW_WaterEnthalpy,
+    SW_WaterEntropy,
+    SW_mgL_from_S,
+    SW_ppm_from_S
 };
 
 
-// Run the example if this file is executed directly
+// Run the command-line interface if this file is executed directly, see seawater-cli.js
 if (typeof require !== "undefined" && require.main === module) {
-    // Code runs directly
-    const T = 25; // Temperature in °C
-    const S = 35; // Salinity in g/kg
-    const P = 0.1; // Pressure in MPa
-
-    console.log(`Density: ${SW_Density(T, S, P)} kg/m^3`);
-    console.log(`Enthalpy: ${SW_Enthalpy(T, S, P)} J/kg`);
+    Promise.resolve(require("./seawater-cli").run(process.argv.slice(2))).then(code => {
+        process.exitCode = code;
+    }).catch(err => {
+        process.stderr.write("Error: " + err.message + "\n");
+        process.exitCode = 1;
+    });
 }
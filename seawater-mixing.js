@@ -0,0 +1,71 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - ADIABATIC MIXING
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const seawater = require("./seawater-mit");
+
+
+/**
+ * Adiabatic, isobaric mixing of seawater streams
+ *
+ * Solves the mass, salt and energy balances m = sum(m_i), m S = sum(m_i S_i), m h = sum(m_i h_i)
+ * and recovers the mixed temperature from its enthalpy with SW_T_from_h. The stream enthalpies
+ * follow the active range policy. The mixed temperature is always solved, extrapolating the enthalpy
+ * correlation if needed, and `inRange` reports whether it lies within the 10-120 °C range (and the
+ * salinity and pressure ranges) of SW_Enthalpy.
+ * @example
+ * const blend = mix([{ massFlow: 10, T: 40, S: 70 }, { massFlow: 90, T: 20, S: 35 }], 0.101325);
+ * blend.T;        // °C
+ * blend.inRange;  // true
+ * @param {Array<{massFlow: number, T: number, S: number}>} streams - Streams to mix: mass flow [kg/s],
+ *        temperature [°C] and salinity [g/kg]
+ * @param {number} [P=0.101325] - Pressure of the streams and the mixture [MPa]
+ * @returns {{massFlow: number, T: number, S: number, P: number, h: number, rho: number, inRange: boolean}}
+ *          Mixed stream: mass flow [kg/s], temperature [°C], salinity [g/kg], pressure [MPa],
+ *          specific enthalpy [J/kg], density [kg/m^3] and whether T, S and P lie within the enthalpy range
+ * @throws {SeawaterRangeError} If a stream is out of range of SW_Enthalpy, or the mixture out of range of SW_Density
+ * @throws {Error} If a mass flow is negative or the streams carry no mass
+ */
+function mix(streams, P = 0.101325) {
+    let massFlow = 0;
+    let salt = 0;
+    let enthalpy = 0;
+
+    for (const stream of streams) {
+        if (!(stream.massFlow >= 0)) {
+            throw new Error("Mass flow rate must be a non-negative number for mixing function");
+        }
+
+        if (stream.massFlow === 0) {
+            continue;
+        }
+
+        massFlow += stream.massFlow;
+        salt += stream.massFlow * stream.S;
+        enthalpy += stream.massFlow * seawater.SW_Enthalpy(stream.T, stream.S, P);
+    }
+
+    if (!(massFlow > 0)) {
+        throw new Error("Streams must carry a positive total mass flow for mixing function");
+    }
+
+    const S = salt / massFlow;
+    const h = enthalpy / massFlow;
+    const T = seawater.withRangePolicy("extrapolate", () => seawater.SW_T_from_h(h, S, P));
+
+    return {
+        massFlow,
+        T,
+        S,
+        P,
+        h,
+        rho: seawater.SW_Density(T, S, P),
+        inRange: seawater.isValid("SW_Enthalpy", T, S, P)
+    };
+}
+
+// Export functions
+module.exports = {
+    mix
+};
@@ -0,0 +1,216 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - MULTI-STAGE FLASH (MSF) MODEL
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const seawater = require("./seawater-mit");
+
+
+/**
+ * Non-equilibrium allowance of a flash stage, correlation of Miyatake et al. (1973)
+ * @param {number} T - Brine temperature leaving the stage [°C] (ITS-90)
+ * @param {number} dT - Brine temperature drop across the stage [K]
+ * @param {number} brineLevel - Height of the brine pool [m]
+ * @param {number} W - Brine flow per unit stage width [kg/m-s]
+ * @returns {number} Non-equilibrium allowance [K]
+ */
+function nonEquilibriumAllowance(T, dT, brineLevel, W) {
+    return 352 * Math.pow(brineLevel, 1.1) * Math.pow(dT, 0.25) * Math.pow(W, 0.5) / Math.pow(T, 2.5);
+}
+
+/**
+ * Flashes brine down to a lower temperature in one stage
+ *
+ * Vapor leaves the brine at the outlet temperature and condenses at the stage saturation
+ * temperature T_v = T - BPE - NEA; the mass, salt and energy balances
+ * B_in h_in = B_out h_out + D h_v and B_in S_in = B_out S_out are solved for the distillate D.
+ * @param {{massFlow: number, T: number, S: number}} brine - Brine entering the stage: mass flow [kg/s],
+ *        temperature [°C] and salinity [g/kg]
+ * @param {number} T - Brine temperature leaving the stage [°C] (ITS-90)
+ * @param {Object} [options] - Stage options
+ * @param {number} [options.P=0.101325] - Pressure at which liquid enthalpies are evaluated [MPa]
+ * @param {number} [options.brineLevel=0.5] - Height of the brine pool [m]
+ * @param {number} [options.stageWidth=10] - Width of the stage [m]
+ * @param {number} [options.nea] - Non-equilibrium allowance [K]; by default the Miyatake correlation
+ * @returns {{massFlow: number, T: number, S: number, distillate: number, vaporTemperature: number,
+ *            pressure: number, BPE: number, NEA: number}} Brine leaving the stage (mass flow [kg/s],
+ *          temperature [°C], salinity [g/kg]), distillate flashed off [kg/s], vapor saturation
+ *          temperature [°C], stage pressure [MPa], boiling point elevation [K] and non-equilibrium allowance [K]
+ * @throws {SeawaterRangeError} If a state is out of range of the property functions
+ * @throws {Error} If the outlet temperature is not below the inlet temperature
+ */
+function msfStage(brine, T, options = {}) {
+    const { P = 0.101325, brineLevel = 0.5, stageWidth = 10 } = options;
+    const dT = brine.T - T;
+
+    if (!(dT > 0)) {
+        throw new Error("Brine temperature leaving a flash stage must be below its inlet temperature");
+    }
+
+    const NEA = options.nea !== undefined ? options.nea :
+        nonEquilibriumAllowance(T, dT, brineLevel, brine.massFlow / stageWidth);
+    const h_in = seawater.SW_Enthalpy(brine.T, brine.S, P);
+
+    let S = brine.S;
+    let D = 0;
+    let BPE, T_v;
+
+    for (let i = 0; i < 50; i++) {
+        BPE = seawater.SW_BPE(T, S);
+        T_v = T - BPE - NEA;
+
+        const h_v = seawater.SW_VaporEnthalpy(T, seawater.SW_Psat(T_v, 0) / 1e6);
+        const h_out = seawater.SW_Enthalpy(T, S, P);
+        const D_new = brine.massFlow * (h_in - h_out) / (h_v - h_out);
+
+        S = brine.S * brine.massFlow / (brine.massFlow - D_new);
+
+        if (!(Math.abs(D_new - D) > 1e-12 * brine.massFlow)) {
+            D = D_new;
+            break;
+        }
+
+        D = D_new;
+    }
+
+    return {
+        massFlow: brine.massFlow - D,
+        T,
+        S,
+        distillate: D,
+        vaporTemperature: T_v,
+        pressure: seawater.SW_Psat(T_v, 0) / 1e6,
+        BPE,
+        NEA
+    };
+}
+
+/**
+ * Once-through multi-stage flash plant
+ *
+ * The feed is preheated in the stage condensers from the last stage to the first, heated to the
+ * top brine temperature in the brine heater and flashed through the stages with equal temperature
+ * drops down to the bottom brine temperature. Distillate collected in each stage cascades to the
+ * next one and flashes down to its saturation temperature. Liquid enthalpies are evaluated at
+ * a single pressure, the pure water vapor pressure at the top brine temperature (at least 0.101325 MPa).
+ * @example
+ * const plant = msfPlant({ topBrineTemperature: 110, bottomBrineTemperature: 40, stages: 20,
+ *     feedSalinity: 42, feedFlow: 1000, seawaterTemperature: 30 });
+ * plant.GOR;   // distillate per unit heating steam
+ * @param {Object} options - Plant specification
+ * @param {number} options.topBrineTemperature - Brine temperature leaving the brine heater [°C] (ITS-90)
+ * @param {number} options.bottomBrineTemperature - Brine temperature leaving the last stage [°C] (ITS-90)
+ * @param {number} options.stages - Number of flash stages
+ * @param {number} options.feedSalinity - Feed seawater salinity [g/kg] (reference-composition salinity)
+ * @param {number} options.feedFlow - Feed seawater mass flow [kg/s]
+ * @param {number} options.seawaterTemperature - Feed temperature entering the last stage condenser [°C] (ITS-90)
+ * @param {number} [options.steamTemperature] - Condensing temperature of the heating steam [°C];
+ *        defaults to 5 K above the top brine temperature
+ * @param {number} [options.brineLevel=0.5] - Height of the brine pool in each stage [m]
+ * @param {number} [options.stageWidth=10] - Width of each stage [m]
+ * @param {number} [options.nea] - Fixed non-equilibrium allowance [K]; by default the Miyatake correlation
+ * @returns {{stages: Array<Object>, distillate: number, brineFlow: number, brineSalinity: number,
+ *            feedTemperature: number, heatInput: number, steamFlow: number, GOR: number,
+ *            recovery: number, specificHeatConsumption: number}} Per-stage results of msfStage, each
+ *          with the feed temperature leaving its condenser `feedTemperature` [°C], and plant totals:
+ *          distillate [kg/s], brine blowdown [kg/s] and salinity [g/kg], feed temperature entering
+ *          the brine heater [°C], brine heater duty [W], heating steam flow [kg/s], gain output ratio [-],
+ *          recovery ratio [-] and thermal energy per unit distillate [J/kg]
+ * @throws {SeawaterRangeError} If a state is out of range of the property functions
+ * @throws {Error} If the specification is inconsistent, or the feed would be preheated above
+ *         the vapor temperature of a stage
+ */
+function msfPlant(options) {
+    const {
+        topBrineTemperature: TBT,
+        bottomBrineTemperature: T_n,
+        stages: n,
+        feedSalinity: S_f,
+        feedFlow: M_f,
+        seawaterTemperature: T_sw
+    } = options;
+    const T_steam = options.steamTemperature !== undefined ? options.steamTemperature : TBT + 5;
+
+    if (!(Number.isInteger(n) && n > 0)) {
+        throw new Error("Number of MSF stages must be a positive integer");
+    }
+
+    if (!(TBT > T_n)) {
+        throw new Error("Top brine temperature must be above the bottom brine temperature");
+    }
+
+    if (!(M_f > 0)) {
+        throw new Error("Feed flow rate must be positive");
+    }
+
+    if (!(T_sw < T_n)) {
+        throw new Error("Seawater temperature must be below the bottom brine temperature");
+    }
+
+    const P = Math.max(0.101325, seawater.SW_Psat(TBT, 0) / 1e6);
+    const stageOptions = { P, brineLevel: options.brineLevel, stageWidth: options.stageWidth, nea: options.nea };
+    const dT = (TBT - T_n) / n;
+
+    // Flashing brine, first to last stage
+    const stages = [];
+    let brine = { massFlow: M_f, T: TBT, S: S_f };
+    for (let i = 1; i <= n; i++) {
+        brine = msfStage(brine, i === n ? T_n : TBT - i * dT, stageOptions);
+        stages.push(brine);
+    }
+
+    // Distillate leaving each stage as saturated liquid, cumulative over the stages
+    let collected = 0;
+    for (const stage of stages) {
+        stage.condensed = collected;
+        collected += stage.distillate;
+    }
+
+    // Feed preheating, last to first stage: each condenser takes up the heat of the vapor
+    // flashed in its stage and of the distillate cascading from the stage before it
+    let T_f = T_sw;
+    let h_f = seawater.SW_Enthalpy(T_sw, S_f, P);
+    for (let i = n - 1; i >= 0; i--) {
+        const stage = stages[i];
+        const T_v_prev = i > 0 ? stages[i - 1].vaporTemperature : null;
+
+        const h_v = seawater.SW_VaporEnthalpy(stage.T, stage.pressure);
+        const Q = stage.distillate * h_v +
+                  (T_v_prev === null ? 0 : stage.condensed * seawater.SW_WaterEnthalpy(T_v_prev)) -
+                  (stage.condensed + stage.distillate) * seawater.SW_WaterEnthalpy(stage.vaporTemperature);
+
+        h_f += Q / M_f;
+        T_f = seawater.SW_T_from_h(h_f, S_f, P);
+
+        if (!(T_f < stage.vaporTemperature)) {
+            throw new Error("Feed is preheated above the vapor temperature in MSF stage " + (i + 1) +
+                            "; raise the feed flow or lower the seawater temperature");
+        }
+
+        stage.feedTemperature = T_f;
+        delete stage.condensed;
+    }
+
+    const heatInput = M_f * (seawater.SW_Enthalpy(TBT, S_f, P) - h_f);
+    const steamFlow = heatInput / seawater.SW_LatentHeat(T_steam, 0);
+    const last = stages[n - 1];
+
+    return {
+        stages,
+        distillate: collected,
+        brineFlow: last.massFlow,
+        brineSalinity: last.S,
+        feedTemperature: T_f,
+        heatInput,
+        steamFlow,
+        GOR: collected / steamFlow,
+        recovery: collected / M_f,
+        specificHeatConsumption: heatInput / collected
+    };
+}
+
+// Export functions
+module.exports = {
+    msfPlant,
+    msfStage
+};
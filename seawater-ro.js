@@ -0,0 +1,263 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - REVERSE OSMOSIS (RO) MODEL
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const seawater = require("./seawater-mit");
+const { leastWork } = require("./seawater-separation");
+
+
+/**
+ * Default spiral-wound seawater element
+ * @readonly
+ */
+const ELEMENT_DEFAULTS = Object.freeze({
+    area: 37,               // Membrane area [m^2]
+    A: 3e-3,                // Water permeability [kg/m^2-s-MPa]
+    B: 1e-5,                // Salt permeability [kg/m^2-s]
+    k: 3e-5,                // Feed-side mass transfer coefficient [m/s]
+    pressureDrop: 0.02,     // Feed-to-concentrate pressure drop [MPa]
+    permeatePressure: 0.101325,
+    segments: 20
+});
+
+/**
+ * Osmotic pressure of the brine left after recovering permeate from a feed
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} S_f - Feed salinity [g/kg] (reference-composition salinity)
+ * @param {number} recovery - Permeate recovery ratio [-]
+ * @param {number} [S_p=0] - Permeate salinity [g/kg]
+ * @returns {number} Brine osmotic pressure [MPa]
+ * @throws {SeawaterRangeError} If temperature or brine salinity is out of range
+ * @throws {Error} If the recovery ratio is not in [0, 1)
+ */
+function brineOsmoticPressure(T, S_f, recovery, S_p = 0) {
+    if (!(recovery >= 0 && recovery < 1)) {
+        throw new Error("Recovery ratio must be in [0, 1) for brine osmotic pressure");
+    }
+
+    return seawater.SW_OsmPress(T, (S_f - recovery * S_p) / (1 - recovery));
+}
+
+/**
+ * Thermodynamic least work to separate a feed into permeate and brine, kept under its earlier
+ * name; same as leastWork of seawater-separation.js
+ * @deprecated Use leastWork from seawater-separation.js
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} S_f - Feed salinity [g/kg] (reference-composition salinity)
+ * @param {number} recovery - Permeate recovery ratio [-]
+ * @param {number} [S_p=0] - Permeate salinity [g/kg]
+ * @param {number} [P=0.101325] - Pressure [MPa]
+ * @returns {number} Least work per unit permeate volume [J/m^3]
+ * @throws {SeawaterRangeError} If temperature, a salinity or pressure is out of range of SW_Gibbs
+ * @throws {Error} If the recovery ratio is not in (0, 1) or the permeate is not fresher than the feed
+ */
+const minimumWork = leastWork;
+
+/**
+ * Finds the root of a decreasing function by bisection
+ * @param {function(number): number} f - Function positive at a and negative at b
+ * @param {number} a - Lower end of the bracket
+ * @param {number} b - Upper end of the bracket
+ * @returns {number} Root
+ */
+function bisect(f, a, b) {
+    for (let i = 0; i < 200 && b - a > 1e-12 * b; i++) {
+        const m = (a + b) / 2;
+        if (f(m) > 0) {
+            a = m;
+        } else {
+            b = m;
+        }
+    }
+
+    return (a + b) / 2;
+}
+
+/**
+ * Local permeate flux through the membrane with concentration polarization
+ *
+ * Solves the solution-diffusion model J = A (dP - (Pi(S_m) - Pi(S_p))), J S_p = B (S_m - S_p)
+ * with the film model S_m - S_p = (S_b - S_p) exp(J / (rho k)).
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} S_b - Bulk feed-side salinity [g/kg]
+ * @param {number} dP - Transmembrane hydraulic pressure difference [MPa]
+ * @param {Object} element - Element parameters (see ELEMENT_DEFAULTS)
+ * @param {number} rho - Permeate density [kg/m^3]
+ * @returns {{J: number, S_p: number, S_m: number, CP: number}} Permeate mass flux [kg/m^2-s],
+ *          permeate and membrane-wall salinity [g/kg] and polarization factor [-]
+ * @throws {SeawaterRangeError} If the membrane-wall salinity is out of range of SW_OsmPress
+ */
+function localFlux(T, S_b, dP, element, rho) {
+    const { A, B, k } = element;
+
+    const state = J => {
+        const CP = Math.exp(J / (rho * k));
+        const S_p = B * CP * S_b / (J + B * CP);
+        return { J, S_p, S_m: S_p + CP * (S_b - S_p), CP };
+    };
+    const residual = st => A * (dP - seawater.SW_OsmPress(T, st.S_m) + seawater.SW_OsmPress(T, st.S_p)) - st.J;
+
+    // A wall salinity beyond the osmotic pressure correlation only occurs above the solution
+    const J = bisect(flux => seawater.withRangePolicy("throw", () => {
+        try {
+            return residual(state(flux));
+        } catch (err) {
+            if (err instanceof seawater.SeawaterRangeError) {
+                return -1;
+            }
+            throw err;
+        }
+    }), 0, A * Math.max(dP, 0));
+
+    // The bisection maps range errors to a residual; evaluating the solution once more under the
+    // caller's range policy raises (or warns about) a wall salinity beyond the correlation
+    const st = state(J);
+    residual(st);
+    return st;
+}
+
+/**
+ * Spiral-wound RO element, integrated along its length in segments at constant temperature
+ * @param {{massFlow: number, T: number, S: number, P: number}} feed - Feed entering the element:
+ *        mass flow [kg/s], temperature [°C], salinity [g/kg] and pressure [MPa]
+ * @param {Object} [options] - Element parameters; defaults from ELEMENT_DEFAULTS
+ * @param {number} [options.area=37] - Membrane area [m^2]
+ * @param {number} [options.A=3e-3] - Water permeability [kg/m^2-s-MPa]
+ * @param {number} [options.B=1e-5] - Salt permeability [kg/m^2-s]
+ * @param {number} [options.k=3e-5] - Feed-side mass transfer coefficient [m/s]
+ * @param {number} [options.pressureDrop=0.02] - Feed-to-concentrate pressure drop [MPa]
+ * @param {number} [options.permeatePressure=0.101325] - Permeate pressure [MPa]
+ * @param {number} [options.segments=20] - Number of integration segments
+ * @returns {{concentrate: Object, permeate: Object, recovery: number, flux: number,
+ *            polarization: number, wallSalinity: number}} Concentrate {massFlow, T, S, P} and
+ *          permeate {massFlow, T, S, P} streams, element recovery [-], average permeate flux [kg/m^2-s],
+ *          maximum concentration polarization factor [-] and maximum membrane-wall salinity [g/kg]
+ * @throws {SeawaterRangeError} If a state is out of range of the property functions
+ */
+function roElement(feed, options = {}) {
+    const element = Object.assign({}, ELEMENT_DEFAULTS, options);
+    const { area, pressureDrop, permeatePressure, segments } = element;
+    const dA = area / segments;
+    const rho = seawater.SW_Density(feed.T, 0, permeatePressure);
+
+    let m_b = feed.massFlow;
+    let salt = feed.massFlow * feed.S;
+    let P = feed.P;
+    let m_p = 0;
+    let salt_p = 0;
+    let polarization = 1;
+    let wallSalinity = feed.S;
+
+    for (let i = 0; i < segments; i++) {
+        // Segment midpoint pressure, inlet salinity
+        const P_mid = P - pressureDrop / segments / 2;
+        const local = localFlux(feed.T, salt / m_b, P_mid - permeatePressure, element, rho);
+
+        const dm = local.J * dA;
+        m_b -= dm;
+        salt -= dm * local.S_p;
+        m_p += dm;
+        salt_p += dm * local.S_p;
+        P -= pressureDrop / segments;
+
+        polarization = Math.max(polarization, local.CP);
+        wallSalinity = Math.max(wallSalinity, local.S_m);
+    }
+
+    return {
+        concentrate: { massFlow: m_b, T: feed.T, S: salt / m_b, P },
+        permeate: { massFlow: m_p, T: feed.T, S: m_p > 0 ? salt_p / m_p : 0, P: permeatePressure },
+        recovery: m_p / feed.massFlow,
+        flux: m_p / area,
+        polarization,
+        wallSalinity
+    };
+}
+
+/**
+ * Pressure vessel of RO elements in series with a high-pressure pump and optional energy recovery
+ *
+ * The concentrate of each element feeds the next and the permeate of all elements is collected.
+ * The pump raises the feed from the supply pressure to the feed pressure; with energy recovery the
+ * concentrate pressure energy, less the device losses, offsets part of that work.
+ * @example
+ * const vessel = roVessel({ massFlow: 3, T: 25, S: 35, P: 6.5 }, { elements: 7 });
+ * vessel.recovery;
+ * vessel.specificEnergy;  // kWh/m^3 with energy recovery
+ * @param {{massFlow: number, T: number, S: number, P: number}} feed - Feed entering the vessel:
+ *        mass flow [kg/s], temperature [°C], salinity [g/kg] and pressure [MPa]
+ * @param {Object} [options] - Vessel options; element parameters as in roElement
+ * @param {number} [options.elements=7] - Number of elements in series
+ * @param {number} [options.supplyPressure=0.101325] - Feed pressure at the pump inlet [MPa]
+ * @param {number} [options.pumpEfficiency=0.8] - High-pressure pump efficiency [-]
+ * @param {number} [options.erdEfficiency=0.95] - Energy recovery device efficiency [-]
+ * @returns {{elements: Array<Object>, permeate: Object, concentrate: Object, recovery: number,
+ *            saltRejection: number, brineOsmoticPressure: number, pumpPower: number,
+ *            pumpPowerWithoutERD: number, specificEnergy: number, specificEnergyWithoutERD: number,
+ *            minimumWork: number, secondLawEfficiency: number}} Results of roElement for each element,
+ *          collected permeate and final concentrate streams, overall recovery [-], salt rejection [-],
+ *          concentrate osmotic pressure [MPa], pump power with and without energy recovery [W],
+ *          specific energy consumption with and without energy recovery [kWh/m^3 of permeate],
+ *          least work of separation at the vessel recovery and permeate salinity [kWh/m^3] and
+ *          second-law efficiency with energy recovery [-]
+ * @throws {SeawaterRangeError} If a state is out of range of the property functions
+ * @throws {Error} If the number of elements is not a positive integer
+ */
+function roVessel(feed, options = {}) {
+    const { elements: n = 7, supplyPressure = 0.101325, pumpEfficiency = 0.8, erdEfficiency = 0.95 } = options;
+
+    if (!(Number.isInteger(n) && n > 0)) {
+        throw new Error("Number of RO elements must be a positive integer");
+    }
+
+    const elements = [];
+    let stream = feed;
+    let m_p = 0;
+    let salt_p = 0;
+    for (let i = 0; i < n; i++) {
+        const element = roElement(stream, options);
+        elements.push(element);
+        m_p += element.permeate.massFlow;
+        salt_p += element.permeate.massFlow * element.permeate.S;
+        stream = element.concentrate;
+    }
+
+    const concentrate = stream;
+    const permeate = { massFlow: m_p, T: feed.T, S: salt_p / m_p, P: elements[0].permeate.P };
+    const recovery = m_p / feed.massFlow;
+
+    // Volumetric flows at the supply pressure
+    const V_f = feed.massFlow / seawater.SW_Density(feed.T, feed.S, supplyPressure);
+    const V_c = concentrate.massFlow / seawater.SW_Density(concentrate.T, concentrate.S, supplyPressure);
+    const V_p = m_p / seawater.SW_Density(permeate.T, permeate.S, supplyPressure);
+
+    const pumpPowerWithoutERD = V_f * (feed.P - supplyPressure) * 1e6 / pumpEfficiency;
+    const recovered = erdEfficiency * V_c * (concentrate.P - supplyPressure) * 1e6;
+    const pumpPower = Math.max(pumpPowerWithoutERD - recovered / pumpEfficiency, 0);
+    const W_min = leastWork(feed.T, feed.S, recovery, permeate.S);
+
+    return {
+        elements,
+        permeate,
+        concentrate,
+        recovery,
+        saltRejection: 1 - permeate.S / feed.S,
+        brineOsmoticPressure: seawater.SW_OsmPress(concentrate.T, concentrate.S),
+        pumpPower,
+        pumpPowerWithoutERD,
+        specificEnergy: pumpPower / V_p / 3.6e6,
+        specificEnergyWithoutERD: pumpPowerWithoutERD / V_p / 3.6e6,
+        minimumWork: W_min / 3.6e6,
+        secondLawEfficiency: W_min * V_p / pumpPower
+    };
+}
+
+// Export functions
+module.exports = {
+    ELEMENT_DEFAULTS,
+    brineOsmoticPressure,
+    minimumWork,
+    roElement,
+    roVessel
+};
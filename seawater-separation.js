@@ -0,0 +1,107 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - LEAST WORK OF SEPARATION
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const seawater = require("./seawater-mit");
+
+
+/**
+ * Reversible least work to separate a feed into product and brine at constant temperature and pressure,
+ * from the Gibbs energy balance W = m_p g_p + m_b g_b - m_f g_f (Mistry and Lienhard, 2013)
+ * @param {number} T - Temperature of feed, product and brine [°C] (ITS-90)
+ * @param {number} S_f - Feed salinity [g/kg] (reference-composition salinity)
+ * @param {number} recovery - Recovery ratio, product over feed mass flow [-]
+ * @param {number} [S_p=0] - Product salinity [g/kg]
+ * @param {number} [P=0.101325] - Pressure [MPa]
+ * @returns {number} Least work per unit product volume [J/m^3]
+ * @throws {SeawaterRangeError} If temperature, a salinity or pressure is out of range of SW_Gibbs
+ * @throws {Error} If the recovery ratio is not in (0, 1) or the product is not fresher than the feed
+ */
+function leastWork(T, S_f, recovery, S_p = 0, P = 0.101325) {
+    if (!(recovery > 0 && recovery < 1)) {
+        throw new Error("Recovery ratio must be in (0, 1) for least work of separation");
+    }
+
+    if (!(S_p >= 0 && S_p < S_f)) {
+        throw new Error("Product salinity must be in [0, S_f) for least work of separation");
+    }
+
+    const S_b = (S_f - recovery * S_p) / (1 - recovery);
+    const W = seawater.SW_Gibbs(T, S_p, P) +
+              (1 / recovery - 1) * seawater.SW_Gibbs(T, S_b, P) -
+              seawater.SW_Gibbs(T, S_f, P) / recovery;
+
+    return W * seawater.SW_Density(T, S_p, P);
+}
+
+/**
+ * Least work, least heat and second-law efficiency of a desalination process
+ *
+ * The least heat is the heat that, supplied at heatSourceTemperature and rejected at the feed
+ * temperature by a reversible engine, produces the least work: Q_least = W_least / (1 - T_0/T_H).
+ * Actual work and heat are combined by their exergy, so the second-law efficiency is
+ * W_least / (W + Q (1 - T_0/T_H)).
+ * @example
+ * const sep = separationAnalysis({ T: 25, feedSalinity: 35, recovery: 0.5, work: 3.5 * 3.6e6 });
+ * sep.leastWork / 3.6e6;     // kWh/m^3
+ * sep.secondLawEfficiency;
+ * @param {Object} options - Process specification
+ * @param {number} options.T - Feed temperature, also the dead state temperature [°C] (ITS-90)
+ * @param {number} options.feedSalinity - Feed salinity [g/kg] (reference-composition salinity)
+ * @param {number} options.recovery - Recovery ratio, product over feed mass flow [-]
+ * @param {number} [options.productSalinity=0] - Product salinity [g/kg]
+ * @param {number} [options.P=0.101325] - Pressure [MPa]
+ * @param {number} [options.heatSourceTemperature] - Temperature at which heat is supplied [°C];
+ *        required for the least heat and whenever heat is given
+ * @param {number} [options.work=0] - Actual work input per unit product volume [J/m^3]
+ * @param {number} [options.heat=0] - Actual heat input per unit product volume [J/m^3]
+ * @returns {{brineSalinity: number, leastWork: number, leastHeat: ?number, secondLawEfficiency: ?number}}
+ *          Brine salinity [g/kg], least work [J/m^3], least heat [J/m^3] (null without a heat source
+ *          temperature) and second-law efficiency [-] (null without actual work or heat)
+ * @throws {SeawaterRangeError} If a state is out of range of SW_Gibbs
+ * @throws {Error} If the specification is inconsistent
+ */
+function separationAnalysis(options) {
+    const {
+        T,
+        feedSalinity: S_f,
+        recovery,
+        productSalinity: S_p = 0,
+        P = 0.101325,
+        heatSourceTemperature: T_H,
+        work = 0,
+        heat = 0
+    } = options;
+
+    const W_least = leastWork(T, S_f, recovery, S_p, P);
+
+    let carnot = null;
+    if (T_H !== undefined) {
+        if (!(T_H > T)) {
+            throw new Error("Heat source temperature must be above the feed temperature");
+        }
+        carnot = 1 - (T + 273.15) / (T_H + 273.15);
+    } else if (heat > 0) {
+        throw new Error("Heat source temperature is required when a heat input is given");
+    }
+
+    if (!(work >= 0 && heat >= 0)) {
+        throw new Error("Work and heat inputs must be non-negative");
+    }
+
+    const exergyInput = work + (carnot === null ? 0 : heat * carnot);
+
+    return {
+        brineSalinity: (S_f - recovery * S_p) / (1 - recovery),
+        leastWork: W_least,
+        leastHeat: carnot === null ? null : W_least / carnot,
+        secondLawEfficiency: exergyInput > 0 ? W_least / exergyInput : null
+    };
+}
+
+// Export functions
+module.exports = {
+    leastWork,
+    separationAnalysis
+};
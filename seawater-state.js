@@ -0,0 +1,156 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - STATE OBJECT
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const seawater = require("./seawater-mit");
+
+
+/**
+ * Properties of a SeawaterState, each computed on first access from the state's inputs and
+ * other cached properties. Values and units are those of the corresponding SW_* function.
+ * @readonly
+ */
+const PROPERTIES = Object.freeze({
+    Psat: { description: "Vapor pressure", unit: "Pa", compute: st => seawater.SW_Psat(st.T, st.S) },
+    Tsat: { description: "Saturation temperature at P", unit: "C", compute: st => seawater.SW_Tsat(st.P, st.S) },
+    BPE: { description: "Boiling point elevation", unit: "K", compute: st => seawater.SW_BPE(st.T, st.S) },
+    hfg: { description: "Latent heat of vaporization", unit: "J/kg", compute: st => seawater.SW_LatentHeat(st.T, st.S) },
+    rho: { description: "Density", unit: "kg/m^3", compute: st => seawater.SW_Density(st.T, st.S, st.P) },
+    v: { description: "Specific volume", unit: "m^3/kg", compute: st => 1 / st.rho },
+    h: { description: "Specific enthalpy", unit: "J/kg", compute: st => seawater.SW_Enthalpy(st.T, st.S, st.P) },
+    s: { description: "Specific entropy", unit: "J/kg-K", compute: st => seawater.SW_Entropy(st.T, st.S, st.P) },
+    g: { description: "Specific Gibbs energy", unit: "J/kg", compute: st => seawater.SW_Gibbs(st.T, st.S, st.P) },
+    u: { description: "Specific internal energy", unit: "J/kg", compute: st => st.h - st.P * 1e6 / st.rho },
+    cp: { description: "Specific heat capacity", unit: "J/kg-K", compute: st => seawater.SW_SpcHeat(st.T, st.S, st.P) },
+    beta: { description: "Isobaric expansivity", unit: "1/K", compute: st => seawater.SW_IsobExp(st.T, st.S, st.P) },
+    kappaT: { description: "Isothermal compressibility", unit: "1/MPa", compute: st => seawater.SW_IsothComp(st.T, st.S, st.P) },
+    // Isochoric heat capacity and what follows from it, from the cached cp, beta, kappaT and rho (see SW_Cv)
+    cv: { description: "Isochoric specific heat capacity", unit: "J/kg-K", compute: st => st.cp - (st.T + 273.15) * Math.pow(st.beta, 2) / (st.rho * st.kappaT * 1e-6) },
+    gamma: { description: "Ratio of specific heats", unit: "-", compute: st => st.cp / st.cv },
+    kappaS: { description: "Adiabatic compressibility", unit: "1/MPa", compute: st => st.kappaT / st.gamma },
+    c: { description: "Speed of sound", unit: "m/s", compute: st => 1 / Math.sqrt(st.rho * st.kappaS * 1e-6) },
+    k: { description: "Thermal conductivity", unit: "W/m-K", compute: st => seawater.SW_Conductivity(st.T, st.S) },
+    kP: { description: "Pressure-dependent thermal conductivity", unit: "W/m-K", compute: st => seawater.SW_ConductivityP(st.T, st.S, st.P) },
+    mu: { description: "Dynamic viscosity", unit: "kg/m-s", compute: st => seawater.SW_Viscosity(st.T, st.S) },
+    // Kinematic viscosity, diffusivity and Prandtl number are defined at the reference pressure P0
+    nu: { description: "Kinematic viscosity", unit: "m^2/s", compute: st => st.mu / st.reference.rho },
+    alpha: { description: "Thermal diffusivity", unit: "m^2/s", compute: st => st.k / (st.reference.rho * st.reference.cp) },
+    Pr: { description: "Prandtl number", unit: "-", compute: st => st.reference.cp * st.mu / st.k },
+    phi: { description: "Osmotic coefficient", unit: "-", compute: st => seawater.SW_OsmCoeff(st.T, st.S) },
+    Pi: { description: "Osmotic pressure", unit: "MPa", compute: st => seawater.SW_OsmPress(st.T, st.S) },
+    sigma: { description: "Surface tension", unit: "mN/m", compute: st => seawater.SW_SurfaceTension(st.T, st.S) },
+    mu_w: { description: "Chemical potential of water", unit: "J/kg", compute: st => seawater.SW_ChemPot_w(st.T, st.S, st.P) },
+    mu_s: { description: "Chemical potential of salt", unit: "J/kg", compute: st => seawater.SW_ChemPot_s(st.T, st.S, st.P) },
+    Smu_s: { description: "Salinity-weighted chemical potential of salt", unit: "g/kg*J/kg", compute: st => seawater.SW_SChemPot_s(st.T, st.S, st.P) }
+});
+
+/**
+ * Thermodynamic state of seawater at (T, S, P) with lazily computed, memoized properties
+ *
+ * Every key of PROPERTIES is a getter (state.rho, state.h, state.cp, state.Pr, ...) that evaluates
+ * on first access and returns the cached value afterwards. A property outside its validity range
+ * throws a SeawaterRangeError on access (or follows the range policy active at that moment).
+ * @example
+ * const st = new SeawaterState(25, 35, 0.101325);
+ * st.rho;  // kg/m^3
+ * st.Pr;   // reuses the cached cp, mu and k
+ */
+class SeawaterState {
+    /**
+     * @param {number} T - Temperature [°C] (ITS-90)
+     * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+     * @param {number} P - Pressure [MPa]
+     */
+    constructor(T, S, P) {
+        Object.defineProperties(this, {
+            T: { value: T, enumerable: true },
+            S: { value: S, enumerable: true },
+            P: { value: P, enumerable: true },
+            _cache: { value: {} }
+        });
+    }
+
+    /**
+     * State at the same temperature and salinity and the reference pressure P0
+     * (0.101325 MPa below 100 °C, the vapor pressure above), the state itself if P = P0
+     * @type {SeawaterState}
+     */
+    get reference() {
+        const cache = this._cache;
+
+        if (!("reference" in cache)) {
+            const P0 = this.T < 100 ? 0.101325 : this.Psat / 1e6;
+            cache.reference = P0 === this.P ? this : new SeawaterState(this.T, this.S, P0);
+        }
+
+        return cache.reference;
+    }
+
+    /**
+     * Specific flow exergy relative to a dead state, see SW_FlowExergy
+     * @param {number} [T0=25] - Total dead state temperature [°C] (ITS-90)
+     * @param {number} [S0=35] - Total dead state salinity [g/kg] (reference-composition salinity)
+     * @param {number} [P0=0.101325] - Total dead state pressure [MPa]
+     * @returns {number} Specific flow exergy [J/kg]
+     * @throws {SeawaterRangeError} If the state or dead state is out of range
+     */
+    flowExergy(T0, S0, P0) {
+        return seawater.SW_FlowExergy(this.T, this.S, this.P, T0, S0, P0);
+    }
+
+    /**
+     * Full property set; properties that are out of range at this state are null
+     * @returns {Object<string, ?number>} Inputs and every property of PROPERTIES
+     */
+    toJSON() {
+        const out = { T: this.T, S: this.S, P: this.P };
+
+        for (const name of Object.keys(PROPERTIES)) {
+            try {
+                const value = this[name];
+                out[name] = Number.isFinite(value) ? value : null;
+            } catch (err) {
+                if (!(err instanceof seawater.SeawaterRangeError)) {
+                    throw err;
+                }
+                out[name] = null;
+            }
+        }
+
+        return out;
+    }
+}
+
+for (const name of Object.keys(PROPERTIES)) {
+    const compute = PROPERTIES[name].compute;
+
+    Object.defineProperty(SeawaterState.prototype, name, {
+        get() {
+            const cache = this._cache;
+            if (!(name in cache)) {
+                cache[name] = compute(this);
+            }
+            return cache[name];
+        },
+        enumerable: true
+    });
+}
+
+/**
+ * Creates a SeawaterState
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @param {number} P - Pressure [MPa]
+ * @returns {SeawaterState} State at (T, S, P)
+ */
+function state(T, S, P) {
+    return new SeawaterState(T, S, P);
+}
+
+// Export functions
+module.exports = {
+    PROPERTIES,
+    SeawaterState,
+    state
+};
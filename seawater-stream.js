@@ -0,0 +1,325 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - STREAMING CSV / JSON LINES PROCESSOR
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const { Transform } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const seawater = require("./seawater-mit");
+const { FUNCTIONS } = require("./seawater-units");
+
+
+/**
+ * Quotes a CSV field if needed (RFC 4180)
+ * @param {*} value - Field value
+ * @param {string} [delimiter=","] - Field delimiter
+ * @returns {string} Field text
+ */
+function csvField(value, delimiter = ",") {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+}
+
+/**
+ * Normalizes the requested properties to output columns
+ * @param {Array<string>|Object<string, string>} properties - Function names, or output column
+ *        names mapped to function names
+ * @returns {Array<{column: string, fnName: string}>} Output columns
+ * @throws {Error} If a function is unknown
+ */
+function normalizeProperties(properties) {
+    const specs = Array.isArray(properties) ?
+        properties.map(fnName => ({ column: fnName, fnName })) :
+        Object.keys(properties).map(column => ({ column, fnName: properties[column] }));
+
+    for (const { fnName } of specs) {
+        if (!FUNCTIONS[fnName]) {
+            throw new Error("Unknown seawater property function: " + fnName);
+        }
+    }
+
+    return specs;
+}
+
+/**
+ * Transform stream that appends seawater property columns to CSV or JSON lines records
+ *
+ * Each input record is mapped to the arguments of the requested SW_* functions through
+ * configurable column names and written out with the property values appended. A record
+ * whose inputs are missing, not numeric or out of range gets empty values for the affected
+ * properties and a message in the error column; it never aborts the stream. Records are
+ * processed as they arrive, so memory use does not grow with the input size.
+ *
+ * CSV input must start with a header line; fields may be quoted (RFC 4180). In JSON lines
+ * mode each line is an object, and the properties and the error (null if none) are added as keys.
+ * Out-of-range values follow the active range policy, see setRangePolicy.
+ * @example
+ * fs.createReadStream("historian.csv")
+ *     .pipe(new PropertyStream({ columns: { T: "temp_C", S: "sal_gkg" },
+ *                                properties: ["SW_Density", "SW_OsmPress"] }))
+ *     .pipe(fs.createWriteStream("enriched.csv"));
+ */
+class PropertyStream extends Transform {
+    /**
+     * @param {Object} options - Processor options
+     * @param {Array<string>|Object<string, string>} options.properties - SW_* functions to evaluate,
+     *        e.g. ["SW_Density"], or output column names mapped to them, e.g. { rho: "SW_Density" }
+     * @param {Object<string, (string|number)>} [options.columns] - Input column of each function argument,
+     *        e.g. { T: "temp_C" }, or a number used for every record, e.g. { P: 0.101325 }; an argument
+     *        without an entry is read from the column of its own name
+     * @param {string} [options.format="csv"] - "csv" or "jsonl"
+     * @param {string} [options.delimiter=","] - CSV field delimiter
+     * @param {string} [options.errorColumn="error"] - Name of the error column
+     * @throws {Error} If the format or a property function is unknown
+     */
+    constructor(options) {
+        super();
+
+        const { columns = {}, format = "csv", delimiter = ",", errorColumn = "error" } = options;
+
+        if (format !== "csv" && format !== "jsonl") {
+            throw new Error("Unknown stream format: " + format + "; expected csv or jsonl");
+        }
+
+        this.properties = normalizeProperties(options.properties);
+        this.columns = columns;
+        this.format = format;
+        this.delimiter = delimiter;
+        this.errorColumn = errorColumn;
+
+        this._decoder = new StringDecoder("utf8");
+        this._header = null;
+        this._index = null;
+        this._line = 1;
+
+        // CSV parser state, carried across chunks
+        this._field = "";
+        this._record = [];
+        this._quoted = false;
+        this._quote = false;
+        this._pending = "";
+    }
+
+    /**
+     * Evaluates the requested properties for one record
+     * @param {function(string): *} get - Reads an input column, undefined if absent
+     * @returns {{values: Array<?number>, error: ?string}} Property values and joined error messages
+     */
+    evaluateRecord(get) {
+        const errors = [];
+
+        const values = this.properties.map(({ fnName }) => {
+            const meta = FUNCTIONS[fnName];
+            const args = [];
+
+            for (const arg of meta.args) {
+                const column = this.columns[arg] === undefined ? arg : this.columns[arg];
+                const raw = typeof column === "number" ? column : get(column);
+
+                if (raw === undefined || raw === null || (typeof raw === "string" && raw.trim() === "")) {
+                    if (meta.optional && meta.optional.includes(arg)) {
+                        args.push(undefined);
+                        continue;
+                    }
+                    errors.push(fnName + ": missing input " + column);
+                    return null;
+                }
+
+                // Only numbers and numeric text count; a JSON true or [] is not coerced to 1 or 0
+                const value = typeof raw === "number" ? raw : typeof raw === "string" ? Number(raw) : NaN;
+                if (Number.isNaN(value)) {
+                    errors.push(fnName + ": input " + column + " is not a number: " +
+                        (typeof raw === "string" ? raw : JSON.stringify(raw)));
+                    return null;
+                }
+                args.push(value);
+            }
+
+            try {
+                const value = seawater[fnName](...args);
+                return Number.isFinite(value) ? value : null;
+            } catch (err) {
+                if (!(err instanceof seawater.SeawaterRangeError)) {
+                    throw err;
+                }
+                errors.push(fnName + ": " + err.message);
+                return null;
+            }
+        });
+
+        return { values, error: errors.length > 0 ? errors.join("; ") : null };
+    }
+
+    /**
+     * Handles one parsed CSV record
+     * @param {Array<string>} record - Field values
+     */
+    _csvRecord(record) {
+        if (record.length === 1 && record[0] === "") {
+            return;
+        }
+
+        if (this._header === null) {
+            this._header = record;
+            this._index = {};
+            record.forEach((name, i) => {
+                this._index[name] = i;
+            });
+            this._writeCsv(record.concat(this.properties.map(p => p.column), [this.errorColumn]));
+            return;
+        }
+
+        const index = this._index;
+        const { values, error } = this.evaluateRecord(column => column in index ? record[index[column]] : undefined);
+        this._writeCsv(record.concat(values.map(v => v === null ? "" : String(v)), [error === null ? "" : error]));
+    }
+
+    /**
+     * Writes one CSV record
+     * @param {Array<string>} fields - Field values
+     */
+    _writeCsv(fields) {
+        this.push(fields.map(field => csvField(field, this.delimiter)).join(this.delimiter) + "\n");
+    }
+
+    /**
+     * Feeds CSV text to the incremental parser
+     * @param {string} text - Decoded input
+     */
+    _parseCsv(text) {
+        const d = this.delimiter;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+
+            if (this._quote) {
+                // A quote inside a quoted field either escapes a quote or closes the field
+                this._quote = false;
+                if (c === "\"") {
+                    this._field += "\"";
+                    continue;
+                }
+                this._quoted = false;
+            }
+
+            if (this._quoted) {
+                if (c === "\"") {
+                    this._quote = true;
+                } else {
+                    this._field += c;
+                }
+            } else if (c === "\"" && this._field === "") {
+                this._quoted = true;
+            } else if (c === d) {
+                this._record.push(this._field);
+                this._field = "";
+            } else if (c === "\n") {
+                this._record.push(this._field);
+                this._csvRecord(this._record);
+                this._field = "";
+                this._record = [];
+            } else if (c !== "\r") {
+                this._field += c;
+            }
+        }
+    }
+
+    /**
+     * Handles one JSON line
+     * @param {string} line - Line text
+     */
+    _jsonLine(line) {
+        if (line.trim() === "") {
+            return;
+        }
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            record = null;
+        }
+
+        if (record === null || typeof record !== "object" || Array.isArray(record)) {
+            this.push(JSON.stringify({ [this.errorColumn]: "Line " + this._line + " is not a JSON object" }) + "\n");
+            return;
+        }
+
+        const { values, error } = this.evaluateRecord(column => record[column]);
+        this.properties.forEach(({ column }, i) => {
+            record[column] = values[i];
+        });
+        record[this.errorColumn] = error;
+        this.push(JSON.stringify(record) + "\n");
+    }
+
+    /**
+     * Feeds JSON lines text, keeping an incomplete last line for the next chunk
+     * @param {string} text - Decoded input
+     */
+    _parseJsonLines(text) {
+        const lines = (this._pending + text).split("\n");
+        this._pending = lines.pop();
+
+        for (const line of lines) {
+            this._jsonLine(line);
+            this._line++;
+        }
+    }
+
+    _transform(chunk, encoding, callback) {
+        try {
+            const text = typeof chunk === "string" ? chunk : this._decoder.write(chunk);
+            if (this.format === "csv") {
+                this._parseCsv(text);
+            } else {
+                this._parseJsonLines(text);
+            }
+            callback();
+        } catch (err) {
+            callback(err);
+        }
+    }
+
+    _flush(callback) {
+        try {
+            const text = this._decoder.end();
+            if (this.format === "csv") {
+                this._parseCsv(text);
+                if (this._quote) {
+                    this._quote = false;
+                    this._quoted = false;
+                }
+                if (this._quoted) {
+                    throw new Error("Unterminated quoted field at the end of the CSV input");
+                }
+                if (this._field !== "" || this._record.length > 0) {
+                    this._record.push(this._field);
+                    this._csvRecord(this._record);
+                }
+            } else {
+                this._parseJsonLines(text);
+                this._jsonLine(this._pending);
+            }
+            callback();
+        } catch (err) {
+            callback(err);
+        }
+    }
+}
+
+/**
+ * Creates a PropertyStream
+ * @param {Object} options - Processor options, see PropertyStream
+ * @returns {PropertyStream} Transform stream
+ */
+function createPropertyStream(options) {
+    return new PropertyStream(options);
+}
+
+// Export functions
+module.exports = {
+    PropertyStream,
+    createPropertyStream,
+    csvField
+};
@@ -0,0 +1,354 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - PROPERTY TABLES
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const { STATUS, evaluateGrid } = require("./seawater-batch");
+const { csvField } = require("./seawater-stream");
+const { FUNCTIONS } = require("./seawater-units");
+
+
+/**
+ * Cell markers of rendered tables
+ * @readonly
+ */
+const MARKERS = Object.freeze({
+    outOfRange: "—",        // Outside the validity envelope, no value
+    extrapolated: "*",      // Appended to a value outside the validity envelope (clamp or extrapolate policy)
+    invalid: "n/a"          // Evaluation failed or gave a non-finite value
+});
+
+/**
+ * Formats a number to a given count of significant digits, without exponent notation
+ *
+ * Digits of the integer part beyond the significant ones are printed as zeros, also when rounding
+ * carries into the next decade: 12345 and 999.8 to 3 digits give "12300" and "1000".
+ * @param {number} x - Value
+ * @param {number} digits - Significant digits
+ * @returns {string} Text
+ */
+function formatSignificant(x, digits) {
+    if (x === 0) {
+        return (0).toFixed(digits - 1);
+    }
+
+    const exponent = Math.floor(Math.log10(Math.abs(x)));
+    const rounded = Number(x.toPrecision(digits));
+
+    // Rounding may carry into the next decade, e.g. 9.9996 -> 10.000
+    const e = Math.floor(Math.log10(Math.abs(rounded))) > exponent ? exponent + 1 : exponent;
+    return rounded.toFixed(Math.min(Math.max(digits - 1 - e, 0), 100));
+}
+
+/**
+ * Power of ten, a multiple of three, that brings the largest magnitude of a block into [1, 1000);
+ * zero if the values already read well without one
+ * @param {Array<number>} values - Finite values of the block
+ * @returns {number} Decimal exponent
+ */
+function engineeringScale(values) {
+    let max = 0;
+    for (const value of values) {
+        max = Math.max(max, Math.abs(value));
+    }
+    if (max === 0 || (max >= 0.01 && max < 1e5)) {
+        return 0;
+    }
+    return 3 * Math.floor(Math.log10(max) / 3);
+}
+
+/**
+ * Text of one table cell
+ * @param {{value: number, status: number}} cell - Cell value and STATUS code
+ * @param {number} digits - Significant digits
+ * @param {number} scale - Decimal exponent the values are divided by
+ * @returns {string} Text
+ */
+function cellText(cell, digits, scale) {
+    if (cell.status === STATUS.INVALID) {
+        return MARKERS.invalid;
+    }
+    if (!Number.isFinite(cell.value)) {
+        return MARKERS.outOfRange;
+    }
+
+    const text = formatSignificant(cell.value / Math.pow(10, scale), digits);
+    return cell.status === STATUS.OUT_OF_RANGE ? text + MARKERS.extrapolated : text;
+}
+
+/**
+ * Evaluates property tables over a temperature x salinity grid, like a printed steam table
+ *
+ * Each property gives one block per pressure, with a row for each temperature and a column for
+ * each salinity. Functions may take any of T, S and P in any order; arguments they do not take are
+ * ignored, and a function that does not take P gives a single block with P null. A point outside
+ * the validity envelope does not abort the table: its cell is marked as in MARKERS, and keeps its
+ * value (marked) under the "clamp" and "extrapolate" range policies. Values with a very large or
+ * small magnitude are printed as multiples of a power of ten shown in the block unit, e.g.
+ * mu [10^-3 kg/m-s].
+ * @example
+ * const table = propertyTable({ properties: ["SW_Density", "SW_Viscosity"],
+ *                               T: [0, 20, 40, 60], S: [0, 20, 40], P: 0.101325, digits: 5 });
+ * fs.writeFileSync("report.html", renderTable(table, "html"));
+ * @param {Object} options - Table specification
+ * @param {Array<string>} options.properties - SW_* functions to tabulate, e.g. ["SW_Density"]
+ * @param {Array<number>} options.T - Temperatures of the rows [°C] (ITS-90)
+ * @param {Array<number>} options.S - Salinities of the columns [g/kg] (reference-composition salinity)
+ * @param {number|Array<number>} [options.P=0.101325] - Pressure, or pressures of separate blocks [MPa]
+ * @param {number} [options.digits=5] - Significant digits of each value
+ * @param {boolean} [options.scale=true] - Whether to print values in powers of ten where needed
+ * @param {string} [options.title="Seawater properties"] - Table title
+ * @returns {{title: string, T: Array<number>, S: Array<number>, digits: number,
+ *            blocks: Array<Object>}} Table: for each property and pressure a block {fnName, unit,
+ *          P, scale, cells, text} where cells[i][j] is {value, status} at (T[i], S[j]) and text[i][j]
+ *          its formatted text
+ * @throws {Error} If a property is unknown, takes an argument other than T, S and P, or the grid or
+ *         digits are invalid
+ */
+function propertyTable(options) {
+    const { properties, T, S, P = 0.101325, digits = 5, scale = true, title = "Seawater properties" } = options;
+    const pressures = Array.isArray(P) ? P : [P];
+
+    if (!Array.isArray(properties) || properties.length === 0) {
+        throw new Error("Property table requires a non-empty list of properties");
+    }
+    if (!Array.isArray(T) || T.length === 0 || !Array.isArray(S) || S.length === 0 || pressures.length === 0) {
+        throw new Error("Property table requires non-empty temperature, salinity and pressure grids");
+    }
+    if (!(Number.isInteger(digits) && digits >= 1 && digits <= 21)) {
+        throw new Error("Significant digits must be an integer from 1 to 21 for property table");
+    }
+
+    for (const fnName of properties) {
+        const meta = FUNCTIONS[fnName];
+        if (!meta) {
+            throw new Error("Unknown seawater property function: " + fnName);
+        }
+        for (const arg of meta.args) {
+            if (arg !== "T" && arg !== "S" && arg !== "P") {
+                throw new Error(fnName + " takes " + arg + ", which is not an axis of the property table");
+            }
+        }
+    }
+
+    const blocks = [];
+    for (const fnName of properties) {
+        const meta = FUNCTIONS[fnName];
+
+        // A function that does not take P gives a single block, valid at any pressure
+        for (const p of meta.args.includes("P") ? pressures : [null]) {
+            const axes = { T, S, P: [p] };
+            const grid = evaluateGrid(fnName, ...meta.args.map(arg => axes[arg]));
+
+            // Row-major strides of the grid, last argument fastest
+            const strides = {};
+            let stride = 1;
+            for (let k = meta.args.length - 1; k >= 0; k--) {
+                strides[meta.args[k]] = stride;
+                stride *= grid.shape[k];
+            }
+
+            const cells = T.map((t, i) => S.map((s, j) => {
+                const index = (strides.T === undefined ? 0 : i * strides.T) + (strides.S === undefined ? 0 : j * strides.S);
+                return { value: grid.values[index], status: grid.status[index] };
+            }));
+
+            const finite = [].concat(...cells).map(cell => cell.value).filter(Number.isFinite);
+            const exponent = scale ? engineeringScale(finite) : 0;
+
+            blocks.push({
+                fnName,
+                unit: meta.unit,
+                P: p,
+                scale: exponent,
+                cells,
+                text: cells.map(row => row.map(cell => cellText(cell, digits, exponent)))
+            });
+        }
+    }
+
+    return { title, T: T.slice(), S: S.slice(), digits, blocks };
+}
+
+/**
+ * Escapes text for HTML or XML, e.g. SVG
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Unit label of a block, including its power of ten
+ * @param {Object} block - Table block
+ * @param {boolean} [html=false] - Whether to return escaped HTML with the exponent as a superscript
+ * @returns {string} Unit label
+ */
+function blockUnit(block, html = false) {
+    if (!html) {
+        return block.scale === 0 ? block.unit : "10^" + block.scale + " " + block.unit;
+    }
+    return block.scale === 0 ? escapeMarkup(block.unit) : "10<sup>" + block.scale + "</sup> " + escapeMarkup(block.unit);
+}
+
+/**
+ * Pressure suffix of a block title
+ * @param {Object} block - Table block
+ * @returns {string} " at P = ... MPa", or "" for a block valid at any pressure
+ */
+function blockPressure(block) {
+    return block.P === null ? "" : " at P = " + block.P + " MPa";
+}
+
+/**
+ * Legend lines of the cell markers
+ * @returns {Array<string>} Legend
+ */
+function legend() {
+    return [
+        MARKERS.outOfRange + " outside the validity range of the correlation",
+        MARKERS.extrapolated + " value outside the validity range (clamped or extrapolated)",
+        MARKERS.invalid + " not evaluated"
+    ];
+}
+
+/**
+ * Renders a table as CSV: one row per pressure and temperature, one column per property and salinity
+ * @param {Object} table - Result of propertyTable
+ * @returns {string} CSV text
+ */
+function renderCsv(table) {
+    // Blocks of the same property at different pressures share their columns
+    const properties = [...new Set(table.blocks.map(block => block.fnName))];
+    const pressures = [...new Set(table.blocks.map(block => block.P).filter(P => P !== null))];
+    const find = (fnName, P) => table.blocks.find(block => block.fnName === fnName && (block.P === P || block.P === null));
+
+    const header = ["P [MPa]", "T [degC]"];
+    for (const fnName of properties) {
+        const block = find(fnName, pressures[0]);
+        for (const s of table.S) {
+            header.push(fnName + " S=" + s + " [" + blockUnit(block) + "]");
+        }
+    }
+
+    const lines = [header];
+    for (const P of pressures.length > 0 ? pressures : [""]) {
+        table.T.forEach((t, i) => {
+            const line = [P, t];
+            for (const fnName of properties) {
+                line.push(...find(fnName, P).text[i]);
+            }
+            lines.push(line);
+        });
+    }
+
+    return lines.map(line => line.map(field => csvField(field)).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Renders a table as Markdown, one section per block
+ * @param {Object} table - Result of propertyTable
+ * @returns {string} Markdown text
+ */
+function renderMarkdown(table) {
+    const out = ["# " + table.title, ""];
+
+    for (const block of table.blocks) {
+        out.push("## " + block.fnName + " [" + blockUnit(block) + "]" + blockPressure(block), "");
+        out.push("| T [degC] \\ S [g/kg] | " + table.S.join(" | ") + " |");
+        out.push("|---:|" + table.S.map(() => "---:|").join(""));
+        table.T.forEach((t, i) => {
+            out.push("| " + t + " | " + block.text[i].join(" | ") + " |");
+        });
+        out.push("");
+    }
+
+    out.push(...legend().map(line => "- " + line.replace(/\*/g, "\\*")), "");
+    return out.join("\n");
+}
+
+/**
+ * Renders a table as a standalone HTML document, one table per block
+ * @param {Object} table - Result of propertyTable
+ * @returns {string} HTML text
+ */
+function renderHtml(table) {
+    const out = [
+        "<!DOCTYPE html>",
+        "<html lang=\"en\">",
+        "<head>",
+        "<meta charset=\"utf-8\">",
+        "<title>" + escapeMarkup(table.title) + "</title>",
+        "<style>",
+        "body { font-family: sans-serif; margin: 2em; }",
+        "table { border-collapse: collapse; margin-bottom: 2em; }",
+        "caption { font-weight: bold; text-align: left; padding-bottom: 0.4em; }",
+        "th, td { border: 1px solid #999; padding: 0.2em 0.6em; text-align: right; font-variant-numeric: tabular-nums; }",
+        "th { background: #eee; }",
+        "td.out-of-range { background: #f2f2f2; color: #888; text-align: center; }",
+        "td.extrapolated { background: #fff4d6; }",
+        "td.invalid { background: #fde2e2; text-align: center; }",
+        "</style>",
+        "</head>",
+        "<body>",
+        "<h1>" + escapeMarkup(table.title) + "</h1>"
+    ];
+
+    const classes = {
+        [STATUS.OUT_OF_RANGE]: "extrapolated",
+        [STATUS.INVALID]: "invalid"
+    };
+
+    for (const block of table.blocks) {
+        out.push("<table>");
+        out.push("<caption>" + escapeMarkup(block.fnName) + " [" + blockUnit(block, true) + "]" + escapeMarkup(blockPressure(block)) + "</caption>");
+        out.push("<tr><th>T [°C] \\ S [g/kg]</th>" + table.S.map(s => "<th>" + escapeMarkup(s) + "</th>").join("") + "</tr>");
+
+        table.T.forEach((t, i) => {
+            const cells = block.cells[i].map((cell, j) => {
+                let cls = classes[cell.status];
+                if (cell.status === STATUS.OUT_OF_RANGE && !Number.isFinite(cell.value)) {
+                    cls = "out-of-range";
+                }
+                return "<td" + (cls ? " class=\"" + cls + "\"" : "") + ">" + escapeMarkup(block.text[i][j]) + "</td>";
+            });
+            out.push("<tr><th>" + escapeMarkup(t) + "</th>" + cells.join("") + "</tr>");
+        });
+
+        out.push("</table>");
+    }
+
+    out.push("<ul>" + legend().map(line => "<li>" + escapeMarkup(line) + "</li>").join("") + "</ul>");
+    out.push("</body>", "</html>", "");
+    return out.join("\n");
+}
+
+/**
+ * Renders a property table
+ * @param {Object} table - Result of propertyTable
+ * @param {string} [format="markdown"] - "csv", "markdown" or "html" (standalone document)
+ * @returns {string} Rendered text
+ * @throws {Error} If the format is unknown
+ */
+function renderTable(table, format = "markdown") {
+    if (format === "csv") {
+        return renderCsv(table);
+    }
+    if (format === "markdown") {
+        return renderMarkdown(table);
+    }
+    if (format === "html") {
+        return renderHtml(table);
+    }
+    throw new Error("Unknown table format: " + format + "; expected csv, markdown or html");
+}
+
+// Export functions
+module.exports = {
+    MARKERS,
+    engineeringScale,
+    escapeMarkup,
+    propertyTable,
+    renderTable
+};
@@ -0,0 +1,456 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - UNIT-AWARE FRONT END
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const seawater = require("./seawater-mit");
+
+
+/**
+ * Units known for each physical quantity. Every unit converts to the quantity's base unit
+ * (the one used by the SW_* functions) as base = value * factor + offset.
+ * @readonly
+ */
+const UNITS = Object.freeze({
+    temperature: {
+        base: "degC",
+        units: {
+            "degC": { factor: 1, offset: 0 },
+            "C": { factor: 1, offset: 0 },
+            "K": { factor: 1, offset: -273.15 },
+            "degF": { factor: 5 / 9, offset: -32 * 5 / 9 },
+            "F": { factor: 5 / 9, offset: -32 * 5 / 9 },
+            "degR": { factor: 5 / 9, offset: -273.15 }
+        }
+    },
+    temperatureDifference: {
+        base: "K",
+        units: {
+            "K": { factor: 1, offset: 0 },
+            "degC": { factor: 1, offset: 0 },
+            "degF": { factor: 5 / 9, offset: 0 },
+            "degR": { factor: 5 / 9, offset: 0 }
+        }
+    },
+    salinity: {
+        base: "g/kg",
+        units: {
+            "g/kg": { factor: 1, offset: 0 },
+            "ppt": { factor: 1, offset: 0 },
+            "kg/kg": { factor: 1000, offset: 0 },
+            "wt%": { factor: 10, offset: 0 },
+            "mg/kg": { factor: 1e-3, offset: 0 },
+            "ppm": { factor: 1e-3, offset: 0 }
+        },
+        // Mass-per-volume units, converted with the seawater density (see salinityFromConcentration)
+        volumetric: {
+            "g/L": 1,
+            "kg/m^3": 1,
+            "mg/L": 1e-3
+        }
+    },
+    pressure: {
+        base: "MPa",
+        units: {
+            "MPa": { factor: 1, offset: 0 },
+            "kPa": { factor: 1e-3, offset: 0 },
+            "Pa": { factor: 1e-6, offset: 0 },
+            "N/m^2": { factor: 1e-6, offset: 0 },
+            "bar": { factor: 0.1, offset: 0 },
+            "mbar": { factor: 1e-4, offset: 0 },
+            "atm": { factor: 0.101325, offset: 0 },
+            "psi": { factor: 6.894757293168e-3, offset: 0 }
+        }
+    },
+    saltContent: {
+        base: "mg/kg",
+        units: {
+            "mg/kg": { factor: 1, offset: 0 },
+            "ppm": { factor: 1, offset: 0 }
+        }
+    },
+    massConcentration: {
+        base: "mg/L",
+        units: {
+            "mg/L": { factor: 1, offset: 0 },
+            "g/L": { factor: 1000, offset: 0 }
+        }
+    },
+    electricalConductivity: {
+        base: "mS/cm",
+        units: {
+            "mS/cm": { factor: 1, offset: 0 },
+            "S/m": { factor: 10, offset: 0 },
+            "uS/cm": { factor: 1e-3, offset: 0 }
+        }
+    },
+    density: {
+        base: "kg/m^3",
+        units: {
+            "kg/m^3": { factor: 1, offset: 0 },
+            "g/cm^3": { factor: 1000, offset: 0 },
+            "kg/L": { factor: 1000, offset: 0 },
+            "lb/ft^3": { factor: 16.01846337396, offset: 0 }
+        }
+    },
+    specificVolume: {
+        base: "m^3/kg",
+        units: {
+            "m^3/kg": { factor: 1, offset: 0 },
+            "L/kg": { factor: 1e-3, offset: 0 },
+            "cm^3/g": { factor: 1e-3, offset: 0 },
+            "ft^3/lb": { factor: 0.06242796057614, offset: 0 }
+        }
+    },
+    specificEnergy: {
+        base: "J/kg",
+        units: {
+            "J/kg": { factor: 1, offset: 0 },
+            "kJ/kg": { factor: 1000, offset: 0 },
+            "Btu/lb": { factor: 2326, offset: 0 }
+        }
+    },
+    specificHeat: {
+        base: "J/kg-K",
+        units: {
+            "J/kg-K": { factor: 1, offset: 0 },
+            "kJ/kg-K": { factor: 1000, offset: 0 },
+            "Btu/lb-F": { factor: 4186.8, offset: 0 }
+        }
+    },
+    salinityWeightedEnergy: {
+        base: "g/kg*J/kg",
+        units: {
+            "g/kg*J/kg": { factor: 1, offset: 0 }
+        }
+    },
+    thermalConductivity: {
+        base: "W/m-K",
+        units: {
+            "W/m-K": { factor: 1, offset: 0 },
+            "mW/m-K": { factor: 1e-3, offset: 0 },
+            "Btu/h-ft-F": { factor: 1.730734666, offset: 0 }
+        }
+    },
+    dynamicViscosity: {
+        base: "kg/m-s",
+        units: {
+            "kg/m-s": { factor: 1, offset: 0 },
+            "Pa-s": { factor: 1, offset: 0 },
+            "mPa-s": { factor: 1e-3, offset: 0 },
+            "cP": { factor: 1e-3, offset: 0 }
+        }
+    },
+    diffusivity: {
+        base: "m^2/s",
+        units: {
+            "m^2/s": { factor: 1, offset: 0 },
+            "mm^2/s": { factor: 1e-6, offset: 0 },
+            "cSt": { factor: 1e-6, offset: 0 },
+            "ft^2/s": { factor: 0.09290304, offset: 0 }
+        }
+    },
+    speed: {
+        base: "m/s",
+        units: {
+            "m/s": { factor: 1, offset: 0 },
+            "km/h": { factor: 1 / 3.6, offset: 0 },
+            "ft/s": { factor: 0.3048, offset: 0 },
+            "kn": { factor: 1852 / 3600, offset: 0 }
+        }
+    },
+    surfaceTension: {
+        base: "mN/m",
+        units: {
+            "mN/m": { factor: 1, offset: 0 },
+            "N/m": { factor: 1000, offset: 0 },
+            "dyn/cm": { factor: 1, offset: 0 }
+        }
+    },
+    expansivity: {
+        base: "1/K",
+        units: {
+            "1/K": { factor: 1, offset: 0 },
+            "1/degC": { factor: 1, offset: 0 },
+            "1/degF": { factor: 1.8, offset: 0 }
+        }
+    },
+    compressibility: {
+        base: "1/MPa",
+        units: {
+            "1/MPa": { factor: 1, offset: 0 },
+            "1/kPa": { factor: 1000, offset: 0 },
+            "1/Pa": { factor: 1e6, offset: 0 },
+            "1/bar": { factor: 10, offset: 0 }
+        }
+    },
+    dimensionless: {
+        base: "-",
+        units: {
+            "-": { factor: 1, offset: 0 }
+        }
+    }
+});
+
+/**
+ * Physical quantity of each named function argument
+ * @readonly
+ */
+const ARGUMENTS = Object.freeze({
+    T: "temperature",
+    S: "salinity",
+    P: "pressure",
+    T0: "temperature",
+    S0: "salinity",
+    P0: "pressure",
+    h: "specificEnergy",
+    s: "specificHeat",
+    rho: "density",
+    SP: "dimensionless",
+    R: "dimensionless",
+    C: "electricalConductivity",
+    mgL: "massConcentration",
+    ppm: "saltContent"
+});
+
+/**
+ * Argument names, optional trailing arguments and output quantity of each property function,
+ * in the units the SW_* functions use
+ * @readonly
+ */
+const FUNCTIONS = Object.freeze({
+    SW_AdiabComp: { args: ["T", "S", "P"], output: "compressibility", unit: "1/MPa" },
+    SW_BPE: { args: ["T", "S"], output: "temperatureDifference", unit: "K" },
+    SW_C_from_S: { args: ["S", "T", "P"], output: "electricalConductivity", unit: "mS/cm" },
+    SW_ChemPot_s: { args: ["T", "S", "P"], output: "specificEnergy", unit: "J/kg" },
+    SW_ChemPot_w: { args: ["T", "S", "P"], output: "specificEnergy", unit: "J/kg" },
+    SW_Conductivity: { args: ["T", "S"], output: "thermalConductivity", unit: "W/m-K" },
+    SW_ConductivityP: { args: ["T", "S", "P"], output: "thermalConductivity", unit: "W/m-K" },
+    SW_Cv: { args: ["T", "S", "P"], output: "specificHeat", unit: "J/kg-K" },
+    SW_Density: { args: ["T", "S", "P"], output: "density", unit: "kg/m^3" },
+    SW_Diffusivity: { args: ["T", "S"], output: "diffusivity", unit: "m^2/s" },
+    SW_Enthalpy: { args: ["T", "S", "P"], output: "specificEnergy", unit: "J/kg" },
+    SW_Entropy: { args: ["T", "S", "P"], output: "specificHeat", unit: "J/kg-K" },
+    SW_FlowExergy: { args: ["T", "S", "P", "T0", "S0", "P0"], optional: ["T0", "S0", "P0"], output: "specificEnergy", unit: "J/kg" },
+    SW_Gamma: { args: ["T", "S", "P"], output: "dimensionless", unit: "-" },
+    SW_Gibbs: { args: ["T", "S", "P"], output: "specificEnergy", unit: "J/kg" },
+    SW_IntEnergy: { args: ["T", "S", "P"], output: "specificEnergy", unit: "J/kg" },
+    SW_IsobExp: { args: ["T", "S", "P"], output: "expansivity", unit: "1/K" },
+    SW_IsothComp: { args: ["T", "S", "P"], output: "compressibility", unit: "1/MPa" },
+    SW_Kviscosity: { args: ["T", "S"], output: "diffusivity", unit: "m^2/s" },
+    SW_LatentHeat: { args: ["T", "S"], output: "specificEnergy", unit: "J/kg" },
+    SW_OsmCoeff: { args: ["T", "S"], output: "dimensionless", unit: "-" },
+    SW_OsmPress: { args: ["T", "S"], output: "pressure", unit: "MPa" },
+    SW_Psat: { args: ["T", "S"], output: "pressure", unit: "Pa" },
+    SW_Prandtl: { args: ["T", "S"], output: "dimensionless", unit: "-" },
+    SW_R_from_SP: { args: ["SP", "T", "P"], output: "dimensionless", unit: "-" },
+    SW_SChemPot_s: { args: ["T", "S", "P"], output: "salinityWeightedEnergy", unit: "g/kg*J/kg" },
+    SW_SP_from_R: { args: ["R", "T", "P"], output: "dimensionless", unit: "-" },
+    SW_SP_from_SR: { args: ["S"], output: "dimensionless", unit: "-" },
+    SW_SR_from_SP: { args: ["SP"], output: "salinity", unit: "g/kg" },
+    SW_S_from_C: { args: ["C", "T", "P"], output: "salinity", unit: "g/kg" },
+    SW_S_from_mgL: { args: ["mgL", "T", "P"], output: "salinity", unit: "g/kg" },
+    SW_S_from_ppm: { args: ["ppm"], output: "salinity", unit: "g/kg" },
+    SW_S_from_rho: { args: ["rho", "T", "P"], output: "salinity", unit: "g/kg" },
+    SW_SoundSpeed: { args: ["T", "S", "P"], output: "speed", unit: "m/s" },
+    SW_SpcHeat: { args: ["T", "S", "P"], output: "specificHeat", unit: "J/kg-K" },
+    SW_SurfaceTension: { args: ["T", "S"], output: "surfaceTension", unit: "mN/m" },
+    SW_T_from_h: { args: ["h", "S", "P"], output: "temperature", unit: "degC" },
+    SW_T_from_s: { args: ["s", "S", "P"], output: "temperature", unit: "degC" },
+    SW_Tsat: { args: ["P", "S"], output: "temperature", unit: "degC" },
+    SW_VaporEnthalpy: { args: ["T", "P"], optional: ["P"], output: "specificEnergy", unit: "J/kg" },
+    SW_VaporEntropy: { args: ["T", "P"], optional: ["P"], output: "specificHeat", unit: "J/kg-K" },
+    SW_VaporVolume: { args: ["T", "P"], optional: ["P"], output: "specificVolume", unit: "m^3/kg" },
+    SW_Viscosity: { args: ["T", "S"], output: "dynamicViscosity", unit: "kg/m-s" },
+    SW_Volume: { args: ["T", "S", "P"], output: "specificVolume", unit: "m^3/kg" },
+    SW_WaterEnthalpy: { args: ["T"], output: "specificEnergy", unit: "J/kg" },
+    SW_WaterEntropy: { args: ["T"], output: "specificHeat", unit: "J/kg-K" },
+    SW_mgL_from_S: { args: ["S", "T", "P"], output: "massConcentration", unit: "mg/L" },
+    SW_ppm_from_S: { args: ["S"], output: "saltContent", unit: "mg/kg" }
+});
+
+/**
+ * Looks up a unit of a quantity
+ * @param {string} quantity - Physical quantity, a key of UNITS
+ * @param {string} unit - Unit name
+ * @returns {{factor: number, offset: number}} Conversion to the base unit
+ * @throws {Error} If the quantity or unit is unknown
+ */
+function lookupUnit(quantity, unit) {
+    const table = UNITS[quantity];
+
+    if (!table) {
+        throw new Error("Unknown quantity: " + quantity);
+    }
+
+    const def = table.units[unit];
+
+    if (!def) {
+        if (table.volumetric && unit in table.volumetric) {
+            throw new Error("Unit " + unit + " of " + quantity + " needs the seawater density; use salinityFromConcentration");
+        }
+        throw new Error("Unknown unit " + unit + " for " + quantity + "; expected one of " + Object.keys(table.units).join(", "));
+    }
+
+    return def;
+}
+
+/**
+ * Converts a value between two units of the same quantity
+ * @example
+ * convert(77, "degF", "degC");                           // 25
+ * convert(9, "degF", "K", "temperatureDifference");      // 5
+ * @param {number} value - Value in the unit `from`
+ * @param {string} from - Unit of the value
+ * @param {string} to - Requested unit
+ * @param {string} [quantity] - Physical quantity; needed only when the units belong to several
+ *        quantities, e.g. "mg/kg" for salinity and saltContent. Temperature units are converted
+ *        as absolute temperatures unless quantity is "temperatureDifference".
+ * @returns {number} Value in the unit `to`
+ * @throws {Error} If the units are unknown, ambiguous or of different quantities
+ */
+function convert(value, from, to, quantity) {
+    if (quantity === undefined) {
+        let candidates = Object.keys(UNITS).filter(q => from in UNITS[q].units && to in UNITS[q].units);
+
+        // Every temperature difference unit is also an absolute temperature unit
+        if (candidates.includes("temperature")) {
+            candidates = candidates.filter(q => q !== "temperatureDifference");
+        }
+
+        if (candidates.length === 0) {
+            throw new Error("Cannot convert from " + from + " to " + to + ": no quantity has both units");
+        }
+
+        if (candidates.length > 1) {
+            throw new Error("Conversion from " + from + " to " + to + " is ambiguous between " + candidates.join(", ") + "; pass the quantity");
+        }
+
+        quantity = candidates[0];
+    }
+
+    const src = lookupUnit(quantity, from);
+    const dst = lookupUnit(quantity, to);
+
+    return (value * src.factor + src.offset - dst.offset) / dst.factor;
+}
+
+/**
+ * Salinity from a mass-per-volume salt concentration, see SW_S_from_mgL
+ * @param {number} C - Salt concentration [kg/m^3] (equal to g/L)
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} P - Pressure [MPa]
+ * @returns {number} Salinity [g/kg] (reference-composition salinity)
+ * @throws {SeawaterRangeError} If the state is out of range of SW_S_from_mgL
+ */
+function salinityFromConcentration(C, T, P) {
+    return seawater.SW_S_from_mgL(1000 * C, T, P);
+}
+
+/**
+ * Splits an input specification into value and unit
+ * @param {string} fnName - Function name, for error messages
+ * @param {string} arg - Argument name, for error messages
+ * @param {Array|Object} spec - [value, unit] or {value, unit}
+ * @returns {{value: number, unit: string}} Value and unit
+ * @throws {Error} If the unit is missing
+ */
+function parseInput(fnName, arg, spec) {
+    if (Array.isArray(spec) && spec.length === 2) {
+        return { value: spec[0], unit: spec[1] };
+    }
+
+    if (spec !== null && typeof spec === "object" && "value" in spec && "unit" in spec) {
+        return { value: spec.value, unit: spec.unit };
+    }
+
+    throw new Error("Input " + arg + " of " + fnName + " needs an explicit unit, e.g. " + arg + ": [value, \"" +
+                    UNITS[ARGUMENTS[arg]].base + "\"]");
+}
+
+/**
+ * Calls a property function with inputs and output in arbitrary units
+ *
+ * Salinity may be given per unit volume (g/L, mg/L); it is then converted with SW_Density at the
+ * call's temperature and pressure (atmospheric, or the vapor pressure above 100 °C, when the
+ * function takes no pressure).
+ * @example
+ * // Density at 77 °F, 35000 ppm and 1 bar in lb/ft^3
+ * call("SW_Density", { T: [77, "degF"], S: [35000, "ppm"], P: [1, "bar"] }, "lb/ft^3");
+ * @param {string} fnName - Property function name, e.g. "SW_Density"
+ * @param {Object<string, Array|Object>} inputs - Each argument of the function as [value, unit]
+ * @param {string} [outputUnit] - Unit of the result; defaults to the function's own unit
+ * @returns {number} Property value in outputUnit
+ * @throws {Error} If the function, an argument or a unit is unknown, an input has no unit,
+ *         or the property function rejects the converted inputs
+ */
+function call(fnName, inputs, outputUnit) {
+    const meta = FUNCTIONS[fnName];
+
+    if (!meta) {
+        throw new Error("Unknown seawater property function: " + fnName);
+    }
+
+    for (const arg of Object.keys(inputs)) {
+        if (!meta.args.includes(arg)) {
+            throw new Error("Unknown input " + arg + " for " + fnName + "; expected " + meta.args.join(", "));
+        }
+    }
+
+    const values = {};
+    const volumetric = [];
+
+    for (const arg of meta.args) {
+        if (!(arg in inputs)) {
+            // Optional trailing arguments fall back to the function's defaults
+            if (meta.optional && meta.optional.includes(arg)) {
+                continue;
+            }
+            throw new Error("Missing input " + arg + " for " + fnName);
+        }
+
+        const quantity = ARGUMENTS[arg];
+        const { value, unit } = parseInput(fnName, arg, inputs[arg]);
+
+        if (typeof value !== "number") {
+            throw new Error("Input " + arg + " of " + fnName + " must be a number");
+        }
+
+        const salinityPerVolume = UNITS.salinity.volumetric;
+        if (quantity === "salinity" && unit in salinityPerVolume) {
+            volumetric.push({ arg, C: value * salinityPerVolume[unit] });
+        } else {
+            values[arg] = convert(value, unit, UNITS[quantity].base, quantity);
+        }
+    }
+
+    for (const { arg, C } of volumetric) {
+        const T = arg === "S0" ? values.T0 : values.T;
+
+        if (T === undefined) {
+            throw new Error("Input " + arg + " of " + fnName + " per unit volume needs a temperature input to evaluate the density");
+        }
+
+        let P = arg === "S0" ? values.P0 : values.P;
+        if (P === undefined) {
+            P = Math.max(0.101325, seawater.SW_Psat(T, 0) / 1e6);
+        }
+
+        values[arg] = salinityFromConcentration(C, T, P);
+    }
+
+    // Omitted optional arguments stay undefined so the function applies its own defaults
+    const result = seawater[fnName](...meta.args.map(arg => values[arg]));
+
+    return outputUnit === undefined ? result : convert(result, meta.unit, outputUnit, meta.output);
+}
+
+// Export functions
+module.exports = {
+    ARGUMENTS,
+    FUNCTIONS,
+    UNITS,
+    call,
+    convert,
+    salinityFromConcentration
+};
@@ -0,0 +1,80 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - BATCH EVALUATION TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { STATUS, evaluate, evaluateGrid } = require("../seawater-batch");
+
+
+test("evaluate broadcasts scalar arguments against arrays", () => {
+    const T = new Float64Array([10, 25, 60]);
+    const S = [0, 35, 70];
+    const { values, status } = evaluate(seawater.SW_Density, T, S, 0.101325);
+
+    assert.ok(values instanceof Float64Array);
+    assert.ok(status instanceof Uint8Array);
+    assert.deepEqual(Array.from(status), [STATUS.OK, STATUS.OK, STATUS.OK]);
+    for (let i = 0; i < 3; i++) {
+        assert.equal(values[i], seawater.SW_Density(T[i], S[i], 0.101325));
+    }
+
+    const scalar = evaluate("SW_Density", 25, 35, 0.101325);
+    assert.equal(scalar.values.length, 1);
+    assert.equal(scalar.values[0], seawater.SW_Density(25, 35, 0.101325));
+});
+
+test("evaluate rejects array arguments of different lengths and unknown functions", () => {
+    assert.throws(() => evaluate("SW_Density", [10, 20], [35, 35, 35], 0.101325), /same length/);
+    assert.throws(() => evaluate("SW_NoSuchProperty", 25, 35), /Unknown seawater property function/);
+});
+
+test("evaluate marks non-numeric inputs and non-finite values as invalid", () => {
+    const { values, status } = evaluate("SW_Density", [25, NaN, "25"], 35, 0.101325);
+
+    assert.deepEqual(Array.from(status), [STATUS.OK, STATUS.INVALID, STATUS.INVALID]);
+    assert.ok(Number.isNaN(values[1]) && Number.isNaN(values[2]));
+});
+
+test("Out-of-range points are flagged under every range policy", () => {
+    // 200 °C is above the 180 °C limit of SW_Viscosity
+    const T = [25, 200];
+    const expected = {
+        throw: NaN,
+        nan: NaN,
+        clamp: seawater.SW_Viscosity(180, 35),
+        extrapolate: seawater.withRangePolicy("extrapolate", () => seawater.SW_Viscosity(200, 35))
+    };
+
+    for (const mode of Object.keys(expected)) {
+        const warnings = [];
+        const { values, status } = seawater.withRangePolicy({ mode, onWarning: err => warnings.push(err) },
+            () => evaluate("SW_Viscosity", T, 35));
+
+        assert.deepEqual(Array.from(status), [STATUS.OK, STATUS.OUT_OF_RANGE], mode);
+        assert.equal(values[0], seawater.SW_Viscosity(25, 35), mode);
+        assert.ok(Object.is(values[1], expected[mode]), mode + ": " + values[1]);
+        assert.equal(warnings.length, mode === "clamp" || mode === "extrapolate" ? 1 : 0, mode);
+        assert.equal(seawater.getRangePolicy().mode, "throw");
+    }
+});
+
+test("evaluateGrid stores the last argument fastest", () => {
+    const T = [10, 20, 30];
+    const S = [0, 35];
+    const P = [0.101325, 1, 5, 10];
+    const { values, status, shape } = evaluateGrid("SW_Density", T, S, P);
+
+    assert.deepEqual(shape, [3, 2, 4]);
+    assert.equal(values.length, 24);
+    assert.ok(status.every(code => code === STATUS.OK));
+    T.forEach((t, i) => S.forEach((s, j) => P.forEach((p, k) => {
+        assert.equal(values[(i * S.length + j) * P.length + k], seawater.SW_Density(t, s, p));
+    })));
+
+    const fixed = evaluateGrid("SW_Density", T, 35, 0.101325);
+    assert.deepEqual(fixed.shape, [3, 1, 1]);
+    assert.equal(fixed.values[2], seawater.SW_Density(30, 35, 0.101325));
+});
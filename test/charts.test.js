@@ -0,0 +1,29 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - CHART TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { contourChart, isolineChart } = require("../seawater-charts");
+
+
+test("Chart titles are escaped for SVG", () => {
+    const svg = isolineChart({ property: "SW_Density", T: [10, 90], S: [0, 35], title: "rho <S & T>" });
+
+    assert.match(svg, /^<svg /);
+    assert.match(svg, /<title>rho &lt;S &amp; T&gt;<\/title>/);
+});
+
+test("Chart axes scale values of a very small magnitude to a power of ten", () => {
+    const svg = isolineChart({ property: "SW_Viscosity", T: [10, 90], S: [0, 35] });
+
+    assert.match(svg, /\[10<tspan[^>]*>-3<\/tspan> kg\/m-s\]/);
+});
+
+test("Charts with more samples than a call can take as arguments are drawn", () => {
+    const points = 200000;
+
+    assert.match(isolineChart({ property: "SW_Density", T: [10, 90], S: [35], points }), /<\/svg>\n$/);
+    assert.match(contourChart({ property: "SW_Density", T: [10, 90], S: [0, 70], resolution: 450 }), /<\/svg>\n$/);
+});
@@ -0,0 +1,60 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - COMMAND-LINE INTERFACE TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { EXIT, run } = require("../seawater-cli");
+
+
+/**
+ * Runs the command-line interface and collects what it writes
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{code: number, out: string, err: string}} Exit code, standard output and standard error
+ */
+function runCli(argv) {
+    let out = "";
+    let err = "";
+    const code = run(argv, { write: text => { out += text; } }, { write: text => { err += text; } });
+    return { code, out, err };
+}
+
+test("Usage shows how to run the library file", () => {
+    const { code, out } = runCli(["help"]);
+    assert.equal(code, EXIT.OK);
+    assert.match(out, /^Usage: node seawater-mit\.js <command>/);
+    assert.doesNotMatch(out, /^ {2}seawater-mit /m);
+});
+
+test("Evaluating a function prints its value", () => {
+    const { code, out } = runCli(["density", "-T", "25", "-S", "35", "-P", "0.1", "--format", "json"]);
+    assert.equal(code, EXIT.OK);
+    assert.equal(JSON.parse(out)[0].SW_Density, seawater.SW_Density(25, 35, 0.1));
+});
+
+test("The list command rejects inputs as a usage error", () => {
+    const { code, out, err } = runCli(["list", "-T", "25"]);
+    assert.equal(code, EXIT.USAGE_ERROR);
+    assert.equal(out, "");
+    assert.match(err, /^Error: Unknown input -T for list/);
+    assert.equal(runCli(["list"]).code, EXIT.OK);
+});
+
+test("Unknown functions point to the list command", () => {
+    const { code, err } = runCli(["nosuchproperty", "-T", "25"]);
+    assert.equal(code, EXIT.USAGE_ERROR);
+    assert.match(err, /see node seawater-mit\.js list/);
+});
+
+test("The table format pads every column to its widest cell", () => {
+    const { code, out } = runCli(["density", "-T", "20,25", "-S", "35", "-P", "0.101325"]);
+    const lines = out.trimEnd().split("\n");
+
+    assert.equal(code, EXIT.OK);
+    assert.equal(lines.length, 4);
+    assert.equal(lines[0], "T [C]  S [g/kg]  P [MPa]   SW_Density [kg/m^3]");
+    assert.equal(lines[1], "-----  --------  --------  -------------------");
+    assert.match(lines[2], /^20 {5}35 {8}0\.101325 {2}1024\.93/);
+});
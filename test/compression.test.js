@@ -0,0 +1,46 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - COMPRESSIBILITY AND SOUND SPEED TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+
+
+/**
+ * Asserts that a value matches a reference within a relative tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} rtol - Relative tolerance [-]
+ */
+function assertClose(actual, expected, rtol) {
+    assert.ok(Math.abs(actual - expected) <= rtol * Math.abs(expected),
+        "expected " + expected + ", got " + actual + " (rtol " + rtol + ")");
+}
+
+const states = [[25, 35, 0.101325], [10, 0, 0.101325], [60, 70, 1], [120, 100, 5]];
+
+test("SW_SoundSpeed agrees with measured sound speeds", () => {
+    // Mackenzie (1981): 1534.3 m/s in seawater at 25 C and 35 g/kg; IAPWS-95: 1447.3 m/s in water at 10 C
+    assertClose(seawater.SW_SoundSpeed(25, 35, 0.101325), 1534.3, 0.005);
+    assertClose(seawater.SW_SoundSpeed(10, 0, 0.101325), 1447.3, 0.005);
+});
+
+test("SW_Gamma and SW_Cv are consistent with SW_SpcHeat", () => {
+    assertClose(seawater.SW_Gamma(25, 35, 0.101325), 1.014, 0.005);
+
+    for (const [T, S, P] of states) {
+        const cv = seawater.SW_Cv(T, S, P);
+        assert.ok(cv < seawater.SW_SpcHeat(T, S, P));
+        assertClose(seawater.SW_Gamma(T, S, P), seawater.SW_SpcHeat(T, S, P) / cv, 1e-12);
+    }
+});
+
+test("SW_AdiabComp and SW_SoundSpeed follow from the isothermal compressibility", () => {
+    for (const [T, S, P] of states) {
+        const kappa_S = seawater.SW_AdiabComp(T, S, P);
+        assertClose(kappa_S, seawater.SW_IsothComp(T, S, P) / seawater.SW_Gamma(T, S, P), 1e-12);
+        assertClose(seawater.SW_SoundSpeed(T, S, P), 1 / Math.sqrt(seawater.SW_Density(T, S, P) * kappa_S * 1e-6), 1e-12);
+    }
+});
@@ -0,0 +1,117 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - DERIVATIVE TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { Dual, RULES, derivatives } = require("../seawater-derivatives");
+
+
+// Sample values of every argument, away from the branch switches at T = 100 C and S = 10 g/kg
+const SAMPLES = {
+    T: [5, 15, 35, 60, 90, 110, 150],
+    S: [0, 5, 20, 35, 60, 100],
+    P: [0.005, 0.02, 0.3, 1, 5, 10],
+    T0: [15, 25, 35],
+    S0: [5, 35],
+    P0: [0.101325, 0.5],
+    SP: [5, 20, 35],
+    R: [0.2, 0.6, 1.1],
+    C: [10, 30, 50],
+    mgL: [5e3, 35000, 1e5],
+    ppm: [1000, 35000],
+    rho: [1000, 1024, 1080],
+    h: [8e4, 2e5, 4e5],
+    s: [300, 800, 1200]
+};
+
+/**
+ * Relative step of the central differences
+ */
+const STEP = 1e-5;
+
+/**
+ * Finite difference step of an argument value, relative unless the value is zero
+ * @param {number} x - Argument value
+ * @returns {number} Step
+ */
+function step(x) {
+    return STEP * (Math.abs(x) || 1);
+}
+
+/**
+ * Argument values at which a function and its central differences are all in range
+ * @param {string} name - Property function name
+ * @returns {Array<Array<number>>} Argument values
+ */
+function samplePoints(name) {
+    const args = seawater.getValidity(name).args;
+    const points = [];
+
+    const collect = values => {
+        if (values.length === args.length) {
+            points.push(values);
+            return;
+        }
+        for (const value of SAMPLES[args[values.length]]) {
+            collect([...values, value]);
+        }
+    };
+    collect([]);
+
+    return points.filter(point => seawater.isValid(name, ...point) && point.every((x, i) => {
+        const up = [...point];
+        const down = [...point];
+        up[i] += step(x);
+        down[i] -= step(x);
+        return seawater.isValid(name, ...up) && seawater.isValid(name, ...down);
+    }));
+}
+
+for (const name of Object.keys(RULES)) {
+    const points = samplePoints(name);
+    const args = seawater.getValidity(name).args;
+
+    test(name + " derivatives agree with central finite differences", () => {
+        assert.ok(points.length > 0, "no sample point is in range");
+
+        for (const point of points) {
+            const result = derivatives(name, ...point);
+            const value = seawater[name](...point);
+            assert.equal(result.value, value);
+
+            args.forEach((arg, i) => {
+                const up = [...point];
+                const down = [...point];
+                up[i] += step(point[i]);
+                down[i] -= step(point[i]);
+
+                const difference = (seawater[name](...up) - seawater[name](...down)) / (up[i] - down[i]);
+                const analytic = result["d" + arg];
+                const scale = Math.max(Math.abs(analytic), Math.abs(value) / Math.max(1, Math.abs(point[i])));
+
+                assert.ok(Math.abs(difference - analytic) <= 1e-6 * scale,
+                    name + "(" + point.join(", ") + "): d" + arg + " = " + analytic + ", finite difference " + difference);
+            });
+        }
+    });
+
+    if (RULES[name].evaluate) {
+        test(name + " dual-number correlation matches seawater-mit.js", () => {
+            for (const point of points) {
+                const dual = RULES[name].evaluate(...point.map(x => new Dual(x, [])));
+                const value = seawater[name](...point);
+
+                assert.ok(Math.abs(dual.v - value) <= 1e-12 * Math.abs(value),
+                    name + "(" + point.join(", ") + "): " + dual.v + " != " + value);
+            }
+        });
+    }
+}
+
+test("derivatives share the coefficient tables of seawater-mit.js", () => {
+    assert.ok(Object.isFrozen(seawater.COEFFICIENTS.density.a));
+    assert.equal(seawater.COEFFICIENTS.density.a[0], 9.9992293295e2);
+});
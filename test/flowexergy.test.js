@@ -0,0 +1,63 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - FLOW EXERGY TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+
+
+/**
+ * Asserts that a call throws a SeawaterRangeError blaming a given argument of SW_FlowExergy
+ * @param {Array<number>} args - Arguments of SW_FlowExergy
+ * @param {string} variable - Name of the argument that is expected to be out of range
+ */
+function assertRejects(args, variable) {
+    assert.throws(() => seawater.SW_FlowExergy(...args), err =>
+        err instanceof seawater.SeawaterRangeError &&
+        err.functionName === "SW_FlowExergy" &&
+        err.variable === variable);
+}
+
+test("SW_FlowExergy is zero at the dead state", () => {
+    assert.equal(seawater.SW_FlowExergy(25, 35, 0.101325), 0);
+});
+
+test("SW_FlowExergy names the dead state argument that is out of range", () => {
+    assertRejects([40, 45, 0.2, 0], "T0");
+    assertRejects([40, 45, 0.2, 90], "T0");
+    assertRejects([40, 45, 0.2, 25, 0.05], "S0");
+    assertRejects([40, 45, 0.2, 25, 35, 0.001], "P0");
+    assertRejects([40, 45, 0.2, 25, 35, 13], "P0");
+});
+
+test("SW_FlowExergy restricts the dead state above atmospheric pressure", () => {
+    assertRejects([40, 35, 0.2, 50, 35, 1], "T0");
+    assertRejects([40, 35, 0.2, 25, 50, 1], "S0");
+    assertRejects([40, 50, 0.2, 25, 35, 1], "S");
+    assert.ok(Number.isFinite(seawater.SW_FlowExergy(40, 35, 0.2, 25, 35, 1)));
+});
+
+test("SW_FlowExergy dead state checks agree with isValid", () => {
+    const cases = [
+        [40, 45, 0.2, 0],
+        [40, 45, 0.2, 25, 35, 0.01],
+        [40, 45, 0.2, 25, 35, 13],
+        [40, 45, 0.2, 25, 0.05],
+        [40, 45, 0.2, 50, 35, 1],
+        [40, 35, 0.2, 25, 50, 1],
+        [40, 50, 0.2, 25, 35, 1],
+        [40, 35, 0.2, 25, 35, 1]
+    ];
+
+    for (const args of cases) {
+        let threw = false;
+        try {
+            seawater.SW_FlowExergy(...args);
+        } catch (err) {
+            threw = true;
+        }
+        assert.equal(seawater.isValid("SW_FlowExergy", ...args), !threw, "SW_FlowExergy(" + args.join(", ") + ")");
+    }
+});
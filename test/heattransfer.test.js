@@ -0,0 +1,77 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - CONVECTIVE HEAT TRANSFER TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { dittusBoelter, gnielinski, grashof, internalFlow, naturalConvectionPlate, reynolds } =
+    require("../seawater-heattransfer");
+
+
+/**
+ * Asserts that a value matches a reference within a relative tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} rtol - Relative tolerance [-]
+ */
+function assertClose(actual, expected, rtol) {
+    assert.ok(Math.abs(actual - expected) <= rtol * Math.abs(expected),
+        "expected " + expected + ", got " + actual + " (rtol " + rtol + ")");
+}
+
+test("Dittus-Boelter gives the textbook Nusselt numbers", () => {
+    // Nu = 0.023 Re^0.8 Pr^n at Re = 1e5, Pr = 7: 0.023 * 1e4 * 7^0.4 and 7^0.3
+    assertClose(dittusBoelter(1e5, 7), 500.9, 1e-3);
+    assertClose(dittusBoelter(1e5, 7, false), 412.3, 1e-3);
+});
+
+test("Gnielinski gives the textbook Nusselt numbers", () => {
+    // Petukhov f = 0.01799 at Re = 1e5
+    assertClose(gnielinski(1e5, 7), 599.1, 1e-3);
+    assertClose(gnielinski(1e4, 0.7), 29.82, 1e-3);
+
+    // A given friction factor replaces the smooth-pipe one
+    assertClose(gnielinski(1e5, 7, 0.02), 644.4, 1e-3);
+});
+
+test("Dimensionless groups follow their definitions", () => {
+    assertClose(reynolds(1000, 2, 0.05, 1e-3), 1e5, 1e-12);
+    assertClose(grashof(2e-4, 10, 0.1, 1e-6), 9.80665 * 2e-4 * 10 * 1e-3 / 1e-12, 1e-12);
+});
+
+test("internalFlow evaluates the correlation at the bulk seawater properties", () => {
+    const flow = internalFlow({ T: 30, S: 35, P: 0.2, velocity: 1.5, diameter: 0.02 });
+    const st = flow.properties;
+
+    assert.equal(st.T, 30);
+    assertClose(flow.Re, seawater.SW_Density(30, 35, 0.2) * 1.5 * 0.02 / seawater.SW_Viscosity(30, 35), 1e-12);
+    assertClose(flow.Pr, st.cp * st.mu / st.k, 1e-12);
+    assertClose(flow.Nu, gnielinski(flow.Re, flow.Pr), 1e-12);
+    assertClose(flow.h, flow.Nu * seawater.SW_Conductivity(30, 35) / 0.02, 1e-12);
+    assert.equal(flow.inRange, true);
+
+    const massFlow = st.rho * 1.5 * Math.PI * 0.02 * 0.02 / 4;
+    assertClose(internalFlow({ T: 30, S: 35, P: 0.2, massFlow, diameter: 0.02 }).h, flow.h, 1e-12);
+
+    const db = internalFlow({ T: 30, S: 35, P: 0.2, velocity: 1.5, diameter: 0.02, correlation: "dittus-boelter" });
+    assertClose(db.Nu, dittusBoelter(flow.Re, flow.Pr), 1e-12);
+
+    assert.equal(internalFlow({ T: 30, S: 35, velocity: 0.05, diameter: 0.02 }).inRange, false);
+    assert.throws(() => internalFlow({ T: 30, S: 35, diameter: 0.02 }), /velocity or a mass flow/);
+});
+
+test("naturalConvectionPlate uses the Churchill-Chu correlation on a vertical plate", () => {
+    const plate = naturalConvectionPlate({ wallTemperature: 60, T: 20, S: 35, length: 0.5 });
+    const { Ra, Pr } = plate;
+    const Nu = Math.pow(0.825 + 0.387 * Math.pow(Ra, 1 / 6) / Math.pow(1 + Math.pow(0.492 / Pr, 9 / 16), 8 / 27), 2);
+
+    assert.equal(plate.filmTemperature, 40);
+    assertClose(plate.Nu, Nu, 1e-12);
+    assertClose(plate.heatFlux, plate.h * 40, 1e-12);
+    assert.ok(plate.Gr > 0);
+
+    // A cooled plate transfers heat the other way
+    assert.ok(naturalConvectionPlate({ wallTemperature: 10, T: 30, S: 35, length: 0.5 }).heatFlux < 0);
+});
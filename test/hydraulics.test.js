@@ -0,0 +1,88 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - PIPE-FLOW HYDRAULICS TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { frictionFactor, pipeNetwork, pumpPower } = require("../seawater-hydraulics");
+
+
+/**
+ * Asserts that a value matches a reference within a relative tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} rtol - Relative tolerance [-]
+ */
+function assertClose(actual, expected, rtol) {
+    assert.ok(Math.abs(actual - expected) <= rtol * Math.abs(expected),
+        "expected " + expected + ", got " + actual + " (rtol " + rtol + ")");
+}
+
+const flow = { flowRate: 0.2, T: 20, S: 35 };
+
+test("frictionFactor solves the Colebrook equation", () => {
+    assertClose(frictionFactor(1e5, 1e-4), 0.01851, 1e-3);
+    assertClose(frictionFactor(1000), 0.064, 1e-12);
+
+    const f = frictionFactor(1e6, 1e-3);
+    assertClose(1 / Math.sqrt(f), -2 * Math.log10(1e-3 / 3.7 + 2.51 / (1e6 * Math.sqrt(f))), 1e-10);
+});
+
+test("a pipe drop combines friction, minor losses and elevation", () => {
+    const pipe = pipeNetwork({ diameter: 0.3, length: 100, roughness: 3e-5, K: 2, elevation: 5 }, flow);
+    const rho = seawater.SW_Density(20, 35, 0.101325);
+    const V = 0.2 / (Math.PI * 0.09 / 4);
+    const dynamic = rho * V * V / 2;
+
+    assertClose(pipe.velocity, V, 1e-12);
+    assertClose(pipe.Re, rho * V * 0.3 / seawater.SW_Viscosity(20, 35), 1e-12);
+    assertClose(pipe.f, frictionFactor(pipe.Re, 1e-4), 1e-12);
+    assertClose(pipe.pressureDrop * 1e6, (pipe.f * 100 / 0.3 + 2) * dynamic + rho * 9.80665 * 5, 1e-12);
+    assertClose(pipe.pumpPower, pumpPower(0.2, pipe.pressureDrop), 1e-12);
+});
+
+test("series segments carry the same flow and add their drops", () => {
+    const line = pipeNetwork({ series: [{ diameter: 0.3, length: 100 }, { diameter: 0.2, length: 40 }] }, flow);
+
+    assert.equal(line.segments.length, 2);
+    for (const segment of line.segments) {
+        assert.equal(segment.flowRate, 0.2);
+    }
+    assertClose(line.pressureDrop, line.segments[0].pressureDrop + line.segments[1].pressureDrop, 1e-12);
+});
+
+test("parallel branches share the flow at equal pressure drops", () => {
+    const net = pipeNetwork({ parallel: [
+        { diameter: 0.3, length: 50 },
+        { diameter: 0.2, length: 60, K: 1 },
+        { diameter: 0.25, length: 20, elevation: 0.5 }
+    ] }, flow);
+
+    let total = 0;
+    for (const branch of net.branches) {
+        assert.ok(branch.flowRate > 0);
+        assertClose(branch.pressureDrop, net.pressureDrop, 1e-6);
+        total += branch.flowRate;
+    }
+    assertClose(total, 0.2, 1e-6);
+});
+
+test("a branch whose static head exceeds the common drop carries no flow", () => {
+    const net = pipeNetwork({ parallel: [{ diameter: 0.3, length: 50 }, { diameter: 0.2, length: 60, elevation: 1 }] },
+        flow);
+
+    assertClose(net.branches[0].flowRate, 0.2, 1e-6);
+    assert.equal(net.branches[1].flowRate, 0);
+    assert.ok(net.branches[1].pressureDrop > net.pressureDrop);
+});
+
+test("pipeNetwork rejects malformed input", () => {
+    assert.throws(() => pipeNetwork({ diameter: 0.3, length: 10 }, { ...flow, flowRate: -1 }), /non-negative/);
+    assert.throws(() => pipeNetwork({ diameter: 0, length: 10 }, flow), /diameter must be positive/);
+
+    // A branch without friction takes any flow at its static head, so no common drop exists
+    assert.throws(() => pipeNetwork({ parallel: [{ diameter: 0.3, length: 0, elevation: -5 }, { diameter: 0.3, length: 10 }] },
+        { ...flow, flowRate: 0.1 }), /No finite flow/);
+});
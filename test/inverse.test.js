@@ -0,0 +1,66 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - INVERSE FUNCTION TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+
+
+/**
+ * Asserts that a value matches a reference within an absolute tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} atol - Absolute tolerance
+ */
+function assertNear(actual, expected, atol) {
+    assert.ok(Math.abs(actual - expected) <= atol,
+        "expected " + expected + ", got " + actual + " (atol " + atol + ")");
+}
+
+/**
+ * Calls a function at every liquid state of a grid
+ * @param {Array<number>} temperatures - Temperatures [°C]
+ * @param {Array<number>} salinities - Salinities [g/kg]
+ * @param {Array<number>} pressures - Pressures [MPa]
+ * @param {function(number, number, number): void} callback - Called with (T, S, P)
+ */
+function forEachLiquidState(temperatures, salinities, pressures, callback) {
+    for (const T of temperatures) {
+        for (const S of salinities) {
+            for (const P of pressures) {
+                if (P >= seawater.SW_Psat(T, S) / 1e6) {
+                    callback(T, S, P);
+                }
+            }
+        }
+    }
+}
+
+test("SW_T_from_h inverts SW_Enthalpy", () => {
+    forEachLiquidState([10, 25, 60, 99, 119], [0, 35, 120], [0.101325, 1, 12], (T, S, P) => {
+        assertNear(seawater.SW_T_from_h(seawater.SW_Enthalpy(T, S, P), S, P), T, 1e-8);
+    });
+});
+
+test("SW_T_from_s inverts SW_Entropy", () => {
+    forEachLiquidState([10, 25, 60, 99, 119], [0, 35, 120], [0.101325, 1, 12], (T, S, P) => {
+        assertNear(seawater.SW_T_from_s(seawater.SW_Entropy(T, S, P), S, P), T, 1e-8);
+    });
+});
+
+test("SW_S_from_rho inverts SW_Density", () => {
+    forEachLiquidState([0, 25, 90, 170], [0, 35, 150], [1, 12], (T, S, P) => {
+        assertNear(seawater.SW_S_from_rho(seawater.SW_Density(T, S, P), T, P), S, 1e-8);
+    });
+});
+
+test("Inverse functions reject property values outside the range at the given state", () => {
+    const rejects = (fn, variable) => assert.throws(fn, err =>
+        err instanceof seawater.SeawaterRangeError && err.variable === variable);
+
+    rejects(() => seawater.SW_T_from_h(1e7, 35, 0.101325), "h");
+    rejects(() => seawater.SW_T_from_s(-1e4, 35, 0.101325), "s");
+    rejects(() => seawater.SW_S_from_rho(2000, 25, 0.101325), "rho");
+});
@@ -0,0 +1,59 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - LOOKUP TABLE TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { createLookup } = require("../seawater-lookup");
+
+
+/**
+ * Reproducible pseudo-random numbers in [0, 1) (linear congruential generator)
+ * @param {number} seed - Initial state, an integer
+ * @returns {function(): number} Generator
+ */
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+test("Lookup tables meet the tolerance against the exact functions at random points", () => {
+    const box = { T: [10, 90], S: [30, 45], P: [0.1, 1] };
+    const tolerance = 1e-6;
+    const lookup = createLookup(Object.assign({ functions: ["SW_Density", "SW_SpcHeat", "SW_BPE"], tolerance }, box));
+    const next = random(12345);
+
+    for (const fnName of Object.keys(lookup.functions)) {
+        const { maxError } = lookup.tables[fnName];
+        assert.ok(maxError <= tolerance, fnName + " reports a maximum error of " + maxError);
+
+        for (let i = 0; i < 500; i++) {
+            const T = box.T[0] + next() * (box.T[1] - box.T[0]);
+            const S = box.S[0] + next() * (box.S[1] - box.S[0]);
+            const P = box.P[0] + next() * (box.P[1] - box.P[0]);
+            const exact = seawater[fnName](T, S, P);
+            const error = Math.abs(lookup.functions[fnName](T, S, P) - exact) / Math.abs(exact);
+            assert.ok(error <= tolerance, fnName + "(" + T + ", " + S + ", " + P + "): relative error " + error);
+        }
+    }
+});
+
+test("Lookup tables pass points outside the box to the exact function", () => {
+    const lookup = createLookup({ functions: ["SW_Density"], T: [10, 90], S: [30, 45], P: 0.101325 });
+
+    assert.equal(lookup.functions.SW_Density(5, 35, 0.101325), seawater.SW_Density(5, 35, 0.101325));
+    assert.equal(lookup.functions.SW_Density(25, 35, 1), seawater.SW_Density(25, 35, 1));
+});
+
+test("Lookup tables of a function that is zero in the box are finite", () => {
+    const lookup = createLookup({ functions: ["SW_BPE"], T: [10, 90], S: 0 });
+
+    assert.equal(lookup.tables.SW_BPE.maxError, 0);
+    assert.equal(lookup.tables.SW_BPE.nodes.T, 8);
+    assert.equal(lookup.functions.SW_BPE(33.3, 0), 0);
+});
@@ -0,0 +1,74 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - MULTI-EFFECT DISTILLATION TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { medPlant } = require("../seawater-med");
+
+
+/**
+ * Asserts that a value matches a reference within a relative tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} rtol - Relative tolerance [-]
+ */
+function assertClose(actual, expected, rtol) {
+    assert.ok(Math.abs(actual - expected) <= rtol * Math.abs(expected),
+        "expected " + expected + ", got " + actual + " (rtol " + rtol + ")");
+}
+
+// Plant of the medPlant documentation example
+const EXAMPLE = { effects: 8, steamTemperature: 70, lastEffectTemperature: 40,
+    feedSalinity: 42, feedTemperature: 35, distillate: 100, brineSalinity: 70 };
+
+test("medPlant gives the GOR of the documented example with forward and parallel feed", () => {
+    const forward = medPlant(EXAMPLE);
+    const parallel = medPlant(Object.assign({ feed: "parallel" }, EXAMPLE));
+
+    assertClose(forward.GOR, 4.6812, 1e-4);
+    assertClose(parallel.GOR, 5.4001, 1e-4);
+
+    // Without feed preheaters, forward feed heats the whole feed in the first effect
+    assert.ok(parallel.GOR > forward.GOR);
+    assert.ok(forward.GOR < EXAMPLE.effects);
+
+    for (const plant of [forward, parallel]) {
+        assertClose(plant.performanceRatio, plant.GOR * 2326e3 / seawater.SW_LatentHeat(70, 0), 1e-12);
+    }
+});
+
+test("medPlant sizes every effect with the same heat transfer area", () => {
+    for (const feed of ["forward", "parallel"]) {
+        const plant = medPlant(Object.assign({ feed }, EXAMPLE));
+        const mean = plant.area / EXAMPLE.effects;
+
+        assert.equal(plant.effects.length, EXAMPLE.effects);
+        for (const effect of plant.effects) {
+            assertClose(effect.area, mean, 1e-5);
+        }
+        assertClose(plant.specificArea, plant.area / EXAMPLE.distillate, 1e-12);
+        assert.equal(plant.effects[EXAMPLE.effects - 1].T, EXAMPLE.lastEffectTemperature);
+    }
+});
+
+test("medPlant closes the mass and salt balances", () => {
+    for (const feed of ["forward", "parallel"]) {
+        const plant = medPlant(Object.assign({ feed }, EXAMPLE));
+        const vapor = plant.effects.reduce((total, effect) => total + effect.vapor, 0);
+        const fed = plant.effects.reduce((total, effect) => total + effect.feed, 0);
+
+        assertClose(vapor, EXAMPLE.distillate, 1e-9);
+        assertClose(fed, plant.feedFlow, 1e-9);
+        assertClose(plant.feedFlow - plant.brineFlow, EXAMPLE.distillate, 1e-12);
+        assertClose(plant.brineFlow * plant.brineSalinity, plant.feedFlow * EXAMPLE.feedSalinity, 1e-9);
+    }
+});
+
+test("medPlant rejects inconsistent specifications", () => {
+    assert.throws(() => medPlant(Object.assign({}, EXAMPLE, { effects: 2.5 })), /positive integer/);
+    assert.throws(() => medPlant(Object.assign({}, EXAMPLE, { feed: "backward" })), /forward/);
+    assert.throws(() => medPlant(Object.assign({}, EXAMPLE, { brineSalinity: 40 })), /above the feed salinity/);
+});
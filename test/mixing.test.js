@@ -0,0 +1,64 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - ADIABATIC MIXING TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { mix } = require("../seawater-mixing");
+
+
+/**
+ * Asserts that a value matches a reference within an absolute tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} atol - Absolute tolerance
+ */
+function assertNear(actual, expected, atol) {
+    assert.ok(Math.abs(actual - expected) <= atol,
+        "expected " + expected + ", got " + actual + " (atol " + atol + ")");
+}
+
+test("mix closes the mass, salt and energy balances", () => {
+    const streams = [{ massFlow: 10, T: 40, S: 70 }, { massFlow: 90, T: 20, S: 35 }];
+    const blend = mix(streams, 0.101325);
+
+    assert.equal(blend.massFlow, 100);
+    assertNear(blend.S, (10 * 70 + 90 * 35) / 100, 1e-12);
+    assertNear(blend.h, (10 * seawater.SW_Enthalpy(40, 70, 0.101325) + 90 * seawater.SW_Enthalpy(20, 35, 0.101325)) / 100, 1e-9);
+    assert.equal(blend.P, 0.101325);
+    assert.equal(blend.inRange, true);
+});
+
+test("mix takes the temperature from the mixed enthalpy", () => {
+    const blend = mix([{ massFlow: 10, T: 40, S: 70 }, { massFlow: 90, T: 20, S: 35 }], 0.101325);
+
+    assertNear(seawater.SW_Enthalpy(blend.T, blend.S, blend.P), blend.h, 1e-6);
+    assert.equal(blend.rho, seawater.SW_Density(blend.T, blend.S, blend.P));
+
+    // Close to the mass-weighted temperature, as cp varies little
+    assertNear(blend.T, (10 * 40 + 90 * 20) / 100, 0.2);
+});
+
+test("Mixing equal streams leaves the state unchanged", () => {
+    const blend = mix([{ massFlow: 3, T: 55, S: 42 }, { massFlow: 7, T: 55, S: 42 }, { massFlow: 0, T: 5, S: 0 }], 1);
+
+    assertNear(blend.T, 55, 1e-8);
+    assert.equal(blend.S, 42);
+    assert.equal(blend.massFlow, 10);
+});
+
+test("mix flags a mixture outside the enthalpy range instead of throwing", () => {
+    // The mixture ends up just below the 10 °C limit of SW_Enthalpy
+    const blend = mix([{ massFlow: 1, T: 10, S: 35 }, { massFlow: 1, T: 10, S: 0 }], 0.101325);
+
+    assert.equal(blend.S, 17.5);
+    assert.ok(blend.T < 10 && blend.T > 9.9, "T = " + blend.T);
+    assert.equal(blend.inRange, false);
+});
+
+test("mix rejects negative and zero total mass flows", () => {
+    assert.throws(() => mix([{ massFlow: -1, T: 20, S: 35 }]), /non-negative/);
+    assert.throws(() => mix([{ massFlow: 0, T: 20, S: 35 }]), /positive total mass flow/);
+});
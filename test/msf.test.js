@@ -0,0 +1,66 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - MULTI-STAGE FLASH TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { msfPlant } = require("../seawater-msf");
+
+
+/**
+ * Asserts that a value matches a reference within a relative tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} rtol - Relative tolerance [-]
+ */
+function assertClose(actual, expected, rtol) {
+    assert.ok(Math.abs(actual - expected) <= rtol * Math.abs(expected),
+        "expected " + expected + ", got " + actual + " (rtol " + rtol + ")");
+}
+
+// Plant of the msfPlant documentation example
+const EXAMPLE = { topBrineTemperature: 110, bottomBrineTemperature: 40, stages: 20,
+    feedSalinity: 42, feedFlow: 1000, seawaterTemperature: 30 };
+
+test("msfPlant gives the GOR and recovery of the documented example", () => {
+    const plant = msfPlant(EXAMPLE);
+
+    assertClose(plant.GOR, 6.3743, 1e-4);
+    assertClose(plant.recovery, 0.11323, 1e-4);
+
+    // Flashing brine loses dM / M = -cp dT / hfg, so 70 K evaporate 1 - exp(-cp * 70 K / hfg) of it
+    const estimate = 1 - Math.exp(-seawater.SW_SpcHeat(75, 45, 0.101325) * 70 / seawater.SW_LatentHeat(75, 0));
+    assertClose(plant.recovery, estimate, 0.02);
+});
+
+test("msfPlant closes the mass, salt and energy balances", () => {
+    const plant = msfPlant(EXAMPLE);
+    const P = seawater.SW_Psat(110, 0) / 1e6;
+
+    assertClose(plant.distillate + plant.brineFlow, EXAMPLE.feedFlow, 1e-12);
+    assertClose(plant.brineFlow * plant.brineSalinity, EXAMPLE.feedFlow * EXAMPLE.feedSalinity, 1e-12);
+    assertClose(plant.stages.reduce((total, stage) => total + stage.distillate, 0), plant.distillate, 1e-12);
+    assertClose(plant.heatInput, EXAMPLE.feedFlow * (seawater.SW_Enthalpy(110, 42, P) -
+        seawater.SW_Enthalpy(plant.feedTemperature, 42, P)), 1e-9);
+    assertClose(plant.steamFlow * seawater.SW_LatentHeat(115, 0), plant.heatInput, 1e-12);
+    assertClose(plant.specificHeatConsumption, plant.heatInput / plant.distillate, 1e-12);
+});
+
+test("msfPlant flashes the brine in equal temperature steps", () => {
+    const plant = msfPlant(EXAMPLE);
+
+    assert.equal(plant.stages.length, 20);
+    plant.stages.forEach((stage, i) => {
+        assertClose(stage.T, 110 - 3.5 * (i + 1), 1e-12);
+        assert.ok(stage.vaporTemperature < stage.T);
+        assert.ok(stage.feedTemperature < stage.vaporTemperature);
+    });
+});
+
+test("msfPlant rejects inconsistent specifications", () => {
+    assert.throws(() => msfPlant(Object.assign({}, EXAMPLE, { stages: 0 })), /positive integer/);
+    assert.throws(() => msfPlant(Object.assign({}, EXAMPLE, { bottomBrineTemperature: 120 })), /above the bottom/);
+    assert.throws(() => msfPlant(Object.assign({}, EXAMPLE, { seawaterTemperature: 45 })), /below the bottom/);
+});
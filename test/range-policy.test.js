@@ -0,0 +1,104 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - OUT-OF-RANGE POLICY TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+
+
+/**
+ * Evaluates SW_Viscosity under a range policy and collects its warnings
+ * @param {string} mode - Range policy mode
+ * @param {number} T - Temperature [°C] (ITS-90)
+ * @param {number} S - Salinity [g/kg] (reference-composition salinity)
+ * @returns {{value: number, warnings: Array<SeawaterRangeError>}} Result and warnings received
+ */
+function viscosityUnder(mode, T, S) {
+    const warnings = [];
+    const value = seawater.withRangePolicy({ mode, onWarning: err => warnings.push(err) },
+        () => seawater.SW_Viscosity(T, S));
+    return { value, warnings };
+}
+
+/**
+ * Asserts that a warning describes the temperature limit of SW_Viscosity at 180 °C
+ * @param {SeawaterRangeError} err - Warning received
+ * @param {number} T - Offending temperature [°C]
+ */
+function assertTemperatureWarning(err, T) {
+    assert.ok(err instanceof seawater.SeawaterRangeError);
+    assert.equal(err.functionName, "SW_Viscosity");
+    assert.equal(err.variable, "T");
+    assert.equal(err.value, T);
+    assert.equal(err.min, 0);
+    assert.equal(err.max, 180);
+}
+
+test("The default policy throws", () => {
+    assert.equal(seawater.getRangePolicy().mode, "throw");
+    assert.throws(() => seawater.SW_Viscosity(200, 35), seawater.SeawaterRangeError);
+    assert.throws(() => viscosityUnder("throw", 200, 35), seawater.SeawaterRangeError);
+});
+
+test("The nan policy returns NaN without a warning", () => {
+    const { value, warnings } = viscosityUnder("nan", 200, 35);
+
+    assert.ok(Number.isNaN(value));
+    assert.equal(warnings.length, 0);
+});
+
+test("The clamp policy evaluates at the nearest bound and warns", () => {
+    const { value, warnings } = viscosityUnder("clamp", 200, 35);
+
+    assert.equal(value, seawater.SW_Viscosity(180, 35));
+    assert.equal(warnings.length, 1);
+    assertTemperatureWarning(warnings[0], 200);
+});
+
+test("The extrapolate policy evaluates at the offending input and warns", () => {
+    const { value, warnings } = viscosityUnder("extrapolate", 180.5, 35);
+    const linear = 2 * seawater.SW_Viscosity(180, 35) - seawater.SW_Viscosity(179.5, 35);
+
+    assert.ok(Math.abs(value - linear) < 1e-4 * linear, "expected about " + linear + ", got " + value);
+    assert.notEqual(value, seawater.SW_Viscosity(180, 35));
+    assert.equal(warnings.length, 1);
+    assertTemperatureWarning(warnings[0], 180.5);
+});
+
+test("Points inside the envelope give no warning under any policy", () => {
+    for (const mode of ["throw", "nan", "clamp", "extrapolate"]) {
+        const { value, warnings } = viscosityUnder(mode, 25, 35);
+        assert.equal(value, seawater.SW_Viscosity(25, 35), mode);
+        assert.equal(warnings.length, 0, mode);
+    }
+});
+
+test("setRangePolicy returns the previous policy and rejects unknown modes", () => {
+    const previous = seawater.setRangePolicy("nan");
+    try {
+        assert.equal(previous.mode, "throw");
+        assert.equal(seawater.getRangePolicy().mode, "nan");
+        assert.ok(Number.isNaN(seawater.SW_Viscosity(200, 35)));
+    } finally {
+        seawater.setRangePolicy(previous);
+    }
+
+    assert.deepEqual(seawater.getRangePolicy(), previous);
+    assert.throws(() => seawater.setRangePolicy("ignore"), /Unknown out-of-range policy/);
+    assert.deepEqual(seawater.getRangePolicy(), previous);
+});
+
+test("withRangePolicy restores the previous policy when the callback throws", () => {
+    const before = seawater.getRangePolicy();
+
+    assert.throws(() => seawater.withRangePolicy("clamp", () => {
+        throw new Error("callback failed");
+    }), /callback failed/);
+    assert.equal(seawater.getRangePolicy(), before);
+
+    assert.throws(() => seawater.withRangePolicy("nan", () => seawater.withRangePolicy("throw",
+        () => seawater.SW_Viscosity(200, 35))), seawater.SeawaterRangeError);
+    assert.equal(seawater.getRangePolicy(), before);
+});
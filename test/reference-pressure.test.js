@@ -0,0 +1,78 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - REFERENCE PRESSURE TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+
+
+/**
+ * Asserts that a value matches a reference within a relative tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} rtol - Relative tolerance [-]
+ */
+function assertClose(actual, expected, rtol) {
+    assert.ok(Math.abs(actual - expected) <= rtol * Math.abs(expected),
+        "expected " + expected + ", got " + actual + " (rtol " + rtol + ")");
+}
+
+// Values pinned before P_sat was reused for the reference pressure P0, on both sides of
+// T = 100 C, where P0 switches from 0.101325 MPa to the vapor pressure
+const REFERENCE = {
+    SW_Density: [
+        [[25, 35, 0.101325], 1023.5848378362388],
+        [[99, 40, 0.2], 988.5967740344663],
+        [[100, 40, 0.2], 987.8971221018605],
+        [[120, 100, 1], 1018.4524830237543],
+        [[170, 120, 5], 995.3003705767342]
+    ],
+    SW_Enthalpy: [
+        [[25, 35, 0.101325], 99765.5407344375],
+        [[99, 40, 0.2], 394625.55451856024],
+        [[100, 40, 0.2], 398624.84233144275],
+        [[120, 100, 1], 441290.3134266534]
+    ],
+    SW_Entropy: [
+        [[25, 35, 0.101325], 349.8458411535188],
+        [[100, 40, 0.2], 1242.118698675614],
+        [[120, 100, 1], 1309.7750234615235]
+    ],
+    SW_Gibbs: [
+        [[25, 35, 0.101325], -4432.924930833252],
+        [[100, 40, 0.2], -64666.821124418406],
+        [[120, 100, 1], -73610.11899583424]
+    ],
+    SW_IsobExp: [
+        [[25, 35, 0.101325], 0.0002842636337509652],
+        [[100, 40, 0.2], 0.0007110498042109798],
+        [[150, 40, 1], 0.000939015198066497]
+    ],
+    SW_SpcHeat: [
+        [[99, 40, 0.2], 4019.6044951097297],
+        [[120, 100, 1], 3773.1202438785353]
+    ],
+    SW_ChemPot_w: [
+        [[25, 35, 0.101325], -7149.069451687497]
+    ],
+    SW_ChemPot_s: [
+        [[25, 35, 0.101325], 70455.05971557664]
+    ],
+    SW_SChemPot_s: [
+        [[25, 35, 0.101325], 2465927.0900451825]
+    ]
+};
+
+for (const fnName of Object.keys(REFERENCE)) {
+    test(fnName + " is unchanged by reusing P_sat for the reference pressure", () => {
+        for (const [args, value] of REFERENCE[fnName]) {
+            assertClose(seawater[fnName](...args), value, 1e-12);
+        }
+    });
+}
+
+test("SW_Density still rejects pressures below P_sat", () => {
+    assert.throws(() => seawater.SW_Density(150, 40, 0.101325), seawater.SeawaterRangeError);
+});
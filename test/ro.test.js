@@ -0,0 +1,24 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - REVERSE OSMOSIS TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ro = require("../seawater-ro");
+const { leastWork } = require("../seawater-separation");
+
+
+test("minimumWork is still exported as an alias of leastWork", () => {
+    assert.equal(typeof ro.minimumWork, "function");
+    assert.equal(ro.minimumWork(25, 35, 0.5), leastWork(25, 35, 0.5));
+    assert.equal(ro.minimumWork(25, 35, 0.4, 0.2), leastWork(25, 35, 0.4, 0.2));
+});
+
+test("roVessel reports the least work of its recovery", () => {
+    const vessel = ro.roVessel({ massFlow: 3, T: 25, S: 35, P: 6.5 });
+    const W_min = leastWork(25, 35, vessel.recovery, vessel.permeate.S) / 3.6e6;
+
+    assert.ok(Math.abs(vessel.minimumWork - W_min) <= 1e-9 * W_min);
+    assert.ok(vessel.minimumWork < vessel.specificEnergy);
+});
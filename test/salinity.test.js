@@ -0,0 +1,39 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - SALINITY CONVERSION TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+
+
+/**
+ * Asserts that a value matches a reference within a relative tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} rtol - Relative tolerance [-]
+ */
+function assertClose(actual, expected, rtol) {
+    assert.ok(Math.abs(actual - expected) <= rtol * Math.abs(expected),
+        "expected " + expected + ", got " + actual + " (rtol " + rtol + ")");
+}
+
+test("SW_SP_from_R gives S_P = 35 for R = 1 at 15 C and atmospheric pressure", () => {
+    assertClose(seawater.SW_SP_from_R(1, 15, 0.101325), 35, 1e-4);
+});
+
+test("SW_SP_from_R and SW_R_from_SP are inverse", () => {
+    for (const SP of [2, 10, 35, 42]) {
+        assertClose(seawater.SW_SP_from_R(seawater.SW_R_from_SP(SP, 10, 5), 10, 5), SP, 1e-10);
+    }
+});
+
+test("Negative conductivities are rejected instead of returning NaN", () => {
+    const rejectsR = fn => assert.throws(fn, err =>
+        err instanceof seawater.SeawaterRangeError && err.variable === "R");
+
+    rejectsR(() => seawater.SW_SP_from_R(-0.1, 0, 1));
+    rejectsR(() => seawater.SW_S_from_C(-1, 0, 1));
+    assert.ok(Number.isNaN(seawater.withRangePolicy("nan", () => seawater.SW_SP_from_R(-0.1, 0, 1))));
+});
@@ -0,0 +1,60 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - LEAST WORK OF SEPARATION TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { leastWork, separationAnalysis } = require("../seawater-separation");
+
+
+/**
+ * Asserts that a value matches a reference within a relative tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} rtol - Relative tolerance [-]
+ */
+function assertClose(actual, expected, rtol) {
+    assert.ok(Math.abs(actual - expected) <= rtol * Math.abs(expected),
+        "expected " + expected + ", got " + actual + " (rtol " + rtol + ")");
+}
+
+test("leastWork of seawater at 50 % recovery is about 1.02 kWh/m^3", () => {
+    assertClose(leastWork(25, 35, 0.5) / 3.6e6, 1.02, 0.005);
+});
+
+test("leastWork tends to the osmotic pressure of the feed at zero recovery", () => {
+    assertClose(leastWork(25, 35, 1e-6), seawater.SW_OsmPress(25, 35) * 1e6, 0.01);
+});
+
+test("leastWork grows with recovery and falls with product salinity", () => {
+    assert.ok(leastWork(25, 35, 0.3) < leastWork(25, 35, 0.5));
+    assert.ok(leastWork(25, 35, 0.5) < leastWork(25, 35, 0.7));
+    assert.ok(leastWork(25, 35, 0.5, 0.5) < leastWork(25, 35, 0.5));
+});
+
+test("separationAnalysis gives the least heat and second-law efficiency", () => {
+    const work = 3.5 * 3.6e6;
+    const sep = separationAnalysis({ T: 25, feedSalinity: 35, recovery: 0.5, work, heatSourceTemperature: 100 });
+    const carnot = 1 - 298.15 / 373.15;
+
+    assert.equal(sep.brineSalinity, 70);
+    assert.equal(sep.leastWork, leastWork(25, 35, 0.5));
+    assertClose(sep.leastHeat, sep.leastWork / carnot, 1e-12);
+    assertClose(sep.secondLawEfficiency, sep.leastWork / work, 1e-12);
+
+    const thermal = separationAnalysis({ T: 25, feedSalinity: 35, recovery: 0.5, heat: 2 * sep.leastHeat, heatSourceTemperature: 100 });
+    assertClose(thermal.secondLawEfficiency, 0.5, 1e-12);
+
+    const bare = separationAnalysis({ T: 25, feedSalinity: 35, recovery: 0.5 });
+    assert.equal(bare.leastHeat, null);
+    assert.equal(bare.secondLawEfficiency, null);
+});
+
+test("separationAnalysis rejects inconsistent specifications", () => {
+    assert.throws(() => leastWork(25, 35, 1), /Recovery ratio/);
+    assert.throws(() => leastWork(25, 35, 0.5, 40), /Product salinity/);
+    assert.throws(() => separationAnalysis({ T: 25, feedSalinity: 35, recovery: 0.5, heat: 1e6 }), /Heat source temperature is required/);
+    assert.throws(() => separationAnalysis({ T: 25, feedSalinity: 35, recovery: 0.5, heatSourceTemperature: 20 }), /above the feed temperature/);
+});
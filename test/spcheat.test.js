@@ -0,0 +1,49 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - SPECIFIC HEAT TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+
+
+/**
+ * Asserts that a value matches a reference within a relative tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} rtol - Relative tolerance [-]
+ */
+function assertClose(actual, expected, rtol) {
+    assert.ok(Math.abs(actual - expected) <= rtol * Math.abs(expected),
+        "expected " + expected + ", got " + actual + " (rtol " + rtol + ")");
+}
+
+test("SW_SpcHeat evaluates the Jamieson correlation in Kelvin", () => {
+    // Pinned values of the correlation at T_68 = 1.00024 (T + 273.15)
+    const reference = [
+        [[0, 0, 0.101325], 4206.856192219042],
+        [[20, 0, 0.101325], 4189.384559127635],
+        [[25, 35, 0.101325], 4001.627131305747],
+        [[60, 70, 1], 3856.993355615321],
+        [[100, 40, 0.2], 4020.6305771277916],
+        [[150, 40, 1], 4104.451119648937],
+        [[170, 120, 5], 3785.088022900422]
+    ];
+
+    for (const [args, cp] of reference) {
+        assertClose(seawater.SW_SpcHeat(...args), cp, 1e-12);
+    }
+});
+
+test("SW_SpcHeat agrees with the specific heat of pure water", () => {
+    // IAPWS-95: 4184 J/kg-K at 20 C; the correlation is within 0.2 %
+    assertClose(seawater.SW_SpcHeat(20, 0, 0.101325), 4184, 2e-3);
+});
+
+test("SW_Prandtl and SW_Diffusivity use the corrected specific heat", () => {
+    assertClose(seawater.SW_Prandtl(25, 35), 6.303004596556831, 1e-12);
+    assertClose(seawater.SW_Diffusivity(25, 35), 1.4861462026959172e-7, 1e-12);
+    assertClose(seawater.SW_Prandtl(80, 120), 2.7016880154864427, 1e-12);
+    assertClose(seawater.SW_Diffusivity(80, 120), 1.701868785515068e-7, 1e-12);
+});
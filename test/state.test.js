@@ -0,0 +1,63 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - STATE OBJECT TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { PROPERTIES, SeawaterState, state } = require("../seawater-state");
+
+
+test("SeawaterState properties equal the SW_* functions", () => {
+    const st = state(25, 35, 0.5);
+
+    assert.ok(st instanceof SeawaterState);
+    assert.equal(st.rho, seawater.SW_Density(25, 35, 0.5));
+    assert.equal(st.h, seawater.SW_Enthalpy(25, 35, 0.5));
+    assert.equal(st.cp, seawater.SW_SpcHeat(25, 35, 0.5));
+    assert.equal(st.Tsat, seawater.SW_Tsat(0.5, 35));
+    assert.equal(st.Pr, seawater.SW_Prandtl(25, 35));
+});
+
+test("SeawaterState computes each property once", t => {
+    const density = t.mock.method(seawater, "SW_Density");
+    const st = state(25, 35, 0.101325);
+
+    const rho = st.rho;
+    assert.equal(st.rho, rho);
+    assert.equal(st.v, 1 / rho);
+    assert.ok(Number.isFinite(st.u));
+    assert.equal(density.mock.callCount(), 1);
+});
+
+test("The reference state is at P0", () => {
+    const atmospheric = state(25, 35, 0.101325);
+    assert.equal(atmospheric.reference, atmospheric);
+
+    const compressed = state(25, 35, 5);
+    assert.equal(compressed.reference.P, 0.101325);
+    assert.equal(compressed.reference.T, 25);
+    assert.equal(compressed.reference, compressed.reference);
+
+    const hot = state(150, 35, 1);
+    assert.equal(hot.reference.P, seawater.SW_Psat(150, 35) / 1e6);
+});
+
+test("toJSON lists every property, with null for those out of range", () => {
+    const inside = state(25, 35, 0.101325).toJSON();
+    assert.deepEqual(Object.keys(inside), ["T", "S", "P"].concat(Object.keys(PROPERTIES)));
+    assert.ok(Object.values(inside).every(Number.isFinite));
+
+    // The enthalpy correlation ends at 120 °C, the density correlation at 180 °C
+    const hot = state(150, 35, 1).toJSON();
+    assert.equal(hot.h, null);
+    assert.equal(hot.rho, seawater.SW_Density(150, 35, 1));
+    assert.throws(() => state(150, 35, 1).h, seawater.SeawaterRangeError);
+});
+
+test("flowExergy delegates to SW_FlowExergy", () => {
+    assert.equal(state(40, 35, 0.2).flowExergy(), seawater.SW_FlowExergy(40, 35, 0.2));
+    assert.equal(state(40, 35, 0.2).flowExergy(20, 40, 0.101325), seawater.SW_FlowExergy(40, 35, 0.2, 20, 40, 0.101325));
+    assert.equal(state(25, 35, 0.101325).flowExergy(), 0);
+});
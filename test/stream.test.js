@@ -0,0 +1,115 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - STREAMING PROCESSOR TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable, Writable } = require("stream");
+const seawater = require("../seawater-mit");
+const { EXIT, run } = require("../seawater-cli");
+const { PropertyStream, csvField } = require("../seawater-stream");
+
+
+/**
+ * Writable stream collecting its input as text
+ * @returns {Writable} Stream whose text property holds everything written so far
+ */
+function collector() {
+    const sink = new Writable({
+        write(chunk, encoding, callback) {
+            sink.text += chunk.toString();
+            callback();
+        }
+    });
+    sink.text = "";
+    return sink;
+}
+
+/**
+ * Feeds chunks through a property stream and collects the output
+ * @param {Object} options - PropertyStream options
+ * @param {Array<string>} chunks - Input chunks, written one at a time
+ * @returns {Promise<string>} Output text
+ */
+function processChunks(options, chunks) {
+    const sink = collector();
+    return new Promise((resolve, reject) => {
+        Readable.from(chunks).pipe(new PropertyStream(options)).on("error", reject).pipe(sink)
+            .on("finish", () => resolve(sink.text));
+    });
+}
+
+test("csvField quotes fields that contain quotes, delimiters or line breaks", () => {
+    assert.equal(csvField("25"), "25");
+    assert.equal(csvField("a,b"), "\"a,b\"");
+    assert.equal(csvField("say \"hi\""), "\"say \"\"hi\"\"\"");
+    assert.equal(csvField("a;b", ";"), "\"a;b\"");
+    assert.equal(csvField(null), "");
+});
+
+test("PropertyStream appends property and error columns to CSV records", async () => {
+    const out = await processChunks({ properties: { rho: "SW_Density" }, columns: { T: "temp", P: 0.101325 } },
+        ["temp,S\n", "25,35\n", "200,35\n"]);
+    const lines = out.trimEnd().split("\n");
+
+    assert.equal(lines[0], "temp,S,rho,error");
+    assert.equal(lines[1], "25,35," + seawater.SW_Density(25, 35, 0.101325) + ",");
+    assert.match(lines[2], /^200,35,,SW_Density: Temperature is out of range/);
+});
+
+test("PropertyStream parses quoted fields split across chunks", async () => {
+    const out = await processChunks({ properties: ["SW_Density"], columns: { P: 0.101325 } },
+        ["id,T,S\n\"tank", " 1, \"\"east\"\"\",2", "5,3", "5\r\n\"tank\n2\",25,35"]);
+    const lines = out.trimEnd().split("\n");
+    const rho = String(seawater.SW_Density(25, 35, 0.101325));
+
+    assert.equal(lines[1], "\"tank 1, \"\"east\"\"\",25,35," + rho + ",");
+    assert.equal(lines[2] + "\n" + lines[3], "\"tank\n2\",25,35," + rho + ",");
+});
+
+test("PropertyStream reports missing and non-numeric inputs without coercing them", async () => {
+    const out = await processChunks({ properties: ["SW_Density"], columns: { P: 0.101325 }, format: "jsonl" }, [
+        "{\"T\": 25, \"S\": 35}\n",
+        "{\"T\": \" \", \"S\": 35}\n",
+        "{\"T\": true, \"S\": 35}\n",
+        "{\"T\": \"25\", \"S\": [35]}\n",
+        "not json\n"
+    ]);
+    const records = out.trimEnd().split("\n").map(line => JSON.parse(line));
+
+    assert.equal(records[0].SW_Density, seawater.SW_Density(25, 35, 0.101325));
+    assert.equal(records[0].error, null);
+    assert.equal(records[1].SW_Density, null);
+    assert.equal(records[1].error, "SW_Density: missing input T");
+    assert.equal(records[2].error, "SW_Density: input T is not a number: true");
+    assert.equal(records[3].error, "SW_Density: input S is not a number: [35]");
+    assert.deepEqual(records[4], { error: "Line 5 is not a JSON object" });
+});
+
+test("A whitespace-only CSV cell is a missing input", async () => {
+    const out = await processChunks({ properties: ["SW_Density"], columns: { P: 0.101325 }, errorColumn: "status" },
+        ["T,S\n", "  ,35\n"]);
+
+    assert.equal(out.trimEnd().split("\n")[1], "  ,35,,SW_Density: missing input T");
+});
+
+test("The stream command processes standard input", async () => {
+    const stdout = collector();
+    let err = "";
+    const code = await run(["stream", "--properties", "rho=density", "-T", "temp", "-P", "0.101325"], stdout,
+        { write: text => { err += text; } }, Readable.from(["temp,S\n25,35\n"]));
+
+    assert.equal(code, EXIT.OK);
+    assert.equal(err, "");
+    assert.equal(stdout.text, "temp,S,rho,error\n25,35," + seawater.SW_Density(25, 35, 0.101325) + ",\n");
+});
+
+test("The stream command reports an unreadable input file", async () => {
+    let err = "";
+    const code = await run(["stream", "--properties", "density", "--input", "/nonexistent/input.csv"], collector(),
+        { write: text => { err += text; } });
+
+    assert.equal(code, EXIT.EVALUATION_ERROR);
+    assert.match(err, /^Error: ENOENT/);
+});
@@ -0,0 +1,35 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - PROPERTY TABLE TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+const { MARKERS, propertyTable, renderTable } = require("../seawater-tables");
+
+
+test("Table cells keep the requested significant digits", () => {
+    const table = propertyTable({ properties: ["SW_Density"], T: [25], S: [0, 35], P: 0.101325, digits: 5 });
+    const [block] = table.blocks;
+
+    assert.equal(block.scale, 0);
+    assert.equal(block.text[0][0], seawater.SW_Density(25, 0, 0.101325).toFixed(2));
+    assert.equal(block.text[0][1], seawater.SW_Density(25, 35, 0.101325).toFixed(1));
+});
+
+test("Integer digits beyond the significant ones are printed as zeros, also on a carry", () => {
+    const table = propertyTable({ properties: ["SW_Density"], T: [25], S: [0, 35], P: 0.101325, digits: 2 });
+
+    // 997.0 and 1023.3 kg/m3
+    assert.deepEqual(table.blocks[0].text[0], ["1000", "1000"]);
+});
+
+test("Points outside the validity envelope are marked instead of aborting the table", () => {
+    const table = propertyTable({ properties: ["SW_Viscosity"], T: [20, 200], S: [35], P: 0.101325 });
+    const [block] = table.blocks;
+
+    assert.equal(block.scale, -3);
+    assert.equal(block.text[1][0], MARKERS.outOfRange);
+    assert.match(renderTable(table, "markdown"), /10\^-3 kg\/m-s/);
+});
@@ -0,0 +1,55 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - SATURATION TEMPERATURE TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+
+
+/**
+ * Asserts that a value matches a reference within an absolute tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} atol - Absolute tolerance
+ */
+function assertNear(actual, expected, atol) {
+    assert.ok(Math.abs(actual - expected) <= atol,
+        "expected " + expected + ", got " + actual + " (atol " + atol + ")");
+}
+
+test("SW_Tsat of pure water inverts SW_Psat", () => {
+    for (let T = 0; T <= 180; T += 12) {
+        assertNear(seawater.SW_Tsat(seawater.SW_Psat(T, 0) / 1e6, 0), T, 1e-8);
+    }
+    assertNear(seawater.SW_Tsat(0.101325, 0), 100, 0.05);
+});
+
+test("SW_Tsat(P, S) - SW_Tsat(P, 0) equals the boiling point elevation", () => {
+    for (const P of [0.001, 0.01, 0.101325, 0.5, 0.9]) {
+        for (const S of [10, 35, 70, 120]) {
+            const T = seawater.SW_Tsat(P, S);
+            assertNear(T - seawater.SW_Tsat(P, 0), seawater.SW_BPE(T, S), 1e-8);
+        }
+    }
+});
+
+test("SW_Psat reproduces the pressure at SW_Tsat to within the documented 0.35 K", () => {
+    for (const S of [35, 70, 120]) {
+        for (let T = 2; T <= 180; T += 8) {
+            assertNear(seawater.SW_Tsat(seawater.SW_Psat(T, S) / 1e6, S), T, 0.35);
+        }
+    }
+});
+
+test("SW_Tsat rejects pressures at which seawater would boil above 180 °C", () => {
+    for (const S of [0, 35, 120]) {
+        const P_max = seawater.getValidity("SW_Tsat", { S }).limits.P.max;
+
+        assertNear(seawater.SW_Tsat(P_max, S), 180, 1e-8);
+        assert.throws(() => seawater.SW_Tsat(P_max * 1.001, S), err =>
+            err instanceof seawater.SeawaterRangeError && err.variable === "P" && err.max === P_max);
+        assert.equal(seawater.isValid("SW_Tsat", P_max * 1.001, S), false);
+    }
+});
@@ -0,0 +1,36 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - UNIT CONVERSION TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const units = require("../seawater-units");
+
+
+/**
+ * Asserts that a value matches a reference within a relative tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} rtol - Relative tolerance [-]
+ */
+function assertClose(actual, expected, rtol) {
+    assert.ok(Math.abs(actual - expected) <= rtol * Math.abs(expected),
+        "expected " + expected + ", got " + actual + " (rtol " + rtol + ")");
+}
+
+test("convert treats temperature units as absolute temperatures by default", () => {
+    assertClose(units.convert(77, "degF", "degC"), 25, 1e-12);
+    assertClose(units.convert(300, "K", "degC"), 26.85, 1e-12);
+    assertClose(units.convert(25, "degC", "degR"), 536.67, 1e-12);
+});
+
+test("convert converts temperature differences when asked to", () => {
+    assertClose(units.convert(9, "degF", "K", "temperatureDifference"), 5, 1e-12);
+    assertClose(units.convert(1, "degC", "degR", "temperatureDifference"), 1.8, 1e-12);
+});
+
+test("convert still rejects units shared by unrelated quantities", () => {
+    assert.throws(() => units.convert(1, "ppm", "mg/kg"), /ambiguous/);
+    assert.equal(units.convert(35000, "ppm", "g/kg", "salinity"), 35);
+});
@@ -0,0 +1,86 @@
+/**
+ * SEAWATER THERMOPHYSICAL PROPERTIES LIBRARY - VALIDITY ENVELOPE TESTS
+ * https://github.com/tobony/seawater-MIT-js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const seawater = require("../seawater-mit");
+
+
+// Sample values of every argument, on, inside and outside the limits of the functions that take it
+const SAMPLES = {
+    T: [-5, 0, 10, 25, 40, 80, 85, 100, 120, 150, 180, 200, 210],
+    S: [-1, 0, 0.1, 35, 42, 45, 120, 150, 160, 250],
+    P: [0.0005, 0.005, 0.101325, 0.2, 1, 12, 13, 100, 101],
+    T0: [5, 10, 25, 50, 85],
+    S0: [0, 0.1, 35, 50, 121],
+    P0: [0.001, 0.01, 0.101325, 1, 13],
+    SP: [-1, 0, 1, 2, 35, 42, 45],
+    R: [-0.1, 0, 0.05, 0.5, 1, 1.5, 3],
+    C: [-1, 0, 1, 30, 60, 100, 200],
+    mgL: [-1, 0, 1e3, 35000, 1.5e5, 2e5],
+    ppm: [-1, 0, 35000, 1e6, 2e6],
+    rho: [900, 990, 1000, 1024, 1100, 1200],
+    h: [-1e5, 0, 4e4, 1e5, 3e5, 5e5, 6e5],
+    s: [-1e3, 0, 150, 500, 1500, 2000]
+};
+
+/**
+ * Names of the property functions that have a validity envelope
+ * @returns {Array<string>} Function names
+ */
+function functionsWithEnvelope() {
+    return Object.keys(seawater).filter(name => {
+        if (!name.startsWith("SW_")) {
+            return false;
+        }
+        try {
+            seawater.getValidity(name);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Calls a function on every combination of sample values of its arguments
+ * @param {Array<string>} args - Argument names
+ * @param {function(Array<number>): void} callback - Called with the argument values
+ * @param {Array<number>} [values=[]] - Values of the leading arguments
+ */
+function forEachSample(args, callback, values = []) {
+    if (values.length === args.length) {
+        callback(values);
+        return;
+    }
+
+    for (const value of SAMPLES[args[values.length]]) {
+        forEachSample(args, callback, [...values, value]);
+    }
+}
+
+for (const name of functionsWithEnvelope()) {
+    test(name + " throws exactly where isValid is false", () => {
+        const { args } = seawater.getValidity(name);
+
+        forEachSample(args, values => {
+            let threw = false;
+            try {
+                seawater[name](...values);
+            } catch (err) {
+                assert.ok(err instanceof seawater.SeawaterRangeError, name + ": " + err.message);
+                threw = true;
+            }
+            assert.equal(seawater.isValid(name, ...values), !threw, name + "(" + values.join(", ") + ")");
+        });
+    });
+}
+
+test("isValid resolves dynamic bounds at the given state", () => {
+    assert.equal(seawater.isValid("SW_Density", 150, 35, 0.101325), false);
+    assert.equal(seawater.isValid("SW_Density", 150, 35, 1), true);
+    assert.equal(seawater.getValidity("SW_Density").limits.P.min, "P_sat");
+    assert.ok(seawater.getValidity("SW_Density", { T: 150, S: 35 }).limits.P.min > 0.4);
+});